@@ -1,153 +1,849 @@
-import { updateS3Items, getS3PdfKeys, getPresignedUrlForPdf, getMarkdownContent, startec2 } from './utils/s3_update.js';
-import { callGoogleGenAIOCRBatch } from './utils/gemini_api.js';
+import { getS3PdfKeys, getPresignedUrlForPdf, getS3TextObject } from './utils/s3_update.js';
+import { transcribeDocument, describeText, splitPages } from './utils/ocr.js';
+import { createSinglePdfFromFiles } from './utils/pdf_merge.js';
+import { makeSearchablePdf } from './utils/searchable_pdf.js';
+import { splitTextDocuments, convertTextDocuments, renderTextPdf } from './utils/text_import.js';
+import { buildEntryMarkdown } from './utils/frontmatter.js';
+import { computeFixtureKey } from './utils/fixture_ocr.js';
+import { saveEntryVersion, listEntryRevisions, getEntryRevision, revertEntry } from './utils/revisions.js';
+import { softDeleteEntry, restoreEntry, renameEntry, mergeEntries, appendPagesToEntry } from './utils/entries.js';
+import { entryPrefix, entryMarkdownKey, draftPrefix, draftMarkdownKey, slugFromEntryPath } from './utils/keys.js';
+import { TASK_SCHEMAS, validateTask } from './utils/validation.js';
+import { detectEventSource, parseHttpRequest, routeHttpRequest } from './utils/http.js';
+import { formatResponse } from './utils/helper.js';
+import { getStorageConfig } from './utils/config.js';
+import { authenticate, authorizeTask, requiredRoleFor, bearerToken, redactEvent } from './utils/auth.js';
+import { readCatalog, rebuildCatalog, refreshCatalogEntries, queryCatalog } from './utils/catalog.js';
+import { readSearchIndex, rebuildSearchIndex, refreshSearchIndex, searchIndex } from './utils/search_index.js';
+import {
+    readEntityRegistry,
+    rebuildEntityRegistry,
+    refreshEntityRegistry,
+    mergeEntities,
+    listEntities,
+    findEntity,
+} from './utils/entities.js';
+import { createJob, getJob, getJobInput, claimJob, setJobStatus, finishJob, dispatchJob, isJobVisibleTo } from './utils/jobs.js';
+import { requestDeploy, getDeployStatus, deployPendingChanges } from './utils/deploy.js';
+import { requestUpload, resolveStagedFiles, removeStagedFiles, purgeExpiredUploads } from './utils/uploads.js';
+import { allocateDraftSlug, saveDraft, listDrafts, approveDraft, rejectDraft } from './utils/drafts.js';
+import { handleS3Event, handleSqsEvent } from './utils/ingest.js';
+import { exportArchive, purgeExpiredExports } from './utils/export.js';
 import fs from 'fs';
 import path from 'path';
 import { Buffer } from 'buffer'; // Explicitly import Buffer if needed
 
-// Ensure BUCKET_NAME is loaded from environment variables
-const BUCKET_NAME = process.env.BUCKET_NAME;
+// The bucket comes from the storage configuration, like the backend that holds it
+const BUCKET_NAME = getStorageConfig().bucketName;
 if (!BUCKET_NAME) {
     console.error("Error: BUCKET_NAME environment variable is not set.");
     // Optionally throw an error during initialization if required
     // throw new Error("BUCKET_NAME environment variable is not set.");
 }
+const MERGED_PDF_PATH = '/tmp/final_merged_document.pdf';
+const APPEND_PDF_PATH = '/tmp/appended_pages.pdf';
+
+// Keeps the catalog, the search index and the entity registry in step with entries that were just written, moved or removed
+const refreshEntryIndexes = async (slugs) => {
+    await Promise.all([
+        refreshCatalogEntries(BUCKET_NAME, slugs),
+        refreshSearchIndex(BUCKET_NAME, slugs),
+        refreshEntityRegistry(BUCKET_NAME, slugs),
+    ]);
+};
+
+/**
+ * Answers a 'people' or 'entity' lookup with the entity and every entry that mentions it
+ * @param {{ id?: string, name?: string, entityType?: string }} lookup
+ * @returns {Promise<Object>} - The formatted response
+ */
+const entityResponse = async (lookup) => {
+    const registry = (await readEntityRegistry(BUCKET_NAME)) ?? await rebuildEntityRegistry(BUCKET_NAME);
+    let { catalog, etag } = await readCatalog(BUCKET_NAME);
+    if (!etag) {
+        console.log("No catalog found, building it.");
+        catalog = await rebuildCatalog(BUCKET_NAME);
+    }
+    const result = findEntity(registry, catalog, lookup);
+    const label = lookup.id ?? `"${lookup.name}"`;
+    if (result.status === 'not_found') {
+        return formatResponse(404, { message: `No ${lookup.entityType ?? 'person or place'} found for ${label}.` });
+    }
+    if (result.status === 'ambiguous') {
+        return formatResponse(409, {
+            message: `More than one ${lookup.entityType ?? 'person or place'} is known as ${label}. Ask for one by id with the entity task.`,
+            candidates: result.candidates,
+        });
+    }
+    return formatResponse(200, { entity: result.entity, entries: result.entries, events: result.events });
+};
+
+/**
+ * Merges scans and photos into one PDF and transcribes it.
+ * @param {Array<Object>} files - Resolved { fileName, fileData } files
+ * @param {{ pageSize?: string, margin?: number }} input
+ * @param {(status: string) => Promise<void>} setStage
+ * @returns {Promise<{ ocrResult: Object|null, pdf?: Uint8Array, source?: 'ocr', rejectedFiles: Array<Object> }>} - ocrResult is null when no file produced a page
+ */
+const transcribeScans = async (files, input, setStage) => {
+    // The merged PDF is what gets split into page batches for OCR, so it must exist first
+    const merge = files.length > 0
+        ? await createSinglePdfFromFiles(files, MERGED_PDF_PATH, {
+            pageSize: input.pageSize,
+            margin: input.margin,
+        })
+        : { pageCount: 0, rejectedFiles: [] };
+    if (merge.pageCount === 0) {
+        return { ocrResult: null, rejectedFiles: merge.rejectedFiles };
+    }
+    const mergedPdf = fs.readFileSync(merge.outputPdfPath);
+    fs.rmSync(merge.outputPdfPath, { force: true });
+
+    await setStage('ocr');
+    const ocrResult = await transcribeDocument(mergedPdf, {
+        documentKey: computeFixtureKey(files.map(file => Buffer.from(file.fileData, 'base64'))),
+    });
+    console.log(`OCR processing complete. Generated Title: ${ocrResult.title}`);
+
+    // The uploaded PDF carries the frontmatter and each page's transcription as a text layer
+    const pdf = await makeSearchablePdf(mergedPdf, {
+        metadata: ocrResult,
+        pageTexts: splitPages(ocrResult.body).pages,
+    });
+    return { ocrResult, pdf, source: 'ocr', rejectedFiles: merge.rejectedFiles };
+};
+
+/**
+ * Imports text documents without OCR: the body is converted directly and only
+ * the frontmatter is generated. The PDF is rendered from the text.
+ * @param {Array<Object>} textDocuments - As returned by splitTextDocuments
+ * @param {{ pageSize?: string, margin?: number }} input
+ * @param {(status: string) => Promise<void>} setStage
+ * @returns {Promise<{ ocrResult: Object|null, pdf?: Uint8Array, source?: 'text', rejectedFiles: Array<Object> }>} - ocrResult is null when no document had any text
+ */
+const importTextDocuments = async (textDocuments, input, setStage) => {
+    const { body, rejectedFiles } = await convertTextDocuments(textDocuments);
+    if (!body) {
+        return { ocrResult: null, rejectedFiles };
+    }
+
+    await setStage('ocr');
+    const ocrResult = await describeText(body, {
+        documentKey: computeFixtureKey(textDocuments.map(document => document.buffer)),
+    });
+    const pdf = await makeSearchablePdf(await renderTextPdf(body, { pageSize: input.pageSize, margin: input.margin }), { metadata: ocrResult });
+    return { ocrResult, pdf, source: 'text', rejectedFiles };
+};
+
+/**
+ * Builds a new entry from uploaded files: merge, OCR, then save it as a draft
+ * for review. Nothing is published or deployed until the draft is approved.
+ * Text documents (.txt, .md, .docx) skip the merge and OCR; see importTextDocuments.
+ * Staged uploads are read from the bucket and removed once the draft is saved.
+ * @param {{ files: Array<Object>, pageSize?: string, margin?: number, author?: string, uploadedBy?: string }} input - The create task's files (inline or staged keys), page options and the caller creating it;
+ *   staged files are only used when uploadedBy, the caller's id, requested them
+ * @param {(status: string) => Promise<void>} [setStage] - Called as the work moves through 'merging', 'ocr' and 'uploading'
+ * @returns {Promise<{ statusCode: number, result: Object }>} - The response status and body
+ */
+const createEntryFromFiles = async (input, setStage = async () => {}) => {
+    await setStage('merging');
+    const staged = await resolveStagedFiles(BUCKET_NAME, input.files, { requestedBy: input.uploadedBy });
+    const { textDocuments, otherFiles, rejectedFiles: unreadableFiles } = splitTextDocuments(staged.files);
+    const rejectedFiles = [...staged.missingFiles, ...unreadableFiles];
+
+    // An entry is either transcribed scans or imported text. Text documents are
+    // only imported on their own, or when none of the other files could be used.
+    let prepared = { ocrResult: null, rejectedFiles: [] };
+    if (otherFiles.length > 0) {
+        prepared = await transcribeScans(otherFiles, input, setStage);
+    }
+    if (prepared.ocrResult) {
+        textDocuments.forEach(document => rejectedFiles.push({
+            fileName: document.fileName,
+            reason: 'Text documents cannot be combined with scans or photos. Create a separate entry from them.',
+        }));
+    } else if (textDocuments.length > 0) {
+        rejectedFiles.push(...prepared.rejectedFiles);
+        prepared = await importTextDocuments(textDocuments, input, setStage);
+    }
+    rejectedFiles.push(...prepared.rejectedFiles);
+    if (!prepared.ocrResult) {
+        return {
+            statusCode: 400,
+            result: { message: 'None of the files could be used.', rejectedFiles },
+        };
+    }
+    const { ocrResult, pdf, source } = prepared;
+    const title = ocrResult.title;
+    const markdown = buildEntryMarkdown(ocrResult);
+
+    // The title stays human readable in the frontmatter; the folder gets a unique slug
+    await setStage('uploading');
+    const slug = await allocateDraftSlug(BUCKET_NAME, title);
+    console.log(`Allocated draft slug: ${slug}`);
+    const saved = await saveDraft(BUCKET_NAME, slug, {
+        markdown,
+        pdf,
+        author: input.author,
+        source,
+        review: ocrResult.review,
+        usage: ocrResult.usage,
+        entities: ocrResult.entities,
+    });
+    if (saved.status === 'conflict') {
+        throw new Error(`Another draft was created at ${slug} at the same time.`);
+    }
+    // Anything left behind here is removed when the upload expires
+    await removeStagedFiles(BUCKET_NAME, staged.stagedKeys)
+        .catch(error => console.warn('Could not remove staged uploads:', error));
+    console.log("Create task completed successfully.");
+    return {
+        statusCode: 200,
+        result: {
+            message: `Created a draft of ${title} for review`,
+            title,
+            slug,
+            status: saved.review.status,
+            confidence: saved.review.confidence,
+            uncertainPassages: saved.review.uncertainPassages,
+            rejectedFiles,
+        },
+    };
+};
+
+/**
+ * Runs a queued create job and records its outcome. A job that another
+ * invocation already picked up is returned as it stands.
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} - The job record, or null if it does not exist
+ */
+const runCreateJob = async (jobId) => {
+    if (!(await claimJob(BUCKET_NAME, jobId, 'merging'))) {
+        console.log(`Job ${jobId} is not queued; not running it again.`);
+        return getJob(BUCKET_NAME, jobId);
+    }
+    try {
+        const input = await getJobInput(BUCKET_NAME, jobId);
+        if (!input) {
+            throw new Error('Job input is missing.');
+        }
+        // 'merging' was recorded when the job was claimed
+        const outcome = await createEntryFromFiles(input, async (status) => {
+            if (status !== 'merging') {
+                await setJobStatus(BUCKET_NAME, jobId, status);
+            }
+        });
+        return await finishJob(BUCKET_NAME, jobId, outcome);
+    } catch (error) {
+        console.error(`Job ${jobId} failed:`, error);
+        return finishJob(BUCKET_NAME, jobId, {
+            statusCode: 500,
+            result: { message: 'Create job failed.' },
+            error: error.message,
+        });
+    }
+};
+
+// Answers a task that failed validation with every field-level problem at once
+const invalidRequest = (errors) => formatResponse(400, { message: 'Invalid request.', errors });
+
+// Finished jobs answer with the status and body of the work they ran; jobs still going answer 202
+const jobResponse = (job) => {
+    if (!job) {
+        return formatResponse(404, { message: 'Job not found.' });
+    }
+    const finished = job.status === 'done' || job.status === 'failed';
+    return formatResponse(finished ? (job.statusCode ?? 500) : 202, {
+        ...(finished ? job.result : {}),
+        jobId: job.jobId,
+        status: job.status,
+        ...(job.status === 'failed' ? { error: job.error } : {}),
+    });
+};
 
 // Use ES Module export syntax
 export const handler = async (event, context) => {
     console.log("Lambda handler started.");
     
-    console.log("Received event:", JSON.stringify(event, null, 2));
+    console.log("Received event:", JSON.stringify(redactEvent(event), null, 2));
     // Ensure BUCKET_NAME is available at runtime as well
      if (!BUCKET_NAME) {
          console.error("Runtime Error: BUCKET_NAME environment variable is not set.");
-        return {
-            statusCode: 500,
-            // Add CORS headers if needed
-            body: JSON.stringify({ message: 'Server configuration error: Bucket name missing.' }),
-        };
+        return formatResponse(500, { message: 'Server configuration error: Bucket name missing.' });
+    }
+
+    // Scans dropped into the inbox arrive as S3 or SQS events from the bucket's own
+    // notifications; they are trusted through IAM and need no token. Errors are left
+    // to propagate so Lambda retries the event.
+    const source = detectEventSource(event);
+    if (source === 's3') {
+        return handleS3Event(BUCKET_NAME, event, createEntryFromFiles);
+    }
+    if (source === 'sqs') {
+        return handleSqsEvent(BUCKET_NAME, event, createEntryFromFiles);
     }
 
     try {
-        // Parse the task from the event body
-        // Add check if event.body exists and is valid JSON
-        const task = event;
+        // Direct invocations pass the task as the event; HTTP callers (API Gateway
+        // v1/v2, Function URLs) send it in the body or address it by route
+        let payload = event;
+        let token = null;
+        if (source !== 'direct') {
+            const request = parseHttpRequest(event);
+            console.log(`${source} request: ${request.method} ${request.path}`);
+            if (request.method === 'OPTIONS') {
+                return formatResponse(204);
+            }
+            const route = routeHttpRequest(request);
+            if (!route.task) {
+                return formatResponse(route.statusCode, { message: route.message }, route.allow ? { Allow: route.allow.join(',') } : {});
+            }
+            payload = route.task;
+            token = bearerToken(request.headers.authorization);
+        } else if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+            // Direct callers send their token with the task; it must not travel any further
+            const { authToken, ...rest } = payload;
+            token = typeof authToken === 'string' ? authToken : null;
+            payload = rest;
+        }
 
-        // Validate the received task object
-        if (!task || typeof task !== 'object') {
-            throw new Error(`Invalid payload received. Expected an object, got: ${typeof task}`);
+        // Validate the received task object against the schema for its type
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return invalidRequest([{ field: 'type', message: `Expected a task object, got: ${payload === null ? 'null' : Array.isArray(payload) ? 'array' : typeof payload}.` }]);
         }
-        if (!task.type) {
-             throw new Error("Task object missing 'type' property.");
+        if (typeof payload.type !== 'string' || !payload.type) {
+            return invalidRequest([{ field: 'type', message: 'Is required.' }]);
+        }
+        if (!Object.hasOwn(TASK_SCHEMAS, payload.type)) {
+             console.warn(`Unknown task type received: ${payload.type}`);
+             return formatResponse(400, { message: `Unknown task type: ${payload.type}` });
+        }
+
+        // Jobs dispatched by this function come back as direct invocations without a token
+        const viaHttp = source !== 'direct';
+        // Who is asking; internal tasks have no caller
+        let caller = null;
+        if (requiredRoleFor(payload.type) === 'internal') {
+            if (viaHttp) {
+                return formatResponse(403, { message: `${payload.type} cannot be called over HTTP.` });
+            }
+        } else {
+            const auth = await authenticate(token);
+            if (auth.status === 'misconfigured') {
+                console.error(`Authentication is not configured: ${auth.message}`);
+                return formatResponse(500, { message: 'Server configuration error: authentication is not configured.' });
+            }
+            if (auth.status === 'unauthenticated') {
+                return formatResponse(401, { message: auth.message }, { 'WWW-Authenticate': 'Bearer' });
+            }
+            ({ caller } = auth);
+            const { allowed, requiredRole } = authorizeTask(caller, payload, viaHttp);
+            if (!allowed) {
+                console.warn(`Denied ${payload.type} to ${caller.id} (role ${caller.role ?? 'none'}, needs ${requiredRole})`);
+                return formatResponse(403, { message: `${payload.type} requires the ${requiredRole} role.` });
+            }
+            console.log(`Caller ${caller.id} (${caller.name}, role ${caller.role}) running ${payload.type}`);
+            // Authors come from the verified identity, never from the task body
+            if (!caller.anonymous) {
+                payload = { ...payload, author: caller.name };
+            }
+        }
+        const { task, errors } = validateTask(payload);
+        if (errors.length > 0) {
+            console.warn(`Invalid ${task.type} task:`, errors);
+            return invalidRequest(errors);
         }
         console.log("Parsed task:", task);
 
         // --- Handle 'update' task ---
         if (task.type === "update") {
             console.log(`Processing 'update' task for name: ${task.title}`);
-            // Validate task content if necessary
-            if (!task.title || typeof task.content === 'undefined') {
-                 throw new Error("Missing 'name' or 'content' for update task.");
-            }
 
-            const items = [
-                // Use path.join or ensure consistent separators for S3 keys if needed
-                { key: `urara${task.title}+page.svelte.md`, body: task.content }
-            ];
-            await updateS3Items(BUCKET_NAME, items);
+            const result = await saveEntryVersion(BUCKET_NAME, task.title, task.content, {
+                expectedEtag: task.expectedEtag,
+                expectedRevisionId: task.expectedRevisionId,
+                author: task.author,
+                note: task.note,
+            });
+            if (result.status === 'conflict') {
+                return formatResponse(409, {
+                    message: `${task.title} was changed by someone else. Reload it and apply your edits again.`,
+                    current: result.current,
+                });
+            }
+            await refreshEntryIndexes([slugFromEntryPath(task.title)]);
             console.log("Update task completed successfully.");
-            return { // Explicit success response
-                statusCode: 200,
-                body: JSON.stringify({ message: `Successfully updated ${task.title}` }),
-            };
+            return formatResponse(200, {
+                message: `Successfully updated ${task.title}`,
+                revisionId: result.revisionId,
+                etag: result.etag,
+                previousRevisionId: result.previousRevisionId,
+            });
+        }
+
+        // --- Handle 'history' task ---
+        else if (task.type === "history") {
+            const history = await listEntryRevisions(BUCKET_NAME, task.title);
+            if (!history.current && history.revisions.length === 0) {
+                return formatResponse(404, { message: `No entry found for ${task.title}.` });
+            }
+            return formatResponse(200, history);
+        }
+
+        // --- Handle 'getRevision' task ---
+        else if (task.type === "getRevision") {
+            const revision = await getEntryRevision(BUCKET_NAME, task.title, task.revisionId);
+            if (!revision) {
+                return formatResponse(404, { message: `Revision ${task.revisionId} not found for ${task.title}.` });
+            }
+            return formatResponse(200, revision);
+        }
+
+        // --- Handle 'revert' task ---
+        else if (task.type === "revert") {
+            const result = await revertEntry(BUCKET_NAME, task.title, task.revisionId, {
+                expectedEtag: task.expectedEtag,
+                expectedRevisionId: task.expectedRevisionId,
+                author: task.author,
+                note: task.note,
+            });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `Revision ${task.revisionId} not found for ${task.title}.` });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, {
+                    message: `${task.title} was changed by someone else. Reload it before reverting.`,
+                    current: result.current,
+                });
+            }
+            await refreshEntryIndexes([slugFromEntryPath(task.title)]);
+            return formatResponse(200, {
+                message: `Reverted ${task.title} to revision ${task.revisionId}`,
+                revisionId: result.revisionId,
+                etag: result.etag,
+                previousRevisionId: result.previousRevisionId,
+            });
+        }
+
+        // --- Handle 'delete' task (soft delete into trash/) ---
+        else if (task.type === "delete") {
+            const result = await softDeleteEntry(BUCKET_NAME, task.title, { author: task.author });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No entry found for ${task.title}.` });
+            }
+            await refreshEntryIndexes([result.slug]);
+            return formatResponse(200, {
+                message: `Moved ${task.title} to the trash`,
+                slug: result.slug,
+                trashId: result.trashId,
+            });
+        }
+
+        // --- Handle 'restore' task ---
+        else if (task.type === "restore") {
+            const result = await restoreEntry(BUCKET_NAME, { entryPath: task.title, trashId: task.trashId });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: 'No deleted entry found to restore.' });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, { message: `An entry already exists at /${result.slug}/. Rename or delete it first.` });
+            }
+            await refreshEntryIndexes([result.slug]);
+            return formatResponse(200, { message: `Restored /${result.slug}/`, slug: result.slug, title: result.title });
+        }
+
+        // --- Handle 'rename' task ---
+        else if (task.type === "rename") {
+            const result = await renameEntry(BUCKET_NAME, task.title, task.newTitle.trim(), {
+                author: task.author,
+                expectedEtag: task.expectedEtag,
+            });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No entry found for ${task.title}.` });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, {
+                    message: `${task.title} was changed by someone else. Reload it before renaming.`,
+                    current: result.current,
+                });
+            }
+            await refreshEntryIndexes([...new Set([result.previousSlug, result.slug])]);
+            return formatResponse(200, {
+                message: `Renamed ${task.title} to ${result.title}`,
+                slug: result.slug,
+                previousSlug: result.previousSlug,
+                title: result.title,
+                revisionId: result.revisionId,
+            });
+        }
+
+        // --- Handle 'merge' task ---
+        else if (task.type === "merge") {
+            const result = await mergeEntries(BUCKET_NAME, task.title, task.sourceTitle, {
+                newTitle: task.newTitle?.trim() || undefined,
+                author: task.author,
+            });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No entry found for ${result.missing}.` });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, {
+                    message: `${task.title} was changed while merging. Try again.`,
+                    current: result.current,
+                });
+            }
+            await refreshEntryIndexes([result.slug, slugFromEntryPath(task.sourceTitle)]);
+            return formatResponse(200, {
+                message: `Merged ${task.sourceTitle} into ${task.title}`,
+                slug: result.slug,
+                title: result.title,
+                revisionId: result.revisionId,
+                sourceTrashId: result.sourceTrashId,
+            });
+        }
+
+        // --- Handle 'list' and 'query' tasks (catalog of all entries) ---
+        else if (task.type === "list" || task.type === "query") {
+            let { catalog, etag } = await readCatalog(BUCKET_NAME);
+            if (!etag) {
+                console.log("No catalog found, building it.");
+                catalog = await rebuildCatalog(BUCKET_NAME);
+            }
+            const filters = task.type === "query"
+                ? {
+                    tags: [...(Array.isArray(task.tags) ? task.tags : []), ...(task.tag ? [task.tag] : [])],
+                    createdFrom: task.createdFrom,
+                    createdTo: task.createdTo,
+                    titlePrefix: task.titlePrefix,
+                }
+                : {};
+            const page = queryCatalog(catalog, { ...filters, order: task.order, limit: task.limit, cursor: task.cursor });
+            return formatResponse(200, page);
+        }
+
+        // --- Handle 'rebuildCatalog' task ---
+        else if (task.type === "rebuildCatalog") {
+            const catalog = await rebuildCatalog(BUCKET_NAME);
+            return formatResponse(200, {
+                message: 'Catalog rebuilt.',
+                entries: Object.keys(catalog.entries).length,
+            });
+        }
+
+        // --- Handle 'search' task (full-text search over transcriptions) ---
+        else if (task.type === "search") {
+            const index = (await readSearchIndex(BUCKET_NAME)) ?? await rebuildSearchIndex(BUCKET_NAME);
+            const results = searchIndex(index, {
+                query: task.query,
+                tags: [...(Array.isArray(task.tags) ? task.tags : []), ...(task.tag ? [task.tag] : [])],
+                limit: task.limit,
+                cursor: task.cursor,
+            });
+            return formatResponse(200, results);
+        }
+
+        // --- Handle 'rebuildSearchIndex' task ---
+        else if (task.type === "rebuildSearchIndex") {
+            const index = await rebuildSearchIndex(BUCKET_NAME);
+            return formatResponse(200, {
+                message: 'Search index rebuilt.',
+                entries: Object.keys(index.docs).length,
+            });
+        }
+
+        // --- Handle 'people' task (entries mentioning a person) ---
+        else if (task.type === "people") {
+            return entityResponse({ name: task.name, entityType: 'person' });
+        }
+
+        // --- Handle 'entity' task (entries mentioning a person or place) ---
+        else if (task.type === "entity") {
+            return entityResponse({ id: task.id, name: task.name, entityType: task.entityType });
+        }
+
+        // --- Handle 'listEntities' task (people and places in the registry) ---
+        else if (task.type === "listEntities") {
+            const registry = (await readEntityRegistry(BUCKET_NAME)) ?? await rebuildEntityRegistry(BUCKET_NAME);
+            return formatResponse(200, listEntities(registry, {
+                entityType: task.entityType,
+                query: task.query,
+                limit: task.limit,
+                cursor: task.cursor,
+            }));
+        }
+
+        // --- Handle 'mergeEntities' task (aliases of the same person or place) ---
+        else if (task.type === "mergeEntities") {
+            const result = await mergeEntities(BUCKET_NAME, task.id, task.mergeIds, { name: task.name?.trim() || undefined });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No person or place found for ${result.missing}.` });
+            }
+            if (result.status === 'type_mismatch') {
+                return formatResponse(400, { message: result.message });
+            }
+            return formatResponse(200, {
+                message: `Merged ${task.mergeIds.join(', ')} into ${result.entity.id}`,
+                entity: { id: result.entity.id, type: result.entity.type, name: result.entity.name, aliases: result.entity.aliases },
+            });
+        }
+
+        // --- Handle 'rebuildEntities' task ---
+        else if (task.type === "rebuildEntities") {
+            const registry = await rebuildEntityRegistry(BUCKET_NAME);
+            return formatResponse(200, {
+                message: 'Entity registry rebuilt.',
+                entities: Object.keys(registry.entities).length,
+            });
+        }
+
+        // --- Handle 'exportArchive' task (ZIP of selected entries) ---
+        else if (task.type === "exportArchive") {
+            const result = await exportArchive(BUCKET_NAME, {
+                tags: [...(Array.isArray(task.tags) ? task.tags : []), ...(task.tag ? [task.tag] : [])],
+                createdFrom: task.createdFrom,
+                createdTo: task.createdTo,
+                requestedBy: task.author,
+            });
+            if (result.status === 'empty') {
+                return formatResponse(404, { message: 'No entries match the selection.' });
+            }
+            if (result.status === 'too_many') {
+                return formatResponse(400, {
+                    message: `${result.entryCount} entries match, but one export holds at most ${result.maxEntries}. Narrow the selection.`,
+                    entryCount: result.entryCount,
+                    maxEntries: result.maxEntries,
+                });
+            }
+            return formatResponse(200, {
+                message: `Exported ${result.entryCount} ${result.entryCount === 1 ? 'entry' : 'entries'}.`,
+                downloadUrl: result.downloadUrl,
+                key: result.key,
+                entryCount: result.entryCount,
+                missing: result.missing,
+                expiresIn: result.expiresIn,
+            });
+        }
+
+        // --- Handle 'append' task (add pages to an existing entry) ---
+        else if (task.type === "append") {
+            const merge = await createSinglePdfFromFiles(task.files, APPEND_PDF_PATH, {
+                pageSize: task.pageSize,
+                margin: task.margin,
+            });
+            if (merge.pageCount === 0) {
+                return formatResponse(400, { message: 'None of the files could be used.', rejectedFiles: merge.rejectedFiles });
+            }
+            const pagesPdf = fs.readFileSync(merge.outputPdfPath);
+            fs.rmSync(merge.outputPdfPath, { force: true });
+
+            const result = await appendPagesToEntry(BUCKET_NAME, task.title, pagesPdf, {
+                afterPage: task.afterPage,
+                author: task.author,
+                expectedEtag: task.expectedEtag,
+                documentKey: computeFixtureKey(task.files.map(file => Buffer.from(file.fileData, 'base64'))),
+            });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No entry found for ${task.title}.` });
+            }
+            if (result.status === 'invalid_position') {
+                return formatResponse(400, { message: result.message });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, {
+                    message: `${task.title} was changed while the new pages were processed. Try again.`,
+                    current: result.current,
+                });
+            }
+            await refreshEntryIndexes([result.slug]);
+            const deploy = await requestDeploy(BUCKET_NAME, { reason: `Added pages to ${task.title}`, requestedBy: task.author });
+            return formatResponse(200, {
+                message: `Added ${result.pagesAdded} page(s) to ${task.title}`,
+                slug: result.slug,
+                pagesAdded: result.pagesAdded,
+                pageCount: result.pageCount,
+                revisionId: result.revisionId,
+                rejectedFiles: merge.rejectedFiles,
+                deploy,
+            });
         }
 
         // --- Handle 'create' task ---
         else if (task.type === "create") {
             console.log("Processing 'create' task.");
-            if (!Array.isArray(task.files) || task.files.length === 0) {
-                 throw new Error("Missing or empty 'files' array for create task.");
-            }
-            
-            const ocrResult = await callGoogleGenAIOCRBatch(task.files)
-            const holder = ocrResult.split('|||||');// Assuming this returns { markdown: string, title: string, pdf: Buffer/string }     
-            const lines = holder[0].split('\n');
-            console.log(`OCR Lines: ${holder[0].trim()}`);
-            const middleLines = lines.slice(1, -1);
-            const markdown = middleLines.join('\n');
-            console.log(`OCR processing complete. Generated Markdown: ${markdown}`);
-            const title = holder[1].trim();
-            console.log(`OCR processing complete. Generated Title: ${title}`);
-            // console.log('Generated Markdown:', markdown); // Avoid logging potentially large markdown
-
-            // Update the S3 bucket with the markdown content and original PDF
-            
-            const itemsToUpload = [
-                { key: `urara/${title}/+page.svelte.md`, body: markdown },
-                { key: `urara/${title}/document.pdf`, body: fs.readFileSync('/tmp/final_merged_document.pdf')} // Assuming pdf is Buffer or string
-            ];
-
-            await updateS3Items(BUCKET_NAME, itemsToUpload);
-            await startec2();
-            console.log("Create task completed successfully.");
-             return { // Explicit success response
-                statusCode: 200,
-                body: JSON.stringify({ message: `Successfully created entry for ${title}` }),
-            };
-        }
-        else if (task.type === "deploy"){
-            try{
-            await startec2();
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: `Successfully initiated start for instance`,
-                    
-                    // Include S3 operation results if applicable
-                }),
-            };
-    
-        } catch (error) {
-            console.error(`Error during Lambda execution:`, error);
-            // Differentiate between EC2 and S3 errors if necessary
-            if (error.name && error.message.includes('instance')) { // Basic check
-                 console.error(`Specifically failed starting instance: `, error);
-            }
-            // Return an error response
-            return {
-                statusCode: 500,
-                body: JSON.stringify({
+            const input = { files: task.files, pageSize: task.pageSize, margin: task.margin, author: task.author, uploadedBy: caller.id };
+
+            // Without a key or async mode there is nothing to track, so run as before
+            if (!task.idempotencyKey && !task.async) {
+                const outcome = await createEntryFromFiles(input);
+                return formatResponse(outcome.statusCode, outcome.result);
+            }
+
+            const { job, created } = await createJob(BUCKET_NAME, {
+                type: 'create',
+                input,
+                idempotencyKey: task.idempotencyKey,
+                createdBy: caller.id,
+            });
+            if (!created) {
+                return jobResponse(job);
+            }
+            if (task.async) {
+                try {
+                    await dispatchJob(job.jobId);
+                } catch (error) {
+                    await finishJob(BUCKET_NAME, job.jobId, { statusCode: 500, result: null, error: `Could not start the job: ${error.message}` });
+                    throw error;
+                }
+                return jobResponse(job);
+            }
+            return jobResponse(await runCreateJob(job.jobId));
+        }
+
+        // --- Handle 'listDrafts' task (entries waiting for review) ---
+        else if (task.type === "listDrafts") {
+            return formatResponse(200, await listDrafts(BUCKET_NAME, { status: task.status, limit: task.limit, cursor: task.cursor }));
+        }
+
+        // --- Handle 'approve' task (publish a draft) ---
+        else if (task.type === "approve") {
+            const result = await approveDraft(BUCKET_NAME, slugFromEntryPath(task.title), { author: task.author, content: task.content });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No draft found for ${task.title}.` });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, { message: `${task.title} was reviewed by someone else at the same time. Reload the drafts.` });
+            }
+            await refreshEntryIndexes([result.slug]);
+            const deploy = await requestDeploy(BUCKET_NAME, { reason: `Approved /${result.slug}/`, requestedBy: task.author });
+            return formatResponse(200, {
+                message: `Published ${result.title ?? task.title} as /${result.slug}/`,
+                slug: result.slug,
+                draftSlug: result.draftSlug,
+                title: result.title,
+                revisionId: result.revisionId,
+                deploy,
+            });
+        }
+
+        // --- Handle 'reject' task ---
+        else if (task.type === "reject") {
+            const result = await rejectDraft(BUCKET_NAME, slugFromEntryPath(task.title), {
+                author: task.author,
+                reason: task.reason,
+                discard: task.discard,
+            });
+            if (result.status === 'not_found') {
+                return formatResponse(404, { message: `No draft found for ${task.title}.` });
+            }
+            if (result.status === 'conflict') {
+                return formatResponse(409, { message: `${task.title} was reviewed by someone else at the same time. Reload the drafts.` });
+            }
+            return formatResponse(200, {
+                message: result.status === 'discarded' ? `Discarded the draft ${task.title}` : `Rejected the draft ${task.title}`,
+                slug: result.slug,
+                status: result.status,
+            });
+        }
+
+        // --- Handle 'requestUpload' task (presigned URLs for staging files used by 'create') ---
+        else if (task.type === "requestUpload") {
+            const upload = await requestUpload(BUCKET_NAME, { fileNames: task.fileNames, requestedBy: caller.id });
+            return formatResponse(200, {
+                message: 'Upload each file with an HTTP PUT to its uploadUrl, then call create with the keys.',
+                ...upload,
+            });
+        }
+
+        // --- Handle 'purgeUploads' task (scheduled removal of expired staged uploads) ---
+        else if (task.type === "purgeUploads") {
+            const purged = await purgeExpiredUploads(BUCKET_NAME);
+            return formatResponse(200, { message: `Purged ${purged} expired upload(s).`, purged });
+        }
+
+        // --- Handle 'purgeExports' task (scheduled removal of old exports) ---
+        else if (task.type === "purgeExports") {
+            const purged = await purgeExpiredExports(BUCKET_NAME);
+            return formatResponse(200, { message: `Purged ${purged} expired export(s).`, purged });
+        }
+
+        // --- Handle 'runJob' task (asynchronous invocation started by dispatchJob) ---
+        else if (task.type === "runJob") {
+            return jobResponse(await runCreateJob(task.jobId));
+        }
+
+        // --- Handle 'jobStatus' task ---
+        else if (task.type === "jobStatus") {
+            const job = await getJob(BUCKET_NAME, task.jobId);
+            // Other callers' jobs are reported as missing rather than refused, so their ids give nothing away
+            if (!job || !isJobVisibleTo(job, caller)) {
+                return formatResponse(404, { message: `No job found with id ${task.jobId}.` });
+            }
+            return formatResponse(200, {
+                jobId: job.jobId,
+                type: job.type,
+                status: job.status,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
+                history: job.history,
+                result: job.result,
+                error: job.error,
+            });
+        }
+        // --- Handle 'deploy' task ---
+        else if (task.type === "deploy") {
+            try {
+                const deploy = await requestDeploy(BUCKET_NAME, { reason: 'Requested deploy', requestedBy: task.author, wait: task.wait });
+                const messages = {
+                    started: 'Started the site deploy.',
+                    debounced: 'A deploy was started moments ago and will include the latest changes.',
+                    coalesced: deploy.pending
+                        ? 'A build is already running and may have missed this change; deploy again once the instance has stopped.'
+                        : 'A deploy is already in progress.',
+                    deferred: 'The instance is stopping; deploy again once it has stopped.',
+                };
+                return formatResponse(deploy.status === 'deferred' ? 409 : 200, { message: messages[deploy.status], ...deploy });
+            } catch (error) {
+                console.error(`Specifically failed starting instance: `, error);
+                return formatResponse(500, {
                     message: "Lambda execution failed",
                     error: error.message,
-                    details: error,
-                }),
-            };
+                });
+            }
+        }
+
+        // --- Handle 'deployStatus' task ---
+        else if (task.type === "deployStatus") {
+            return formatResponse(200, await getDeployStatus(BUCKET_NAME));
+        }
+
+        // --- Handle 'deployPending' task ---
+        else if (task.type === "deployPending") {
+            const deploy = await deployPendingChanges(BUCKET_NAME);
+            return formatResponse(200, deploy
+                ? { message: 'Started a deploy for pending changes.', ...deploy }
+                : { message: 'No pending changes to deploy.' });
         }
-    }
 
         else if (task.type === "downloadMD") {
-            const titleForPrefix = task.title || '';
-             if (!titleForPrefix) {
-                 throw new Error("Missing 'title' for download task.");
-            }
-            const targetKey = `urara${titleForPrefix}+page.svelte.md`;
-            console.log(`Generating presigned URL for key: ${targetKey}`);
+            const slug = slugFromEntryPath(task.title);
+            const targetKey = task.draft ? draftMarkdownKey(slug) : entryMarkdownKey(slug);
+            console.log(`Reading markdown for key: ${targetKey}`);
 
-            const downloadUrl = await getMarkdownContent(BUCKET_NAME, targetKey);
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'Download URL generated successfully.',
-                    downloadUrl: downloadUrl
-                }),
-            };
+            const markdown = await getS3TextObject(BUCKET_NAME, targetKey);
+            if (!markdown) {
+                return formatResponse(404, { message: 'No markdown found for that title.' });
+            }
+            return formatResponse(200, {
+                message: 'Download URL generated successfully.',
+                downloadUrl: markdown.body,
+                // Send these back with the next 'update' to detect concurrent edits
+                etag: markdown.etag,
+                revisionId: markdown.metadata['revision-id'] || null,
+            });
         }
         else if (task.type === "download") {
-            const titleForPrefix = task.title || '';
-             if (!titleForPrefix) {
-                 throw new Error("Missing 'title' for download task.");
-            }
-            // Construct prefix carefully - ensure trailing slash if listing like a directory
-            const prefix = `urara${titleForPrefix}`;
+            const slug = slugFromEntryPath(task.title);
+            const prefix = task.draft ? draftPrefix(slug) : entryPrefix(slug);
             console.log(`Processing 'download' task for prefix: ${prefix}`);
 
             // Step 1: Find the PDF file key(s)
@@ -156,10 +852,7 @@ export const handler = async (event, context) => {
 
             if (!pdfKeys || pdfKeys.length === 0) {
                 console.log("No PDF files found for the given prefix.");
-                return {
-                    statusCode: 404, // Not Found
-                    body: JSON.stringify({ message: 'No PDF document found for that title.' }),
-                };
+                return formatResponse(404, { message: 'No PDF document found for that title.' });
             }
 
             // Step 2: Get a presigned URL for the first found PDF key
@@ -171,34 +864,20 @@ export const handler = async (event, context) => {
             const downloadUrl = await getPresignedUrlForPdf(BUCKET_NAME, targetKey);
 
             // Step 3: Return the presigned URL to the client
-            return {
-                statusCode: 200,
-                body: JSON.stringify({
-                    message: 'Download URL generated successfully.',
-                    downloadUrl: downloadUrl,
-                    fileNameSuggestion: path.basename(targetKey) // Suggest original filename
-                }),
-            };
-        }
-        // --- Handle unknown task type ---
-        else {
-             console.warn(`Unknown task type received: ${task.type}`);
-             return {
-                statusCode: 400, // Bad Request
-                body: JSON.stringify({ message: `Unknown task type: ${task.type}` }),
-            };
+            return formatResponse(200, {
+                message: 'Download URL generated successfully.',
+                downloadUrl: downloadUrl,
+                fileNameSuggestion: path.basename(targetKey) // Suggest original filename
+            });
         }
 
     } catch (error) {
         console.error("Error processing Lambda event:", error);
         // Return a generic error response
-        return {
-            statusCode: 500, // Internal Server Error
-            body: JSON.stringify({
-                message: 'An error occurred while processing the request.',
-                // Only include error.message in specific cases or dev environments
-                // error: error.message // Avoid exposing detailed errors generally
-            }),
-        };
+        return formatResponse(500, {
+            message: 'An error occurred while processing the request.',
+            // Only include error.message in specific cases or dev environments
+            // error: error.message // Avoid exposing detailed errors generally
+        });
     }
 };
\ No newline at end of file
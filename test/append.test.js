@@ -0,0 +1,62 @@
+import fs from 'fs';
+import path from 'path';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { useOfflineEnvironment, quietConsole, invoke } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let fixtures;
+
+const newPage = async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    return Buffer.from(await pdfDoc.save());
+};
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    fixtures = await import('../utils/fixture_ocr.js');
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('append replays the fixture recorded for its uploaded files', async () => {
+    const content = '---\ntitle: Letter\ncreated: 1901-01-01\ntags:\n  - farm\n---\n\n<!-- page 1 -->\n\nDear all,\n';
+    assert.equal((await invoke(handler, { type: 'update', title: '/letter/', content })).statusCode, 200);
+
+    // The pages are merged into a new PDF on every run, so only the upload can key the fixture
+    const page = await newPage();
+    const key = fixtures.computeFixtureKey([page]);
+    fs.writeFileSync(path.join(environment.fixtureDir, `${key}.json`), JSON.stringify({
+        'OCR pages 1-1': { pages: [{ page: 1, text: 'Love, Mae', confidence: 0.9, uncertain: [] }] },
+        'OCR metadata': {
+            title: 'Letter',
+            created: '1901-01-01',
+            description: 'A letter home.',
+            summary: 'A letter home, signed by Mae.',
+            tags: ['mae'],
+            people: [],
+            places: [],
+            events: [],
+        },
+    }));
+
+    const task = { type: 'append', title: '/letter/', files: [{ fileName: 'page.pdf', fileData: page.toString('base64') }] };
+    const appended = await invoke(handler, task);
+    assert.equal(appended.statusCode, 200);
+    assert.equal(appended.body.pagesAdded, 1);
+
+    const { body } = await invoke(handler, { type: 'downloadMD', title: '/letter/' });
+    const markdown = JSON.stringify(body);
+    assert.match(markdown, /Dear all,\\n\\n<!-- page 2 -->\\n\\nLove, Mae/);
+    assert.match(markdown, /summary: A letter home, signed by Mae\./);
+    assert.match(markdown, /- farm\\n  - mae/);
+});
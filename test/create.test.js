@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { useOfflineEnvironment, quietConsole, invoke, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let s3;
+let fixtures;
+
+const metadata = {
+    title: 'Letter From Ames',
+    created: '1901-09-01',
+    description: 'A letter home from Ames.',
+    summary: 'A letter home from Ames.',
+    tags: ['ames'],
+    people: [{ name: 'Mae Hollis', aliases: ['Mae'], description: 'the writer' }],
+    places: [{ name: 'Ames, Iowa', aliases: [], description: 'where the letter was written' }],
+    events: [],
+};
+
+const scannedLetter = async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    pdfDoc.addPage();
+    return Buffer.from(await pdfDoc.save());
+};
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    s3 = await import('../utils/s3_update.js');
+    fixtures = await import('../utils/fixture_ocr.js');
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('create turns uploaded scans into a draft with the fixture provider', async () => {
+    const scan = await scannedLetter();
+    const key = fixtures.computeFixtureKey([scan]);
+    fs.writeFileSync(path.join(environment.fixtureDir, `${key}.json`), JSON.stringify({
+        'OCR pages 1-2': {
+            pages: [
+                { page: 1, text: 'Dear all,', confidence: 0.9, uncertain: [] },
+                { page: 2, text: 'Love, Mae', confidence: 0.6, uncertain: [{ text: 'Mae', reason: 'faded ink' }] },
+            ],
+        },
+        'OCR metadata': metadata,
+    }));
+
+    const created = await invoke(handler, { type: 'create', files: [{ fileName: 'letter.pdf', fileData: scan.toString('base64') }] });
+    assert.equal(created.statusCode, 200);
+    assert.equal(created.body.title, 'Letter From Ames');
+    assert.equal(created.body.confidence, 0.6);
+    assert.deepEqual(created.body.uncertainPassages, [{ page: 2, text: 'Mae', reason: 'faded ink' }]);
+
+    const { body } = await s3.getS3TextObject(BUCKET, `drafts/${created.body.slug}/+page.svelte.md`);
+    assert.match(body, /title: Letter From Ames/);
+    assert.match(body, /<!-- page 1 -->\n\nDear all,\n\n<!-- page 2 -->\n\nLove, Mae/);
+    assert.ok(await s3.getS3ObjectBytes(BUCKET, `drafts/${created.body.slug}/document.pdf`));
+});
+
+test('the same scans find their fixture again however they are merged', async () => {
+    // Every create builds a new merged PDF, but the key only depends on the upload
+    const scan = await scannedLetter();
+    const key = fixtures.computeFixtureKey([scan]);
+    assert.equal(fixtures.computeFixtureKey([Buffer.from(scan)]), key);
+    assert.notEqual(fixtures.computeFixtureKey([scan, scan]), key);
+});
+
+test('a recording client writes responses the fixture client replays', async () => {
+    const recordDir = path.join(environment.dir, 'recorded');
+    const model = {
+        model: 'real-model',
+        generate: async (contentParts, { request }) => ({ text: JSON.stringify({ answered: request }), usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 } }),
+    };
+    const recorder = fixtures.createRecordingClient({ client: model, fixtureDir: recordDir, documentKey: 'abc' });
+    // Batches are transcribed side by side
+    const answers = await Promise.all(['OCR pages 1-4', 'OCR pages 5-8', 'OCR metadata'].map(request => recorder.generate([], { request })));
+    assert.deepEqual(answers.map(answer => answer.usage.totalTokens), [2, 2, 2]);
+
+    const replay = fixtures.createFixtureClient({ fixtureDir: recordDir, documentKey: 'abc' });
+    assert.deepEqual(JSON.parse((await replay.generate([], { request: 'OCR pages 5-8' })).text), { answered: 'OCR pages 5-8' });
+    assert.deepEqual(JSON.parse((await replay.generate([], { request: 'OCR metadata' })).text), { answered: 'OCR metadata' });
+    await assert.rejects(replay.generate([], { request: 'OCR pages 9-12' }), /no response for "OCR pages 9-12"/);
+});
@@ -0,0 +1,80 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let deploy;
+let s3;
+let target;
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    deploy = await import('../utils/deploy.js');
+    s3 = await import('../utils/s3_update.js');
+    const { useDeployTarget } = await import('../utils/deploy_target.js');
+    target = {
+        name: 'fake',
+        instanceId: 'i-test',
+        state: 'stopped',
+        starts: 0,
+        describeState: async () => target.state,
+        start: async () => { target.starts++; },
+        waitUntilRunning: async () => true,
+    };
+    useDeployTarget(target);
+});
+
+beforeEach(async () => {
+    target.state = 'stopped';
+    target.starts = 0;
+    await s3.deleteS3Objects(BUCKET, ['deploy/status.json']);
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('a change made while the build runs is started once the instance stops', async () => {
+    assert.equal((await deploy.requestDeploy(BUCKET)).status, 'started');
+    target.state = 'running';
+    const coalesced = await deploy.requestDeploy(BUCKET);
+    assert.equal(coalesced.status, 'coalesced');
+    assert.equal(coalesced.pending, true);
+
+    // Still within the debounce window of the first start
+    target.state = 'stopped';
+    const again = await deploy.requestDeploy(BUCKET);
+    assert.equal(again.status, 'started');
+    assert.equal(again.pending, false);
+    assert.equal(target.starts, 2);
+});
+
+test('deployStatus only reports pending changes, and deployPendingChanges starts them', async () => {
+    await deploy.requestDeploy(BUCKET);
+    target.state = 'stopping';
+    assert.equal((await deploy.requestDeploy(BUCKET)).status, 'deferred');
+
+    // Not stopped yet, so the pending changes wait
+    assert.equal(await deploy.deployPendingChanges(BUCKET), null);
+    target.state = 'stopped';
+    const status = await deploy.getDeployStatus(BUCKET);
+    assert.equal(status.pending, true);
+    assert.ok(status.pendingSince);
+    assert.equal(target.starts, 1);
+
+    assert.equal((await deploy.deployPendingChanges(BUCKET)).status, 'started');
+    assert.equal((await deploy.getDeployStatus(BUCKET)).pending, false);
+    assert.equal(await deploy.deployPendingChanges(BUCKET), null);
+    assert.equal(target.starts, 2);
+});
+
+test('requests right after a start are still debounced', async () => {
+    await deploy.requestDeploy(BUCKET);
+    const second = await deploy.requestDeploy(BUCKET);
+    assert.equal(second.status, 'debounced');
+    assert.equal(second.pending, false);
+    assert.equal(target.starts, 1);
+});
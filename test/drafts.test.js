@@ -0,0 +1,82 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, invoke, signToken, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let s3;
+let drafts;
+let storageModule;
+
+const markdown = (title, body) => `---\ntitle: ${title}\ncreated: 1901-01-01\n---\n\n${body}\n`;
+
+// Puts a draft in place as create would leave it
+const addDraft = async (slug, title) => {
+    const draft = await drafts.saveDraft(BUCKET, slug, { markdown: markdown(title, 'draft text'), pdf: Buffer.from('%PDF-draft'), author: 'mae', source: 'text' });
+    assert.equal(draft.status, 'saved');
+};
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    s3 = await import('../utils/s3_update.js');
+    drafts = await import('../utils/drafts.js');
+    storageModule = await import('../utils/storage.js');
+});
+
+afterEach(() => {
+    process.env.AUTH_DISABLED = 'true';
+    storageModule.useStorage(null);
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('drafts are only read by contributors', async () => {
+    await addDraft('unread', 'Unread');
+    process.env.AUTH_DISABLED = 'false';
+    const viewer = await signToken('viewer-1', 'viewer');
+    const contributor = await signToken('contributor-1', 'contributor');
+
+    const refused = await invoke(handler, { type: 'downloadMD', title: '/unread/', draft: true, authToken: viewer });
+    assert.equal(refused.statusCode, 403);
+    assert.equal((await invoke(handler, { type: 'download', title: '/unread/', draft: true, authToken: viewer })).statusCode, 403);
+
+    const read = await invoke(handler, { type: 'downloadMD', title: '/unread/', draft: true, authToken: contributor });
+    assert.equal(read.statusCode, 200);
+    assert.match(JSON.stringify(read.body), /draft text/);
+});
+
+test('approving never writes over an entry created at the same moment', async () => {
+    await addDraft('letter', 'Letter');
+    await invoke(handler, { type: 'update', title: '/letter/', content: markdown('Letter', 'published text') });
+    await s3.putS3Object(BUCKET, 'urara/letter/document.pdf', Buffer.from('%PDF-published'));
+
+    // Hides the existing entry from the first slug allocation, as if it was created right after it
+    const local = storageModule.getStorage();
+    let hidden = false;
+    storageModule.useStorage({
+        ...local,
+        list: async (bucketName, options) => {
+            const page = await local.list(bucketName, options);
+            if (!hidden && options?.prefix === 'urara/' && options?.delimiter) {
+                hidden = true;
+                return { ...page, folders: page.folders.filter(folder => !folder.includes('letter')) };
+            }
+            return page;
+        },
+    });
+
+    const approved = await invoke(handler, { type: 'approve', title: '/letter/' });
+    assert.equal(approved.statusCode, 200);
+    assert.notEqual(approved.body.slug, 'letter');
+    assert.ok(hidden);
+
+    assert.match((await s3.getS3TextObject(BUCKET, 'urara/letter/+page.svelte.md')).body, /published text/);
+    assert.equal(Buffer.from(await s3.getS3ObjectBytes(BUCKET, 'urara/letter/document.pdf')).toString(), '%PDF-published');
+    assert.equal(Buffer.from(await s3.getS3ObjectBytes(BUCKET, `urara/${approved.body.slug}/document.pdf`)).toString(), '%PDF-draft');
+});
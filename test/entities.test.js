@@ -0,0 +1,94 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let entities;
+let storage;
+
+const mention = (name, aliases = []) => ({ name, aliases, description: null });
+
+const recordEntry = async (slug, extracted) => {
+    await storage.putS3Object(BUCKET, `urara/${slug}/entities.json`, JSON.stringify({ people: [], places: [], events: [], ...extracted }), { contentType: 'application/json' });
+};
+
+const personIds = async (slug) => {
+    const registry = await entities.readEntityRegistry(BUCKET);
+    return Object.values(registry.entities)
+        .filter(entity => entity.type === 'person' && Object.hasOwn(entity.mentions, slug))
+        .map(entity => entity.id)
+        .sort();
+};
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    entities = await import('../utils/entities.js');
+    storage = await import('../utils/s3_update.js');
+});
+
+beforeEach(async () => {
+    const keys = (await storage.listS3Objects(BUCKET, '')).map(object => object.key);
+    await storage.deleteS3Objects(BUCKET, keys);
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('single-word names in different entries stay separate people', async () => {
+    await recordEntry('one', { people: [mention('Mother')] });
+    await recordEntry('two', { people: [mention('Mother')] });
+    await entities.refreshEntityRegistry(BUCKET, ['one', 'two']);
+    const [first] = await personIds('one');
+    const [second] = await personIds('two');
+    assert.notEqual(first, second);
+});
+
+test('a shared name of two words joins entries to one person', async () => {
+    await recordEntry('one', { people: [mention('Mae Hollis', ['Mae'])] });
+    await recordEntry('two', { people: [mention('Aunt Mae', ['Mae Hollis'])] });
+    await entities.refreshEntityRegistry(BUCKET, ['one']);
+    await entities.refreshEntityRegistry(BUCKET, ['two']);
+    assert.deepEqual(await personIds('one'), ['mae-hollis']);
+    assert.deepEqual(await personIds('two'), ['mae-hollis']);
+});
+
+test('a single word shared as an alias does not join people', async () => {
+    await recordEntry('one', { people: [mention('Mother')] });
+    await recordEntry('two', { people: [mention('Aunt Mae', ['Mother'])] });
+    await entities.refreshEntityRegistry(BUCKET, ['one', 'two']);
+    assert.notDeepEqual(await personIds('one'), await personIds('two'));
+});
+
+test('refreshing or rebuilding keeps single-word names on their entity', async () => {
+    await recordEntry('one', { people: [mention('Mother')] });
+    await entities.refreshEntityRegistry(BUCKET, ['one']);
+    const before = await personIds('one');
+    await entities.refreshEntityRegistry(BUCKET, ['one']);
+    assert.deepEqual(await personIds('one'), before);
+    await entities.rebuildEntityRegistry(BUCKET);
+    assert.deepEqual(await personIds('one'), before);
+});
+
+test('a renamed entry keeps its single-word names on their entity', async () => {
+    await recordEntry('old', { people: [mention('Mother')] });
+    await entities.refreshEntityRegistry(BUCKET, ['old']);
+    const before = await personIds('old');
+    await storage.copyS3Object(BUCKET, 'urara/old/entities.json', 'urara/new/entities.json');
+    await storage.deleteS3Objects(BUCKET, ['urara/old/entities.json']);
+    await entities.refreshEntityRegistry(BUCKET, ['old', 'new']);
+    assert.deepEqual(await personIds('new'), before);
+});
+
+test('lookups by a single-word name used for several people are ambiguous', async () => {
+    await recordEntry('one', { people: [mention('Mother')] });
+    await recordEntry('two', { people: [mention('Mother')] });
+    await entities.refreshEntityRegistry(BUCKET, ['one', 'two']);
+    const registry = await entities.readEntityRegistry(BUCKET);
+    const lookup = entities.findEntity(registry, { entries: {} }, { name: 'mother', entityType: 'person' });
+    assert.equal(lookup.status, 'ambiguous');
+    assert.equal(lookup.candidates.length, 2);
+});
@@ -0,0 +1,104 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { useOfflineEnvironment, quietConsole, invoke, signToken, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let storageModule;
+
+const markdown = (title) => `---\ntitle: ${title}\ncreated: 1901-01-01\n---\n\nBody of ${title}\n`;
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    storageModule = await import('../utils/storage.js');
+    const { putS3Object } = await import('../utils/s3_update.js');
+    for (const title of ['One', 'Two']) {
+        const saved = await invoke(handler, { type: 'update', title: `/${title.toLowerCase()}/`, content: markdown(title) });
+        assert.equal(saved.statusCode, 200);
+        // Incompressible and larger than the stream buffers, so archiver has to wait for the upload to read it
+        await putS3Object(BUCKET, `urara/${title.toLowerCase()}/document.pdf`, crypto.randomBytes(2 * 1024 * 1024), { contentType: 'application/pdf' });
+    }
+});
+
+afterEach(() => {
+    storageModule.useStorage(null);
+    delete process.env.EXPORT_MAX_ENTRIES;
+    process.env.AUTH_DISABLED = 'true';
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('exports the selected entries', async () => {
+    const exported = await invoke(handler, { type: 'exportArchive', all: true });
+    assert.equal(exported.statusCode, 200);
+    assert.match(exported.body.downloadUrl, /^file:\/\/.*\/exports\/.*\.zip$/);
+});
+
+test('a failed upload fails the export instead of leaving it waiting', async () => {
+    const local = storageModule.getStorage();
+    const uploadError = Object.assign(new Error('Access Denied'), { name: 'AccessDenied' });
+    storageModule.useStorage({
+        ...local,
+        put: async (bucketName, key, body, options) => {
+            if (!(body instanceof Readable)) {
+                return local.put(bucketName, key, body, options);
+            }
+            // Reads a little, then gives up the way a rejected multipart upload does
+            for await (const chunk of body) {
+                void chunk;
+                break;
+            }
+            throw uploadError;
+        },
+    });
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        const timeout = new Promise((resolve) => setTimeout(() => resolve('timed out'), 10000).unref());
+        const exported = await Promise.race([invoke(handler, { type: 'exportArchive', all: true }), timeout]);
+        assert.notEqual(exported, 'timed out');
+        assert.equal(exported.statusCode, 500);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(unhandled, []);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
+
+test('viewers cannot export', async () => {
+    process.env.AUTH_DISABLED = 'false';
+    const refused = await invoke(handler, { type: 'exportArchive', all: true, authToken: await signToken('ann', 'viewer') });
+    assert.equal(refused.statusCode, 403);
+});
+
+test('selections over the entry limit are refused', async () => {
+    process.env.EXPORT_MAX_ENTRIES = '1';
+    const refused = await invoke(handler, { type: 'exportArchive', all: true });
+    assert.equal(refused.statusCode, 400);
+    assert.equal(refused.body.entryCount, 2);
+});
+
+test('purgeExports deletes exports older than EXPORT_TTL_HOURS', async () => {
+    const kept = await invoke(handler, { type: 'exportArchive', all: true });
+    const old = await invoke(handler, { type: 'exportArchive', all: true });
+    const exportPath = (key) => path.join(environment.storageDir, BUCKET, key);
+    const dayAgo = new Date(Date.now() - 25 * 3600 * 1000);
+    fs.utimesSync(exportPath(old.body.key), dayAgo, dayAgo);
+
+    const purged = await invoke(handler, { type: 'purgeExports' });
+    assert.equal(purged.statusCode, 200);
+    assert.ok(purged.body.purged >= 1);
+    assert.ok(fs.existsSync(exportPath(kept.body.key)));
+    assert.ok(!fs.existsSync(exportPath(old.body.key)));
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, invoke, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let s3;
+let frontmatter;
+
+// Written by hand before entries were generated: a comment, a folded scalar, a nested mapping and a scalar tag
+const legacyMarkdown = (title, body) => `---
+title: ${title}
+# scanned by Grandma
+description: >
+  A letter home
+  from the farm
+location:
+  city: Ames
+  state: Iowa
+tags: farm
+created: 1901-01-01
+---
+
+${body}
+`;
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    s3 = await import('../utils/s3_update.js');
+    frontmatter = await import('../utils/frontmatter.js');
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('frontmatter is read as YAML, keeping scalars as strings', () => {
+    const { data, body } = frontmatter.parseFrontmatter(legacyMarkdown('Old Letter', 'Dear all'));
+    assert.deepEqual(data, {
+        title: 'Old Letter',
+        description: 'A letter home from the farm\n',
+        location: { city: 'Ames', state: 'Iowa' },
+        tags: 'farm',
+        created: '1901-01-01',
+    });
+    assert.equal(body, 'Dear all\n');
+    assert.throws(() => frontmatter.parseFrontmatter('---\ntitle: {\n---\n\nBody\n'));
+});
+
+test('updating frontmatter rewrites only the changed fields', () => {
+    const updated = frontmatter.updateFrontmatter(legacyMarkdown('Old Letter', 'Dear all'), { title: 'New: Letter', tags: ['farm', 'iowa'], summary: 'Short' });
+    assert.equal(updated, `---
+title: "New: Letter"
+# scanned by Grandma
+description: >
+  A letter home
+  from the farm
+location:
+  city: Ames
+  state: Iowa
+tags:
+  - farm
+  - iowa
+created: 1901-01-01
+summary: Short
+---
+
+Dear all
+`);
+    // Lines that are not YAML at all are kept too
+    assert.equal(frontmatter.updateFrontmatter('---\nodd: {\ntitle: A\n---\n\nBody\n', { title: 'B' }), '---\nodd: {\ntitle: B\n---\n\nBody\n');
+});
+
+test('titles YAML would misread come back as they were written', () => {
+    const titles = ['Dear Mae: a letter', '#3 from Ames', 'Mae #2', '"Quoted" opening', "'Single' quotes", 'yes', '1901-01-01', '- dash', 'ends with a colon:', 'trailing space '];
+    for (const title of titles) {
+        const rendered = frontmatter.renderFrontmatter({ title, tags: [title] });
+        assert.deepEqual(frontmatter.parseFrontmatter(`${rendered}\nBody\n`).data, { title, tags: [title] }, rendered);
+        const updated = frontmatter.updateFrontmatter('---\ntitle: Old\n---\n\nBody\n', { title });
+        assert.equal(frontmatter.parseFrontmatter(updated).data.title, title, updated);
+    }
+});
+
+test('legacy tags are catalogued and searchable', async () => {
+    const { catalogRecordFromMarkdown, filterCatalog } = await import('../utils/catalog.js');
+    const single = catalogRecordFromMarkdown('old-letter', legacyMarkdown('Old Letter', 'Dear all'));
+    assert.deepEqual(single.tags, ['farm']);
+    const mixed = catalogRecordFromMarkdown('reply', '---\ntitle: Reply\ntags:\n  - Farm\n  - place: Ames\n  - \n---\n\nDear son\n');
+    assert.deepEqual(mixed.tags, ['Farm']);
+    const catalog = { entries: { 'old-letter': single, reply: mixed } };
+    assert.deepEqual(filterCatalog(catalog, { tags: ['FARM'] }).map(entry => entry.slug), ['old-letter', 'reply']);
+});
+
+test('hand-written entries can be renamed and merged', async () => {
+    await s3.putS3Object(BUCKET, 'urara/old-letter/+page.svelte.md', legacyMarkdown('Old Letter', 'Dear all'));
+    await s3.putS3Object(BUCKET, 'urara/reply/+page.svelte.md', legacyMarkdown('Reply', 'Dear son'));
+
+    const renamed = await invoke(handler, { type: 'rename', title: '/old-letter/', newTitle: 'Farm Letter' });
+    assert.equal(renamed.statusCode, 200);
+    const merged = await invoke(handler, { type: 'merge', title: '/farm-letter/', sourceTitle: '/reply/' });
+    assert.equal(merged.statusCode, 200);
+
+    const { body } = await s3.getS3TextObject(BUCKET, 'urara/farm-letter/+page.svelte.md');
+    const { data, body: text } = frontmatter.parseFrontmatter(body);
+    assert.equal(data.title, 'Farm Letter');
+    assert.deepEqual(data.location, { city: 'Ames', state: 'Iowa' });
+    assert.deepEqual(data.tags, ['farm']);
+    assert.match(body, /# scanned by Grandma/);
+    assert.match(text, /Dear all[\s\S]*Dear son/);
+});
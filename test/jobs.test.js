@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, invoke, signToken } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let dispatcherModule;
+
+const letter = { fileName: 'letter.txt', fileData: Buffer.from('Dear Mae,\n\nThe harvest is in.\n').toString('base64') };
+
+const metadata = {
+    title: 'Harvest Letter',
+    created: '1901-09-01',
+    description: 'A letter about the harvest.',
+    summary: 'A letter about the harvest.',
+    tags: ['harvest'],
+    people: [],
+    places: [],
+    events: [],
+};
+
+// Asks for the job until it has finished, as a client of an async create would
+const waitForJob = async (jobId) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const { body } = await invoke(handler, { type: 'jobStatus', jobId });
+        if (body.status === 'done' || body.status === 'failed') {
+            return body;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish.`);
+};
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    dispatcherModule = await import('../utils/job_dispatcher.js');
+});
+
+afterEach(() => {
+    dispatcherModule.useJobDispatcher(null);
+    process.env.AUTH_DISABLED = 'true';
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('async creates run in this process with the local dispatcher, and a failed job frees its idempotency key', async () => {
+    const task = { type: 'create', files: [letter], async: true, idempotencyKey: 'harvest-letter' };
+
+    // No fixture is recorded yet, so the first job fails
+    const first = await invoke(handler, task);
+    assert.equal(first.statusCode, 202);
+    const failed = await waitForJob(first.body.jobId);
+    assert.equal(failed.status, 'failed');
+    const [, key] = failed.error.match(/fixture found for key (\w+)/);
+    fs.writeFileSync(path.join(environment.fixtureDir, `${key}.json`), JSON.stringify({ 'OCR metadata': metadata }));
+
+    const second = await invoke(handler, task);
+    assert.equal(second.statusCode, 202);
+    assert.notEqual(second.body.jobId, first.body.jobId);
+    const done = await waitForJob(second.body.jobId);
+    assert.equal(done.status, 'done');
+    assert.equal(done.result.title, 'Harvest Letter');
+
+    // A job that did not fail keeps its key
+    const third = await invoke(handler, task);
+    assert.equal(third.body.jobId, second.body.jobId);
+});
+
+test('async creates go through the injected dispatcher', async () => {
+    const dispatched = [];
+    dispatcherModule.useJobDispatcher({ name: 'recorder', dispatch: async (jobId) => { dispatched.push(jobId); } });
+    const created = await invoke(handler, { type: 'create', files: [letter], async: true });
+    assert.equal(created.statusCode, 202);
+    assert.deepEqual(dispatched, [created.body.jobId]);
+    assert.equal(created.body.status, 'queued');
+});
+
+test('a job that could not be dispatched fails and frees its key', async () => {
+    dispatcherModule.useJobDispatcher({ name: 'broken', dispatch: async () => { throw new Error('Lambda is unreachable'); } });
+    const task = { type: 'create', files: [letter], async: true, idempotencyKey: 'unreachable' };
+    const first = await invoke(handler, task);
+    assert.equal(first.statusCode, 500);
+
+    dispatcherModule.useJobDispatcher(null);
+    const second = await invoke(handler, task);
+    assert.equal(second.statusCode, 202);
+    assert.equal((await waitForJob(second.body.jobId)).status, 'done');
+});
+
+test('idempotency keys and job status belong to the caller who created the job', async () => {
+    dispatcherModule.useJobDispatcher({ name: 'recorder', dispatch: async () => {} });
+    process.env.AUTH_DISABLED = 'false';
+    const [mae, tom, viewer, admin] = await Promise.all([
+        signToken('mae', 'contributor'),
+        signToken('tom', 'contributor'),
+        signToken('ann', 'viewer'),
+        signToken('boss', 'admin'),
+    ]);
+    const task = { type: 'create', files: [letter], async: true, idempotencyKey: 'shared-key' };
+
+    const mine = await invoke(handler, { ...task, authToken: mae });
+    assert.equal(mine.statusCode, 202);
+    const theirs = await invoke(handler, { ...task, authToken: tom });
+    assert.equal(theirs.statusCode, 202);
+    assert.notEqual(theirs.body.jobId, mine.body.jobId);
+    assert.equal((await invoke(handler, { ...task, authToken: mae })).body.jobId, mine.body.jobId);
+
+    const status = (authToken) => invoke(handler, { type: 'jobStatus', jobId: mine.body.jobId, authToken });
+    assert.equal((await status(mae)).statusCode, 200);
+    assert.equal((await status(admin)).statusCode, 200);
+    assert.equal((await status(tom)).statusCode, 404);
+    assert.equal((await status(viewer)).statusCode, 404);
+});
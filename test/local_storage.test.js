@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { createLocalStorage } from '../utils/local_storage.js';
+import { isPreconditionFailure } from '../utils/s3_update.js';
+import { useOfflineEnvironment } from './support.js';
+
+let environment;
+let storage;
+
+const readBody = async (object) => {
+    const chunks = [];
+    for await (const chunk of object.body) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+before(() => {
+    environment = useOfflineEnvironment();
+    storage = createLocalStorage({ rootDir: environment.storageDir });
+});
+
+after(() => environment.cleanup());
+
+test('put and get round-trip the body, content type and metadata', async () => {
+    const etag = await storage.put('bucket', 'urara/a/+page.svelte.md', 'hello', { contentType: 'text/markdown', metadata: { author: 'Zoë' } });
+    const object = await storage.get('bucket', 'urara/a/+page.svelte.md');
+    assert.equal(await readBody(object), 'hello');
+    assert.equal(object.etag, etag);
+    assert.equal(object.contentType, 'text/markdown');
+    assert.deepEqual(object.metadata, { author: 'Zoë' });
+    assert.equal((await storage.head('bucket', 'urara/a/+page.svelte.md')).size, 5);
+    assert.ok(fs.existsSync(path.join(environment.storageDir, 'bucket', 'urara', 'a', '+page.svelte.md')));
+});
+
+test('missing objects read as null', async () => {
+    assert.equal(await storage.get('bucket', 'nothing/here'), null);
+    assert.equal(await storage.head('bucket', 'nothing/here'), null);
+});
+
+test('conditional writes fail with a precondition error', async () => {
+    const etag = await storage.put('bucket', 'cond.json', '1');
+    await assert.rejects(storage.put('bucket', 'cond.json', '2', { ifNoneMatch: '*' }), isPreconditionFailure);
+    await assert.rejects(storage.put('bucket', 'cond.json', '2', { ifMatch: 'stale' }), isPreconditionFailure);
+    const next = await storage.put('bucket', 'cond.json', '2', { ifMatch: etag });
+    assert.notEqual(next, etag);
+});
+
+test('only one of several concurrent creates wins', async () => {
+    const results = await Promise.allSettled([1, 2, 3, 4].map(n => storage.put('bucket', 'lock.json', String(n), { ifNoneMatch: '*' })));
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.ok(results.filter(result => result.status === 'rejected').every(result => isPreconditionFailure(result.reason)));
+});
+
+test('list pages through keys and rolls them up into folders', async () => {
+    for (const key of ['list/a/1', 'list/b/1', 'list/b/2', 'list/c.md', 'list/d/e/f']) {
+        await storage.put('bucket', key, key);
+    }
+    const seen = [];
+    let cursor = null;
+    do {
+        const page = await storage.list('bucket', { prefix: 'list/', delimiter: '/', cursor, limit: 2 });
+        seen.push(...page.folders, ...page.objects.map(object => object.key));
+        cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen.sort(), ['list/a/', 'list/b/', 'list/c.md', 'list/d/']);
+
+    const all = await storage.list('bucket', { prefix: 'list/b' });
+    assert.deepEqual(all.objects.map(object => object.key), ['list/b/1', 'list/b/2']);
+    assert.equal(all.nextCursor, null);
+});
+
+test('copy keeps metadata and honours ifMatch on the source', async () => {
+    const etag = await storage.put('bucket', 'copy/source', 'x', { contentType: 'application/pdf', metadata: { author: 'a' } });
+    await storage.copy('bucket', 'copy/source', 'copy/target', { ifMatch: etag });
+    const copied = await storage.head('bucket', 'copy/target');
+    assert.equal(copied.contentType, 'application/pdf');
+    assert.deepEqual(copied.metadata, { author: 'a' });
+    await assert.rejects(storage.copy('bucket', 'copy/source', 'copy/other', { ifMatch: 'stale' }), isPreconditionFailure);
+});
+
+test('delete removes objects and the folders they leave empty', async () => {
+    await storage.put('bucket', 'gone/deep/file', 'x');
+    await storage.delete('bucket', ['gone/deep/file', 'never/existed']);
+    assert.equal(await storage.head('bucket', 'gone/deep/file'), null);
+    assert.ok(!fs.existsSync(path.join(environment.storageDir, 'bucket', 'gone')));
+    assert.deepEqual((await storage.list('bucket', { prefix: 'gone/', delimiter: '/' })).folders, []);
+});
+
+test('streams are written in full', async () => {
+    await storage.put('bucket', 'exports/archive.zip', Readable.from([Buffer.from('ab'), Buffer.from('cd')]), { contentType: 'application/zip' });
+    assert.equal(await readBody(await storage.get('bucket', 'exports/archive.zip')), 'abcd');
+});
+
+test('keys that would leave the bucket folder are refused', async () => {
+    for (const key of ['../escape', 'a//b', '.storage/meta', '/absolute']) {
+        await assert.rejects(storage.put('bucket', key, 'x'), /cannot be stored locally/);
+    }
+});
+
+test('presigned URLs point at the file', async () => {
+    const url = await storage.presign('bucket', 'urara/a/+page.svelte.md', { method: 'GET', expiresIn: 60 });
+    assert.equal(url, `file://${path.join(environment.storageDir, 'bucket', 'urara', 'a', '+page.svelte.md')}`);
+});
@@ -0,0 +1,81 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { useOfflineEnvironment, quietConsole, invoke, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let storageModule;
+let s3;
+
+const markdown = (title, body = 'Body') => `---\ntitle: ${title}\ncreated: 1901-01-01\n---\n\n${body}\n`;
+
+const createEntry = async (slug, title) => {
+    const saved = await invoke(handler, { type: 'update', title: `/${slug}/`, content: markdown(title) });
+    assert.equal(saved.statusCode, 200);
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    pdfDoc.setTitle(title);
+    await s3.putS3Object(BUCKET, `urara/${slug}/document.pdf`, await pdfDoc.save(), { contentType: 'application/pdf' });
+    return saved.body.etag;
+};
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    storageModule = await import('../utils/storage.js');
+    s3 = await import('../utils/s3_update.js');
+});
+
+afterEach(() => storageModule.useStorage(null));
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('renaming moves the entry and retitles its PDF', async () => {
+    await createEntry('old-letter', 'Old Letter');
+    const renamed = await invoke(handler, { type: 'rename', title: '/old-letter/', newTitle: 'New Letter' });
+    assert.equal(renamed.statusCode, 200);
+    assert.equal(renamed.body.slug, 'new-letter');
+    assert.equal(await s3.getS3TextObject(BUCKET, 'urara/old-letter/+page.svelte.md'), null);
+    assert.match((await s3.getS3TextObject(BUCKET, 'urara/new-letter/+page.svelte.md')).body, /title: New Letter/);
+    const pdf = await PDFDocument.load(await s3.getS3ObjectBytes(BUCKET, 'urara/new-letter/document.pdf'));
+    assert.equal(pdf.getTitle(), 'New Letter');
+});
+
+test('a rename based on a stale etag is refused and moves nothing', async () => {
+    const etag = await createEntry('stale', 'Stale');
+    await invoke(handler, { type: 'update', title: '/stale/', content: markdown('Stale', 'edited'), expectedEtag: etag });
+    const renamed = await invoke(handler, { type: 'rename', title: '/stale/', newTitle: 'Fresh', expectedEtag: etag });
+    assert.equal(renamed.statusCode, 409);
+    assert.ok(await s3.getS3TextObject(BUCKET, 'urara/stale/+page.svelte.md'));
+    assert.equal(await s3.getS3TextObject(BUCKET, 'urara/fresh/+page.svelte.md'), null);
+});
+
+test('an edit that lands during a rename leaves the entry where it was', async () => {
+    await createEntry('racing', 'Racing');
+    const local = storageModule.getStorage();
+    let raced = false;
+    storageModule.useStorage({
+        ...local,
+        get: async (bucketName, key) => {
+            const object = await local.get(bucketName, key);
+            if (!raced && key === 'urara/racing/+page.svelte.md') {
+                // Someone else saves the entry right after the rename read it
+                raced = true;
+                await local.put(bucketName, key, markdown('Racing', 'their edit'));
+            }
+            return object;
+        },
+    });
+    const renamed = await invoke(handler, { type: 'rename', title: '/racing/', newTitle: 'Renamed' });
+    assert.equal(renamed.statusCode, 409);
+    storageModule.useStorage(null);
+    assert.match((await s3.getS3TextObject(BUCKET, 'urara/racing/+page.svelte.md')).body, /their edit/);
+    assert.ok(await s3.getS3ObjectBytes(BUCKET, 'urara/racing/document.pdf'));
+    assert.deepEqual(await s3.listS3Objects(BUCKET, 'urara/renamed/'), []);
+});
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SignJWT } from 'jose';
+
+export const BUCKET = 'test-bucket';
+const JWT_SECRET = 'test-secret';
+
+/**
+ * Points storage, deploys, jobs, OCR and auth at offline stand-ins, with storage and
+ * fixtures in a new temporary directory. Call it before importing index.js,
+ * which reads the bucket name when it loads.
+ * @returns {{ dir: string, storageDir: string, fixtureDir: string, cleanup: () => void }}
+ */
+export const useOfflineEnvironment = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hold-that-thought-'));
+    const storageDir = path.join(dir, 'storage');
+    const fixtureDir = path.join(dir, 'fixtures');
+    fs.mkdirSync(fixtureDir, { recursive: true });
+    Object.assign(process.env, {
+        STORAGE_BACKEND: 'local',
+        STORAGE_DIR: storageDir,
+        BUCKET_NAME: BUCKET,
+        DEPLOY_TARGET: 'local',
+        JOB_DISPATCHER: 'local',
+        OCR_PROVIDER: 'fixture',
+        OCR_FIXTURE_DIR: fixtureDir,
+        AUTH_DISABLED: 'true',
+        AUTH_JWT_SECRET: JWT_SECRET,
+    });
+    return { dir, storageDir, fixtureDir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+};
+
+/**
+ * Silences the handler's logging so test output stays readable
+ * @returns {() => void} - Restores it
+ */
+export const quietConsole = () => {
+    const saved = { log: console.log, warn: console.warn, error: console.error };
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    return () => Object.assign(console, saved);
+};
+
+/**
+ * Runs a task through the handler as a direct invocation
+ * @param {Function} handler
+ * @param {Object} task
+ * @returns {Promise<{ statusCode: number, body: Object }>}
+ */
+export const invoke = async (handler, task) => {
+    const response = await handler(task);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+/**
+ * Signs a token the handler accepts once AUTH_DISABLED is turned off
+ * @param {string} sub - The caller's id
+ * @param {string} role
+ * @returns {Promise<string>}
+ */
+export const signToken = (sub, role) => new SignJWT({ roles: [role], name: sub })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(sub)
+    .setExpirationTime('1h')
+    .sign(new TextEncoder().encode(JWT_SECRET));
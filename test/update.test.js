@@ -0,0 +1,34 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, invoke } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+
+const markdown = (title, body) => `---\ntitle: ${title}\ncreated: 1901-01-01\n---\n\n${body}\n`;
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('an update based on a stale etag is refused with 409', async () => {
+    const created = await invoke(handler, { type: 'update', title: '/letter/', content: markdown('Letter', 'first') });
+    assert.equal(created.statusCode, 200);
+
+    const second = await invoke(handler, { type: 'update', title: '/letter/', content: markdown('Letter', 'second'), expectedEtag: created.body.etag });
+    assert.equal(second.statusCode, 200);
+
+    const stale = await invoke(handler, { type: 'update', title: '/letter/', content: markdown('Letter', 'third'), expectedEtag: created.body.etag });
+    assert.equal(stale.statusCode, 409);
+
+    const current = await invoke(handler, { type: 'downloadMD', title: '/letter/' });
+    assert.match(JSON.stringify(current.body), /second/);
+});
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, invoke, signToken, BUCKET } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let s3;
+let fixtures;
+
+const EXPIRED_ID = '00000000-0000-4000-8000-000000000000';
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    s3 = await import('../utils/s3_update.js');
+    fixtures = await import('../utils/fixture_ocr.js');
+});
+
+afterEach(() => {
+    process.env.AUTH_DISABLED = 'true';
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('expired uploads are left to purgeUploads, not to the next requestUpload', async () => {
+    await s3.putS3Object(BUCKET, `staging/${EXPIRED_ID}/_upload.json`, JSON.stringify({ uploadId: EXPIRED_ID, expiresAt: '2001-01-01T00:00:00.000Z' }));
+    await s3.putS3Object(BUCKET, `staging/${EXPIRED_ID}/1-old.jpg`, 'old');
+
+    const requested = await invoke(handler, { type: 'requestUpload', fileNames: ['letter.jpg'] });
+    assert.equal(requested.statusCode, 200);
+    assert.equal((await s3.listS3Objects(BUCKET, `staging/${EXPIRED_ID}/`)).length, 2);
+
+    const purged = await invoke(handler, { type: 'purgeUploads' });
+    assert.equal(purged.statusCode, 200);
+    assert.equal(purged.body.purged, 1);
+    assert.deepEqual(await s3.listS3Objects(BUCKET, `staging/${EXPIRED_ID}/`), []);
+    assert.equal((await s3.listS3Objects(BUCKET, `staging/${requested.body.uploadId}/`)).length, 1);
+});
+
+test('purgeUploads cannot be called over HTTP', async () => {
+    const response = await handler({
+        version: '2.0',
+        routeKey: '$default',
+        rawPath: '/',
+        requestContext: { http: { method: 'POST', path: '/' } },
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ type: 'purgeUploads' }),
+    });
+    assert.equal(response.statusCode, 403);
+});
+
+test('create only takes staged files from the caller who uploaded them', async () => {
+    process.env.AUTH_DISABLED = 'false';
+    const [mae, tom] = await Promise.all([signToken('mae', 'contributor'), signToken('tom', 'contributor')]);
+    const requested = await invoke(handler, { type: 'requestUpload', fileNames: ['letter.txt'], authToken: mae });
+    assert.equal(requested.statusCode, 200);
+    const [{ key }] = requested.body.files;
+    const text = Buffer.from('Dear Tom,\n\nThe corn is in.\n');
+    await s3.putS3Object(BUCKET, key, text);
+
+    fs.writeFileSync(path.join(environment.fixtureDir, `${fixtures.computeFixtureKey([text])}.json`), JSON.stringify({
+        'OCR metadata': {
+            title: 'Corn Letter',
+            created: '1902-09-01',
+            description: 'A letter about the corn.',
+            summary: 'A letter about the corn.',
+            tags: ['corn'],
+            people: [],
+            places: [],
+            events: [],
+        },
+    }));
+    const taken = await invoke(handler, { type: 'create', files: [{ key }], authToken: tom });
+    assert.notEqual(taken.statusCode, 200);
+    assert.ok(await s3.getS3ObjectBytes(BUCKET, key));
+
+    const created = await invoke(handler, { type: 'create', files: [{ key }], authToken: mae });
+    assert.equal(created.statusCode, 200);
+    assert.equal(await s3.getS3ObjectBytes(BUCKET, key), null);
+});
@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnvironment, quietConsole, invoke } from './support.js';
+
+let environment;
+let restoreConsole;
+let handler;
+let validation;
+
+before(async () => {
+    environment = useOfflineEnvironment();
+    restoreConsole = quietConsole();
+    ({ handler } = await import('../index.js'));
+    validation = await import('../utils/validation.js');
+});
+
+after(() => {
+    restoreConsole();
+    environment.cleanup();
+});
+
+test('dates must exist on the calendar', () => {
+    const errorsFor = (createdFrom) => validation.validateTask({ type: 'query', createdFrom }).errors;
+    assert.deepEqual(errorsFor('2024-02-29'), []);
+    assert.deepEqual(errorsFor('0050-12-31'), []);
+    assert.deepEqual(errorsFor('2024-02-31'), [{ field: 'createdFrom', message: 'Must be a date that exists.' }]);
+    assert.deepEqual(errorsFor('2023-02-29'), [{ field: 'createdFrom', message: 'Must be a date that exists.' }]);
+    assert.deepEqual(errorsFor('2024-13-01'), [{ field: 'createdFrom', message: 'Must be a date that exists.' }]);
+    assert.deepEqual(errorsFor('2024-04-00'), [{ field: 'createdFrom', message: 'Must be a date that exists.' }]);
+    assert.deepEqual(errorsFor('2024-4-1'), [{ field: 'createdFrom', message: 'Must be a date in YYYY-MM-DD form.' }]);
+});
+
+test('a query for an impossible date is refused with 400', async () => {
+    const response = await invoke(handler, { type: 'query', createdTo: '2024-02-31' });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.body.errors, [{ field: 'createdTo', message: 'Must be a date that exists.' }]);
+});
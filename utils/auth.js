@@ -0,0 +1,183 @@
+import { jwtVerify, createRemoteJWKSet } from 'jose';
+import { getAuthConfig } from './config.js';
+
+// Ordered from least to most privileged; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'contributor', 'admin'];
+
+/**
+ * Role needed for each task type. 'internal' tasks are only run by this
+ * function itself (direct invocation) and cannot be reached over HTTP.
+ * Task types missing here need 'admin'.
+ */
+export const TASK_ROLES = {
+    download: 'viewer',
+    downloadMD: 'viewer',
+    history: 'viewer',
+    getRevision: 'viewer',
+    list: 'viewer',
+    query: 'viewer',
+    search: 'viewer',
+    people: 'viewer',
+    entity: 'viewer',
+    listEntities: 'viewer',
+    jobStatus: 'viewer',
+    deployStatus: 'viewer',
+    create: 'contributor',
+    requestUpload: 'contributor',
+    update: 'contributor',
+    append: 'contributor',
+    revert: 'contributor',
+    listDrafts: 'contributor',
+    exportArchive: 'contributor',
+    rename: 'admin',
+    merge: 'admin',
+    delete: 'admin',
+    restore: 'admin',
+    rebuildCatalog: 'admin',
+    rebuildSearchIndex: 'admin',
+    mergeEntities: 'admin',
+    rebuildEntities: 'admin',
+    deploy: 'admin',
+    approve: 'admin',
+    reject: 'admin',
+    runJob: 'internal',
+    purgeUploads: 'internal',
+    purgeExports: 'internal',
+    deployPending: 'internal',
+};
+
+// Drafts have not been reviewed yet, so reading them takes more than viewing the published site
+const DRAFT_READ_ROLE = 'contributor';
+const DRAFT_READ_TASKS = ['download', 'downloadMD'];
+
+const SECRET_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+// The key set is cached across warm invocations; jose refreshes it when it sees an unknown key id
+let remoteJwks = null;
+let remoteJwksUrl = null;
+
+const getVerificationKey = ({ jwksUrl, jwtSecret }) => {
+    if (jwksUrl) {
+        if (remoteJwksUrl !== jwksUrl) {
+            remoteJwks = createRemoteJWKSet(new URL(jwksUrl));
+            remoteJwksUrl = jwksUrl;
+        }
+        return { key: remoteJwks, algorithms: KEY_ALGORITHMS };
+    }
+    return { key: new TextEncoder().encode(jwtSecret), algorithms: SECRET_ALGORITHMS };
+};
+
+/**
+ * Picks the most privileged known role named in the roles claim
+ * @param {string|string[]|undefined} claim - A role, a list of roles or a space separated string
+ * @returns {string|null}
+ */
+const roleFromClaim = (claim) => {
+    const values = (Array.isArray(claim) ? claim : String(claim ?? '').split(/\s+/))
+        .map(value => String(value).toLowerCase());
+    const known = ROLES.filter(role => values.includes(role));
+    return known.length > 0 ? known[known.length - 1] : null;
+};
+
+/**
+ * Extracts the bearer token from an Authorization header value
+ * @param {string|undefined} header
+ * @returns {string|null}
+ */
+export const bearerToken = (header) => {
+    const match = typeof header === 'string' ? header.match(/^Bearer\s+(\S+)\s*$/i) : null;
+    return match ? match[1] : null;
+};
+
+/**
+ * Verifies a caller's token and maps its claims to a role
+ * @param {string|null} token - Compact JWT
+ * @returns {Promise<{ status: 'authenticated', caller: { id: string, name: string, role: string|null } } | { status: 'unauthenticated', message: string } | { status: 'misconfigured', message: string }>}
+ */
+export const authenticate = async (token) => {
+    const config = getAuthConfig();
+    if (config.authDisabled) {
+        return { status: 'authenticated', caller: { id: 'anonymous', name: 'anonymous', role: 'admin', anonymous: true } };
+    }
+    if (!config.jwksUrl && !config.jwtSecret) {
+        return { status: 'misconfigured', message: 'Set AUTH_JWKS_URL or AUTH_JWT_SECRET, or AUTH_DISABLED=true for local use.' };
+    }
+    if (!token) {
+        return { status: 'unauthenticated', message: 'A bearer token is required.' };
+    }
+
+    const { key, algorithms } = getVerificationKey(config);
+    try {
+        const { payload } = await jwtVerify(token, key, {
+            algorithms,
+            issuer: config.issuer,
+            audience: config.audience,
+        });
+        if (!payload.sub) {
+            return { status: 'unauthenticated', message: "The token has no 'sub' claim." };
+        }
+        return {
+            status: 'authenticated',
+            caller: {
+                id: payload.sub,
+                name: payload.email || payload.preferred_username || payload.name || payload.sub,
+                role: roleFromClaim(payload[config.rolesClaim]),
+            },
+        };
+    } catch (error) {
+        console.warn(`Token rejected: ${error.code || error.name}: ${error.message}`);
+        return {
+            status: 'unauthenticated',
+            message: error.code === 'ERR_JWT_EXPIRED' ? 'The token has expired.' : 'The token is not valid.',
+        };
+    }
+};
+
+/**
+ * Role needed to run a task. Reading a draft with download or downloadMD
+ * needs DRAFT_READ_ROLE rather than the task's own role.
+ * @param {string} taskType
+ * @param {{ draft?: boolean }} [task] - The task, before validation
+ * @returns {string} - One of ROLES, or 'internal'
+ */
+export const requiredRoleFor = (taskType, { draft } = {}) => {
+    if (draft && DRAFT_READ_TASKS.includes(taskType)) {
+        return DRAFT_READ_ROLE;
+    }
+    return Object.hasOwn(TASK_ROLES, taskType) ? TASK_ROLES[taskType] : 'admin';
+};
+
+/**
+ * Checks whether a caller may run a task
+ * @param {{ role: string|null }} caller
+ * @param {{ type: string, draft?: boolean }} task
+ * @param {boolean} viaHttp - Whether the task arrived over HTTP rather than by direct invocation
+ * @returns {{ allowed: boolean, requiredRole: string }}
+ */
+export const authorizeTask = (caller, task, viaHttp) => {
+    const requiredRole = requiredRoleFor(task.type, task);
+    if (requiredRole === 'internal') {
+        return { allowed: !viaHttp, requiredRole };
+    }
+    const allowed = caller.role !== null && ROLES.indexOf(caller.role) >= ROLES.indexOf(requiredRole);
+    return { allowed, requiredRole };
+};
+
+/**
+ * Copies an event for logging with credentials left out
+ * @param {Object} event
+ * @returns {Object}
+ */
+export const redactEvent = (event) => {
+    if (!event || typeof event !== 'object') {
+        return event;
+    }
+    const copy = { ...event };
+    if (copy.authToken) copy.authToken = '[redacted]';
+    if (copy.headers) {
+        copy.headers = Object.fromEntries(Object.entries(copy.headers).map(([name, value]) =>
+            [name, /^(authorization|cookie)$/i.test(name) ? '[redacted]' : value]));
+    }
+    return copy;
+};
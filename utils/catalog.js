@@ -0,0 +1,175 @@
+import { getS3Folders, getS3TextObject, putS3Object, patchS3Json } from './s3_update.js';
+import { mapWithConcurrency, encodePageCursor, decodePageCursor, resolvePageSize } from './helper.js';
+import { parseFrontmatter, tagsOf } from './frontmatter.js';
+import { folderNameFromPrefix } from './slug.js';
+import { ENTRY_ROOT, entryMarkdownKey } from './keys.js';
+
+export const CATALOG_KEY = 'urara/_index.json';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const emptyCatalog = () => ({ version: 1, updatedAt: null, entries: {} });
+
+/**
+ * Builds the catalog record for an entry from its markdown
+ * @param {string} slug - Entry folder name
+ * @param {string} markdown - Full '+page.svelte.md' content
+ * @returns {{ slug: string, title: string, created: string|null, tags: string[], summary: string|null, description: string|null, updatedAt: string }}
+ */
+export const catalogRecordFromMarkdown = (slug, markdown) => {
+    let data = {};
+    try {
+        ({ data } = parseFrontmatter(markdown));
+    } catch (error) {
+        console.warn(`Could not parse frontmatter for ${slug}, cataloguing it without metadata:`, error.message);
+    }
+    return {
+        slug,
+        title: typeof data.title === 'string' && data.title ? data.title : slug,
+        created: typeof data.created === 'string' ? data.created : null,
+        tags: tagsOf(data),
+        summary: typeof data.summary === 'string' ? data.summary : null,
+        description: typeof data.description === 'string' ? data.description : null,
+        updatedAt: new Date().toISOString(),
+    };
+};
+
+/**
+ * Reads the catalog document
+ * @param {string} bucketName
+ * @returns {Promise<{ catalog: Object, etag: string|null }>} - An empty catalog and null ETag if none exists yet
+ */
+export const readCatalog = async (bucketName) => {
+    const object = await getS3TextObject(bucketName, CATALOG_KEY);
+    if (!object) {
+        return { catalog: emptyCatalog(), etag: null };
+    }
+    return { catalog: JSON.parse(object.body), etag: object.etag };
+};
+
+const writeCatalog = async (bucketName, catalog, etag) => {
+    catalog.updatedAt = new Date().toISOString();
+    return putS3Object(bucketName, CATALOG_KEY, JSON.stringify(catalog), {
+        contentType: 'application/json',
+        ifMatch: etag ?? undefined,
+        ifNoneMatch: etag ? undefined : '*',
+    });
+};
+
+const patchCatalog = (bucketName, mutate) => patchS3Json(bucketName, CATALOG_KEY, (catalog) => {
+    mutate(catalog);
+    catalog.updatedAt = new Date().toISOString();
+}, { createEmpty: emptyCatalog });
+
+/**
+ * Re-reads the given entries and updates their catalog records; entries that
+ * no longer exist are removed. Failures are logged rather than thrown because
+ * the entry itself has already been written, and rebuildCatalog repairs any drift.
+ * @param {string} bucketName
+ * @param {string[]} slugs - Entry folder names
+ * @returns {Promise<boolean>} - Whether the catalog was updated
+ */
+export const refreshCatalogEntries = async (bucketName, slugs) => {
+    try {
+        const records = await mapWithConcurrency(slugs, 5, async (slug) => {
+            const markdown = await getS3TextObject(bucketName, entryMarkdownKey(slug));
+            return { slug, record: markdown ? catalogRecordFromMarkdown(slug, markdown.body) : null };
+        });
+        await patchCatalog(bucketName, (catalog) => {
+            for (const { slug, record } of records) {
+                if (record) {
+                    catalog.entries[slug] = record;
+                } else {
+                    delete catalog.entries[slug];
+                }
+            }
+        });
+        console.log(`Catalog refreshed for: ${slugs.join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error(`Error refreshing catalog for ${slugs.join(', ')}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Rebuilds the catalog from every entry folder under 'urara/'
+ * @param {string} bucketName
+ * @returns {Promise<Object>} - The new catalog
+ */
+export const rebuildCatalog = async (bucketName) => {
+    const folders = await getS3Folders(bucketName, ENTRY_ROOT);
+    const slugs = folders.map(folderNameFromPrefix);
+    const records = await mapWithConcurrency(slugs, 5, async (slug) => {
+        const markdown = await getS3TextObject(bucketName, entryMarkdownKey(slug));
+        return markdown ? catalogRecordFromMarkdown(slug, markdown.body) : null;
+    });
+
+    const catalog = emptyCatalog();
+    records.filter(Boolean).forEach(record => { catalog.entries[record.slug] = record; });
+    const { etag } = await readCatalog(bucketName);
+    await writeCatalog(bucketName, catalog, etag);
+    console.log(`Catalog rebuilt with ${Object.keys(catalog.entries).length} entries.`);
+    return catalog;
+};
+
+/**
+ * Filters and sorts catalog records
+ * @param {Object} catalog
+ * @param {{ tags?: string[], createdFrom?: string, createdTo?: string, titlePrefix?: string, order?: 'asc'|'desc' }} filters -
+ *   tags must all be present (case-insensitive); created dates are inclusive YYYY-MM-DD bounds
+ * @returns {Array<Object>} - Every matching record
+ */
+export const filterCatalog = (catalog, { tags = [], createdFrom, createdTo, titlePrefix, order = 'asc' } = {}) => {
+    const wantedTags = tags.map(tag => tag.toLowerCase());
+    const prefix = titlePrefix?.toLowerCase();
+
+    const matches = Object.values(catalog.entries).filter(entry => {
+        const entryTags = entry.tags.map(tag => tag.toLowerCase());
+        if (!wantedTags.every(tag => entryTags.includes(tag))) {
+            return false;
+        }
+        if ((createdFrom || createdTo) && !entry.created) {
+            return false;
+        }
+        if (createdFrom && entry.created < createdFrom) {
+            return false;
+        }
+        if (createdTo && entry.created > createdTo) {
+            return false;
+        }
+        return !prefix || entry.title.toLowerCase().startsWith(prefix);
+    });
+
+    // Undated entries sort last in either direction
+    const direction = order === 'desc' ? -1 : 1;
+    matches.sort((a, b) => {
+        if (a.created !== b.created) {
+            if (!a.created) return 1;
+            if (!b.created) return -1;
+            return a.created < b.created ? -direction : direction;
+        }
+        return a.slug.localeCompare(b.slug);
+    });
+    return matches;
+};
+
+/**
+ * Filters, sorts and paginates catalog records
+ * @param {Object} catalog
+ * @param {{ tags?: string[], createdFrom?: string, createdTo?: string, titlePrefix?: string, order?: 'asc'|'desc', limit?: number, cursor?: string }} query -
+ *   filters as for filterCatalog
+ * @returns {{ entries: Array<Object>, total: number, nextCursor: string|null }}
+ */
+export const queryCatalog = (catalog, { limit, cursor, ...filters } = {}) => {
+    const matches = filterCatalog(catalog, filters);
+    const pageSize = resolvePageSize(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = decodePageCursor(cursor);
+    const page = matches.slice(offset, offset + pageSize);
+    const nextOffset = offset + page.length;
+    return {
+        entries: page,
+        total: matches.length,
+        nextCursor: nextOffset < matches.length ? encodePageCursor(nextOffset) : null,
+    };
+};
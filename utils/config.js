@@ -0,0 +1,126 @@
+const readPositiveInt = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const readNonNegativeInt = (value, fallback) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const readList = (value) => (value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Runtime configuration read from environment variables.
+ * Read lazily so that tests and local runs can change the environment
+ * before the first call.
+ * @returns {{ ocrProvider: string, ocrModel: string, ocrFallbackModels: string[], geminiApiKey: string|undefined, ocrFixtureDir: string, ocrRecordFixtures: boolean, ocrPagesPerBatch: number, ocrConcurrency: number, ocrMaxRetries: number, ocrRetryBaseMs: number }} -
+ *   ocrFallbackModels are tried in order when ocrModel cannot answer; ocrRecordFixtures writes the model's responses to ocrFixtureDir
+ */
+export const getOcrConfig = () => ({
+    ocrProvider: (process.env.OCR_PROVIDER || 'gemini').toLowerCase(),
+    ocrModel: process.env.OCR_MODEL || 'gemini-2.5-pro-preview-03-25',
+    ocrFallbackModels: readList(process.env.OCR_FALLBACK_MODELS),
+    geminiApiKey: process.env.GEMINI_API_KEY,
+    ocrFixtureDir: process.env.OCR_FIXTURE_DIR || './fixtures/ocr',
+    ocrRecordFixtures: process.env.OCR_RECORD_FIXTURES === 'true',
+    ocrPagesPerBatch: readPositiveInt(process.env.OCR_PAGES_PER_BATCH, 4),
+    ocrConcurrency: readPositiveInt(process.env.OCR_CONCURRENCY, 3),
+    ocrMaxRetries: readNonNegativeInt(process.env.OCR_MAX_RETRIES, 3),
+    ocrRetryBaseMs: readPositiveInt(process.env.OCR_RETRY_BASE_MS, 1000),
+});
+
+/**
+ * Settings for asynchronous jobs.
+ * @returns {{ jobDispatcher: string, jobFunctionName: string|undefined, region: string }} -
+ *   the 'lambda' dispatcher invokes jobFunctionName, which defaults to this function;
+ *   the 'local' one runs jobs in this process
+ */
+export const getJobConfig = () => ({
+    jobDispatcher: (process.env.JOB_DISPATCHER || 'lambda').toLowerCase(),
+    jobFunctionName: process.env.JOB_FUNCTION_NAME || process.env.AWS_LAMBDA_FUNCTION_NAME,
+    region: process.env.AWS_REGION || 'us-west-2',
+});
+
+/**
+ * Settings for HTTP callers (API Gateway and Function URLs).
+ * @returns {{ corsAllowOrigin: string }}
+ */
+export const getHttpConfig = () => ({
+    corsAllowOrigin: process.env.CORS_ALLOW_ORIGIN || '*',
+});
+
+/**
+ * Settings for verifying callers' bearer tokens. Tokens are checked against
+ * the JWKS when one is configured, otherwise against the shared secret (HS256).
+ * @returns {{ jwksUrl: string|undefined, jwtSecret: string|undefined, issuer: string|undefined, audience: string|undefined, rolesClaim: string, authDisabled: boolean }}
+ */
+export const getAuthConfig = () => ({
+    jwksUrl: process.env.AUTH_JWKS_URL,
+    jwtSecret: process.env.AUTH_JWT_SECRET,
+    issuer: process.env.AUTH_ISSUER,
+    audience: process.env.AUTH_AUDIENCE,
+    rolesClaim: process.env.AUTH_ROLES_CLAIM || 'roles',
+    authDisabled: process.env.AUTH_DISABLED === 'true',
+});
+
+/**
+ * Where entries are stored. This is the one place the bucket name is read from.
+ * @returns {{ storageBackend: string, bucketName: string|undefined, storageDir: string, region: string }} -
+ *   the 'local' backend keeps each bucket in a folder of the same name under storageDir
+ */
+export const getStorageConfig = () => ({
+    storageBackend: (process.env.STORAGE_BACKEND || 's3').toLowerCase(),
+    bucketName: process.env.BUCKET_NAME,
+    storageDir: process.env.STORAGE_DIR || './local-storage',
+    region: process.env.AWS_REGION || 'us-west-2',
+});
+
+/**
+ * Settings for deploying the site after entries change.
+ * @returns {{ deployTarget: string, instanceId: string, region: string, debounceSeconds: number, waitForRunning: boolean, waitTimeoutSeconds: number }} -
+ *   debounceSeconds is how long a start that was just sent counts as in progress;
+ *   waitForRunning makes deploys wait until the instance is running, for at most waitTimeoutSeconds
+ */
+export const getDeployConfig = () => ({
+    deployTarget: (process.env.DEPLOY_TARGET || 'ec2').toLowerCase(),
+    instanceId: process.env.DEPLOY_INSTANCE_ID || 'i-0f58bed7fa248b300',
+    region: process.env.AWS_REGION || 'us-west-2',
+    debounceSeconds: readPositiveInt(process.env.DEPLOY_DEBOUNCE_SECONDS, 120),
+    waitForRunning: process.env.DEPLOY_WAIT === 'true',
+    waitTimeoutSeconds: readPositiveInt(process.env.DEPLOY_WAIT_TIMEOUT_SECONDS, 180),
+});
+
+/**
+ * Settings for direct uploads into the staging area.
+ * @returns {{ uploadUrlTtlSeconds: number, stagingTtlHours: number, maxUploadFiles: number }} -
+ *   staged files that were never used are removed stagingTtlHours after they were requested
+ */
+export const getUploadConfig = () => ({
+    uploadUrlTtlSeconds: readPositiveInt(process.env.UPLOAD_URL_TTL_SECONDS, 900),
+    stagingTtlHours: readPositiveInt(process.env.STAGING_TTL_HOURS, 24),
+    maxUploadFiles: readPositiveInt(process.env.MAX_UPLOAD_FILES, 50),
+});
+
+/**
+ * Settings for ingesting scans dropped into the bucket or queued through SQS.
+ * @returns {{ inboxPrefix: string, processedPrefix: string, failedPrefix: string, settleSeconds: number }} -
+ *   a group of pages is only processed once none of them changed for settleSeconds
+ */
+export const getIngestConfig = () => ({
+    inboxPrefix: process.env.INBOX_PREFIX || 'inbox/',
+    processedPrefix: process.env.PROCESSED_PREFIX || 'processed/',
+    failedPrefix: process.env.FAILED_PREFIX || 'failed/',
+    settleSeconds: readNonNegativeInt(process.env.INBOX_SETTLE_SECONDS, 15),
+});
+
+/**
+ * Settings for archive exports.
+ * @returns {{ exportUrlTtlSeconds: number, exportMaxEntries: number, exportTtlHours: number }} - How long the download URL
+ *   for an export stays valid, the most entries one export may hold and how long exports are kept before purgeExports deletes them
+ */
+export const getExportConfig = () => ({
+    exportUrlTtlSeconds: readPositiveInt(process.env.EXPORT_URL_TTL_SECONDS, 3600),
+    exportMaxEntries: readPositiveInt(process.env.EXPORT_MAX_ENTRIES, 500),
+    exportTtlHours: readPositiveInt(process.env.EXPORT_TTL_HOURS, 24),
+});
@@ -0,0 +1,38 @@
+/**
+ * Builds the getter and override for a dependency chosen by configuration,
+ * such as the storage backend. The instance is created on first use, kept
+ * while the settings it was made from stay the same, and made again when they
+ * change. One passed to use() is returned instead until use(null) is called.
+ * @param {{ kind: string, readConfig: () => Object, nameOf: (config: Object) => string, settingsOf: (config: Object) => Array<*>, factories: Object<string, (config: Object) => Object> }} options -
+ *   kind names the dependency in errors; settingsOf lists what the instance depends on besides its name
+ * @returns {{ get: () => Object, use: (instance: Object|null) => void }}
+ */
+export const createConfigured = ({ kind, readConfig, nameOf, settingsOf, factories }) => {
+    let cached = null;
+    let cachedSettings = null;
+    let injected = null;
+
+    const get = () => {
+        if (injected) {
+            return injected;
+        }
+        const config = readConfig();
+        const name = nameOf(config);
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown ${kind} "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+        }
+        const settings = JSON.stringify([name, ...settingsOf(config)]);
+        if (settings !== cachedSettings) {
+            cached = factory(config);
+            cachedSettings = settings;
+        }
+        return cached;
+    };
+
+    const use = (instance) => {
+        injected = instance;
+    };
+
+    return { get, use };
+};
@@ -0,0 +1,211 @@
+import { getS3TextObject, putS3Object, isPreconditionFailure } from './s3_update.js';
+import { getDeployConfig } from './config.js';
+import { getDeployTarget } from './deploy_target.js';
+
+// The site is rebuilt by an instance that builds from the bucket when it boots (see deploy_target.js).
+// One record tracks deploy requests so that bursts of changes start it once.
+const DEPLOY_RECORD_KEY = 'deploy/status.json';
+const MAX_CLAIM_ATTEMPTS = 3;
+
+const emptyRecord = (instanceId) => ({
+    instanceId,
+    lastRequested: null,
+    lastStarted: null,
+    lastCompleted: null,
+    pendingSince: null,
+    coalescedRequests: 0,
+});
+
+/**
+ * Reads the deploy record together with its ETag
+ * @param {string} bucketName
+ * @param {string} instanceId
+ * @returns {Promise<{ record: Object, etag: string|null }>} - etag is null when no deploy was ever requested
+ */
+const readDeployRecord = async (bucketName, instanceId) => {
+    const object = await getS3TextObject(bucketName, DEPLOY_RECORD_KEY);
+    if (!object) {
+        return { record: emptyRecord(instanceId), etag: null };
+    }
+    const record = JSON.parse(object.body);
+    // A different instance has its own history
+    return { record: record.instanceId === instanceId ? record : emptyRecord(instanceId), etag: object.etag };
+};
+
+const writeDeployRecord = (bucketName, record, etag) =>
+    putS3Object(bucketName, DEPLOY_RECORD_KEY, JSON.stringify(record, null, 2), {
+        contentType: 'application/json',
+        ifMatch: etag ?? undefined,
+        ifNoneMatch: etag ? undefined : '*',
+    });
+
+// The record with the latest start marked completed, when the instance is seen running after it
+const withCompletion = (record, state) => {
+    if (state !== 'running' || !record.lastStarted || record.lastCompleted?.startedAt === record.lastStarted.at) {
+        return record;
+    }
+    return { ...record, lastCompleted: { at: new Date().toISOString(), startedAt: record.lastStarted.at } };
+};
+
+/**
+ * Marks the latest start as completed once the instance is seen running.
+ * Losing a race here only means another invocation recorded it first.
+ * @returns {Promise<Object>} - The record, updated when a completion was recorded
+ */
+const recordCompletion = async (bucketName, record, etag, state) => {
+    const updated = withCompletion(record, state);
+    if (updated === record) {
+        return record;
+    }
+    try {
+        await writeDeployRecord(bucketName, updated, etag);
+    } catch (error) {
+        if (!isPreconditionFailure(error)) {
+            throw error;
+        }
+    }
+    return updated;
+};
+
+/**
+ * Asks for the site to be rebuilt. The instance is only started when it is
+ * stopped and no start was sent within the debounce window, or changes are
+ * still pending from an earlier request; otherwise the request is folded into
+ * the deploy already under way.
+ * Outcomes:
+ * - 'started': a start was sent
+ * - 'debounced': a start was sent moments ago and will pick this change up
+ * - 'coalesced': the instance is already booting or running; a running build may have
+ *   read the bucket before this change, so it is recorded as pending until the next start
+ * - 'deferred': the instance is stopping and cannot be started yet; the change stays pending
+ * Nothing starts a pending change by itself: it goes out with the next
+ * requestDeploy, or with deployPendingChanges once the instance has stopped.
+ * @param {string} bucketName
+ * @param {{ reason?: string, requestedBy?: string, wait?: boolean }} options - wait defaults to DEPLOY_WAIT
+ * @returns {Promise<{ status: string, instanceId: string, state: string, requestedAt: string, pending: boolean, running?: boolean }>} -
+ *   pending is set when the change still needs a later start; running is set when the deploy waited for the instance
+ */
+export const requestDeploy = async (bucketName, { reason, requestedBy, wait } = {}) => {
+    const config = getDeployConfig();
+    const target = getDeployTarget();
+    const shouldWait = wait ?? config.waitForRunning;
+    const request = { at: new Date().toISOString(), by: requestedBy ?? null, reason: reason ?? null };
+
+    for (let attempt = 1; attempt <= MAX_CLAIM_ATTEMPTS; attempt++) {
+        const { record, etag } = await readDeployRecord(bucketName, target.instanceId);
+        const state = await target.describeState();
+        const sinceLastStart = record.lastStarted ? Date.parse(request.at) - Date.parse(record.lastStarted.at) : Infinity;
+
+        let status;
+        if (state === 'pending' || state === 'running') {
+            status = 'coalesced';
+        } else if (state === 'stopping') {
+            status = 'deferred';
+        } else if (state === 'stopped') {
+            // EC2 can report 'stopped' for a short while after a start was accepted. Pending
+            // changes came after the last start, though, so they always need a new one.
+            status = sinceLastStart < config.debounceSeconds * 1000 && !record.pendingSince ? 'debounced' : 'started';
+        } else {
+            throw new Error(`Instance ${target.instanceId} cannot be started from state '${state}'.`);
+        }
+
+        const next = { ...record, lastRequested: request };
+        if (status === 'started') {
+            Object.assign(next, { lastStarted: { ...request, previousState: state }, pendingSince: null, coalescedRequests: 0 });
+        } else {
+            next.coalescedRequests = record.coalescedRequests + 1;
+            if (state === 'running' || state === 'stopping') {
+                next.pendingSince = record.pendingSince ?? request.at;
+            }
+        }
+
+        // Claiming the record first means only one of several concurrent requests sends the start
+        let nextEtag;
+        try {
+            nextEtag = await writeDeployRecord(bucketName, next, etag);
+        } catch (error) {
+            if (isPreconditionFailure(error) && attempt < MAX_CLAIM_ATTEMPTS) {
+                console.log('Deploy record changed while requesting a deploy; checking again.');
+                continue;
+            }
+            throw error;
+        }
+
+        if (status === 'started') {
+            try {
+                await target.start();
+            } catch (error) {
+                console.error(`Error starting ${target.name} deploy target:`, error);
+                // Undo the claim so the next request tries again instead of being debounced
+                await writeDeployRecord(bucketName, { ...next, lastStarted: record.lastStarted, pendingSince: record.pendingSince ?? request.at }, nextEtag)
+                    .catch(revertError => console.error('Could not reset the deploy record:', revertError));
+                throw error;
+            }
+        } else {
+            console.log(`Deploy ${status}: instance ${target.instanceId} is ${state}.`);
+        }
+
+        const outcome = { status, instanceId: target.instanceId, state, requestedAt: request.at, pending: next.pendingSince !== null };
+        if (shouldWait && status !== 'deferred') {
+            outcome.running = await target.waitUntilRunning(config.waitTimeoutSeconds);
+            if (outcome.running) {
+                const latest = await readDeployRecord(bucketName, target.instanceId);
+                await recordCompletion(bucketName, latest.record, latest.etag, 'running');
+            }
+        } else if (state === 'running') {
+            await recordCompletion(bucketName, next, nextEtag, state);
+        }
+        return outcome;
+    }
+    throw new Error('Could not record the deploy request.');
+};
+
+/**
+ * Reports the instance's state and the last requested, started and completed
+ * deploys. A deploy counts as completed once its instance is seen running.
+ * Only reads: pending changes are reported, not started.
+ * @param {string} bucketName
+ * @returns {Promise<Object>}
+ */
+export const getDeployStatus = async (bucketName) => {
+    const config = getDeployConfig();
+    const target = getDeployTarget();
+    const { record } = await readDeployRecord(bucketName, target.instanceId);
+    const state = await target.describeState();
+    // The completion is written down by the next deploy request
+    const current = withCompletion(record, state);
+    return {
+        instanceId: target.instanceId,
+        state,
+        lastRequested: current.lastRequested,
+        lastStarted: current.lastStarted,
+        lastCompleted: current.lastCompleted,
+        // Changes made after the running build read the bucket; the next deploy picks them up
+        pending: current.pendingSince !== null,
+        pendingSince: current.pendingSince,
+        coalescedRequests: current.coalescedRequests,
+        debounceSeconds: config.debounceSeconds,
+    };
+};
+
+/**
+ * Starts a deploy for changes left pending by a build that was already
+ * running, once the instance has stopped. Run by the 'deployPending' task on
+ * a schedule, so such changes go out without anyone asking again.
+ * @param {string} bucketName
+ * @returns {Promise<Object|null>} - The requestDeploy outcome, or null when nothing is pending or the instance has not stopped yet
+ */
+export const deployPendingChanges = async (bucketName) => {
+    const target = getDeployTarget();
+    const { record } = await readDeployRecord(bucketName, target.instanceId);
+    if (!record.pendingSince) {
+        return null;
+    }
+    const state = await target.describeState();
+    if (state !== 'stopped') {
+        console.log(`Changes pending since ${record.pendingSince}; instance ${target.instanceId} is ${state}, so they wait for it to stop.`);
+        return null;
+    }
+    console.log(`Changes pending since ${record.pendingSince} were never deployed; starting a deploy for them.`);
+    return requestDeploy(bucketName, { reason: 'Pending changes', wait: false });
+};
@@ -0,0 +1,102 @@
+import { EC2Client, StartInstancesCommand, DescribeInstancesCommand, waitUntilInstanceRunning } from '@aws-sdk/client-ec2';
+import { getDeployConfig } from './config.js';
+import { createConfigured } from './configured.js';
+
+/**
+ * What a deploy starts. deploy.js decides when to start it and keeps the
+ * record of requests; the target only reports its state and starts it.
+ * @typedef {Object} DeployTarget
+ * @property {string} name
+ * @property {string} instanceId
+ * @property {() => Promise<string>} describeState - 'pending', 'running', 'stopping', 'stopped', 'shutting-down' or 'terminated'
+ * @property {() => Promise<void>} start
+ * @property {(timeoutSeconds: number) => Promise<boolean>} waitUntilRunning - Whether it got there in time
+ */
+
+/**
+ * The EC2 instance that builds the site from the bucket when it boots
+ * @param {{ instanceId: string, region: string }} options
+ * @returns {DeployTarget}
+ */
+export const createEc2DeployTarget = ({ instanceId, region }) => {
+    const ec2Client = new EC2Client({ region });
+    return {
+        name: 'ec2',
+        instanceId,
+
+        describeState: async () => {
+            const data = await ec2Client.send(new DescribeInstancesCommand({ InstanceIds: [instanceId] }));
+            const instance = data.Reservations?.flatMap(reservation => reservation.Instances ?? [])
+                .find(candidate => candidate.InstanceId === instanceId);
+            if (!instance) {
+                throw new Error(`EC2 instance ${instanceId} not found.`);
+            }
+            return instance.State.Name;
+        },
+
+        start: async () => {
+            console.log(`Attempting to start EC2 instance: ${instanceId}`);
+            const data = await ec2Client.send(new StartInstancesCommand({ InstanceIds: [instanceId] }));
+            console.log("StartInstances Response:", JSON.stringify(data, null, 2));
+        },
+
+        waitUntilRunning: async (timeoutSeconds) => {
+            try {
+                await waitUntilInstanceRunning(
+                    { client: ec2Client, maxWaitTime: timeoutSeconds, minDelay: 5, maxDelay: 15 },
+                    { InstanceIds: [instanceId] },
+                );
+                return true;
+            } catch (error) {
+                console.warn(`Instance ${instanceId} was not running after ${timeoutSeconds}s: ${error.message}`);
+                return false;
+            }
+        },
+    };
+};
+
+/**
+ * A stand-in for local development and tests: starts are only logged, and
+ * the "instance" is always stopped again by the time anyone looks, so every
+ * request outside the debounce window counts as a fresh start.
+ * @param {{ instanceId: string }} options
+ * @returns {DeployTarget}
+ */
+export const createLocalDeployTarget = ({ instanceId }) => ({
+    name: 'local',
+    instanceId,
+    describeState: async () => 'stopped',
+    start: async () => {
+        console.log(`Local deploy target: a site rebuild for ${instanceId} would start now.`);
+    },
+    waitUntilRunning: async () => true,
+});
+
+const targetFactories = {
+    ec2: (config) => createEc2DeployTarget({ instanceId: config.instanceId, region: config.region }),
+    local: (config) => createLocalDeployTarget({ instanceId: config.instanceId }),
+};
+
+// A new EC2 client is only needed when the instance or its region changes
+const configuredTarget = createConfigured({
+    kind: 'deploy target',
+    readConfig: getDeployConfig,
+    nameOf: (config) => config.deployTarget,
+    settingsOf: (config) => [config.instanceId, config.region],
+    factories: targetFactories,
+});
+
+/**
+ * Returns the deploy target selected by DEPLOY_TARGET, or the one passed to
+ * useDeployTarget
+ * @returns {DeployTarget}
+ */
+export const getDeployTarget = () => configuredTarget.get();
+
+/**
+ * Puts a deploy target in place of the configured one. Pass null to go back
+ * to DEPLOY_TARGET.
+ * @param {DeployTarget|null} target
+ * @returns {void}
+ */
+export const useDeployTarget = (target) => configuredTarget.use(target);
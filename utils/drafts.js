@@ -0,0 +1,271 @@
+import {
+    getS3Folders,
+    getS3TextObject,
+    headS3Object,
+    putS3Object,
+    copyS3Object,
+    listS3Objects,
+    deleteS3Objects,
+    isPreconditionFailure,
+} from './s3_update.js';
+import { mapWithConcurrency, encodePageCursor, decodePageCursor, resolvePageSize } from './helper.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { allocateSlug } from './slug.js';
+import { saveEntryVersion } from './revisions.js';
+import {
+    ENTRY_ROOT,
+    DRAFT_ROOT,
+    draftPrefix,
+    draftFileKey,
+    draftMarkdownKey,
+    draftPdfKey,
+    draftUsageKey,
+    draftEntitiesKey,
+    entryPdfKey,
+    entryFileKey,
+    entryMarkdownKey,
+    USAGE_FILE,
+    ENTITIES_FILE,
+} from './keys.js';
+
+// New entries wait here until a reviewer approves them; only then are they published under urara/
+export const DRAFT_STATUSES = ['pending', 'rejected'];
+const REVIEW_FILE = 'review.json';
+// Files that go along with a draft's markdown and PDF when it is published
+const SIDECAR_FILES = [USAGE_FILE, ENTITIES_FILE];
+// Slugs tried when entries are created under the approved title at the same moment
+const MAX_SLUG_ATTEMPTS = 3;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const reviewKey = (slug) => draftFileKey(slug, REVIEW_FILE);
+
+const titleOf = (markdown) => {
+    try {
+        return parseFrontmatter(markdown).data.title || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Reads a draft's review record together with its ETag
+ * @param {string} bucketName
+ * @param {string} slug
+ * @returns {Promise<{ review: Object, etag: string }|null>} - null when there is no such draft
+ */
+const readReview = async (bucketName, slug) => {
+    const object = await getS3TextObject(bucketName, reviewKey(slug));
+    return object ? { review: JSON.parse(object.body), etag: object.etag } : null;
+};
+
+const writeReview = (bucketName, slug, review, { ifMatch, ifNoneMatch } = {}) =>
+    putS3Object(bucketName, reviewKey(slug), JSON.stringify(review, null, 2), { contentType: 'application/json', ifMatch, ifNoneMatch });
+
+/**
+ * Picks a slug that is free among both published entries and drafts
+ * @param {string} bucketName
+ * @param {string} title
+ * @returns {Promise<string>}
+ */
+export const allocateDraftSlug = async (bucketName, title) => {
+    const [entryFolders, draftFolders] = await Promise.all([
+        getS3Folders(bucketName, ENTRY_ROOT),
+        getS3Folders(bucketName, DRAFT_ROOT),
+    ]);
+    return allocateSlug(title, [...entryFolders, ...draftFolders]);
+};
+
+/**
+ * Saves a new entry as a draft awaiting review. The review record is written
+ * first and only if the folder is free, so two creates cannot share a slug.
+ * @param {string} bucketName
+ * @param {string} slug - From allocateDraftSlug
+ * @param {{ markdown: string, pdf: Uint8Array|Buffer, author?: string, source: 'ocr'|'text', review?: { confidence: number|null, pageConfidence: Array<number|null>, uncertainPassages: Array<Object> }, usage?: Object, entities?: Object }} draft -
+ *   review holds the OCR hints; text imports have none. usage is the provider's getUsage() report, saved
+ *   next to the draft as usage.json, and entities the people, places and events found, saved as entities.json
+ * @returns {Promise<{ status: 'saved', review: Object } | { status: 'conflict' }>}
+ */
+export const saveDraft = async (bucketName, slug, { markdown, pdf, author, source, review, usage, entities }) => {
+    const record = {
+        slug,
+        title: titleOf(markdown),
+        status: 'pending',
+        source,
+        createdBy: author ?? null,
+        createdAt: new Date().toISOString(),
+        confidence: review?.confidence ?? null,
+        pageConfidence: review?.pageConfidence ?? [],
+        uncertainPassages: review?.uncertainPassages ?? [],
+    };
+    try {
+        await writeReview(bucketName, slug, record, { ifNoneMatch: '*' });
+    } catch (error) {
+        if (isPreconditionFailure(error)) {
+            return { status: 'conflict' };
+        }
+        throw error;
+    }
+    await putS3Object(bucketName, draftMarkdownKey(slug), markdown, { metadata: { author } });
+    await putS3Object(bucketName, draftPdfKey(slug), pdf, { contentType: 'application/pdf', metadata: { author } });
+    if (usage) {
+        const record = { slug, source, recordedAt: new Date().toISOString(), ...usage };
+        await putS3Object(bucketName, draftUsageKey(slug), JSON.stringify(record, null, 2), { contentType: 'application/json' });
+    }
+    if (entities) {
+        await putS3Object(bucketName, draftEntitiesKey(slug), JSON.stringify(entities, null, 2), { contentType: 'application/json' });
+    }
+    console.log(`Saved draft ${slug} for review (${record.uncertainPassages.length} uncertain passage(s)).`);
+    return { status: 'saved', review: record };
+};
+
+/**
+ * Lists drafts with their review records, oldest first so the queue is worked in order
+ * @param {string} bucketName
+ * @param {{ status?: 'pending'|'rejected'|'all', limit?: number, cursor?: string }} options - status defaults to 'pending'
+ * @returns {Promise<{ drafts: Array<Object>, total: number, nextCursor: string|null }>}
+ */
+export const listDrafts = async (bucketName, { status = 'pending', limit, cursor } = {}) => {
+    const folders = await getS3Folders(bucketName, DRAFT_ROOT);
+    const reviews = await mapWithConcurrency(folders, 5, async folder => {
+        const slug = folder.slice(DRAFT_ROOT.length, -1);
+        const found = await readReview(bucketName, slug);
+        return found?.review ?? null;
+    });
+    const matching = reviews
+        .filter(review => review && (status === 'all' || review.status === status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.slug.localeCompare(b.slug));
+
+    const offset = decodePageCursor(cursor);
+    const pageSize = resolvePageSize(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const drafts = matching.slice(offset, offset + pageSize);
+    return {
+        drafts,
+        total: matching.length,
+        nextCursor: offset + pageSize < matching.length ? encodePageCursor(offset + pageSize) : null,
+    };
+};
+
+/**
+ * Publishes a draft: its markdown becomes the entry's first version under
+ * urara/ and the PDF and sidecar files are moved along with it. The draft is claimed before
+ * anything is written, so concurrent approvals publish it once; if publishing
+ * fails, the claim is undone and the draft stays in review. The markdown is
+ * only ever created, never written over an existing entry, and the PDF is
+ * copied once the markdown has claimed the slug.
+ * @param {string} bucketName
+ * @param {string} slug - Draft folder name
+ * @param {{ author?: string, content?: string }} options - author is the reviewer; content replaces the draft's
+ *   markdown, for corrections made during review
+ * @returns {Promise<{ status: 'approved', slug: string, title: string|null, draftSlug: string, revisionId: string } | { status: 'not_found' } | { status: 'conflict' }>} -
+ *   slug is allocated from the approved title among published entries, so it can differ from draftSlug
+ */
+export const approveDraft = async (bucketName, slug, { author, content } = {}) => {
+    const found = await readReview(bucketName, slug);
+    const draft = found && await getS3TextObject(bucketName, draftMarkdownKey(slug));
+    if (!found || !draft || found.review.status === 'approved') {
+        return { status: 'not_found' };
+    }
+
+    const claimed = { ...found.review, status: 'approved', reviewedBy: author ?? null, reviewedAt: new Date().toISOString() };
+    let claimedEtag;
+    try {
+        claimedEtag = await writeReview(bucketName, slug, claimed, { ifMatch: found.etag });
+    } catch (error) {
+        if (isPreconditionFailure(error)) {
+            return { status: 'conflict' };
+        }
+        throw error;
+    }
+
+    let createdKey = null;
+    try {
+        const markdown = content ?? draft.body;
+        const title = titleOf(markdown) ?? found.review.title;
+        let entrySlug;
+        let saved;
+        for (let attempt = 1; attempt <= MAX_SLUG_ATTEMPTS; attempt++) {
+            entrySlug = allocateSlug(title ?? slug, await getS3Folders(bucketName, ENTRY_ROOT));
+            saved = await saveEntryVersion(bucketName, `/${entrySlug}/`, markdown, {
+                mustNotExist: true,
+                author: found.review.createdBy ?? undefined,
+                note: author ? `Created; approved by ${author}` : 'Created',
+            });
+            if (saved.status !== 'conflict') {
+                break;
+            }
+            console.warn(`Another entry was created at ${entrySlug} at the same time (attempt ${attempt}).`);
+        }
+        if (saved.status === 'conflict') {
+            throw new Error(`Could not find a free slug for ${title ?? slug}.`);
+        }
+        createdKey = entryMarkdownKey(entrySlug);
+        await copyS3Object(bucketName, draftPdfKey(slug), entryPdfKey(entrySlug));
+        createdKey = null;
+
+        // The entry is published by now, so a sidecar that fails to copy is not worth undoing it for
+        for (const fileName of SIDECAR_FILES) {
+            try {
+                if (await headS3Object(bucketName, draftFileKey(slug, fileName))) {
+                    await copyS3Object(bucketName, draftFileKey(slug, fileName), entryFileKey(entrySlug, fileName));
+                }
+            } catch (sidecarError) {
+                console.error(`Could not copy ${fileName} of draft ${slug}:`, sidecarError);
+            }
+        }
+
+        const objects = await listS3Objects(bucketName, draftPrefix(slug));
+        await deleteS3Objects(bucketName, objects.map(object => object.key));
+        console.log(`Approved draft ${slug} as /${entrySlug}/`);
+        return { status: 'approved', slug: entrySlug, title, draftSlug: slug, revisionId: saved.revisionId };
+    } catch (error) {
+        console.error(`Error approving draft ${slug}:`, error);
+        // Only this approval wrote the new entry, so it goes again with the claim
+        if (createdKey) {
+            await deleteS3Objects(bucketName, [createdKey])
+                .catch(cleanupError => console.error(`Could not remove ${createdKey}:`, cleanupError));
+        }
+        await writeReview(bucketName, slug, found.review, { ifMatch: claimedEtag })
+            .catch(revertError => console.error(`Could not return draft ${slug} to review:`, revertError));
+        throw error;
+    }
+};
+
+/**
+ * Turns a draft down. It is kept with the reason so it can still be approved
+ * later, unless discard is set, in which case its files are deleted.
+ * @param {string} bucketName
+ * @param {string} slug - Draft folder name
+ * @param {{ author?: string, reason?: string, discard?: boolean }} options
+ * @returns {Promise<{ status: 'rejected'|'discarded', slug: string } | { status: 'not_found' } | { status: 'conflict' }>}
+ */
+export const rejectDraft = async (bucketName, slug, { author, reason, discard } = {}) => {
+    const found = await readReview(bucketName, slug);
+    if (!found || found.review.status === 'approved') {
+        return { status: 'not_found' };
+    }
+    if (discard) {
+        const objects = await listS3Objects(bucketName, draftPrefix(slug));
+        await deleteS3Objects(bucketName, objects.map(object => object.key));
+        console.log(`Discarded draft ${slug}`);
+        return { status: 'discarded', slug };
+    }
+
+    const rejected = {
+        ...found.review,
+        status: 'rejected',
+        reviewedBy: author ?? null,
+        reviewedAt: new Date().toISOString(),
+        reason: reason ?? null,
+    };
+    try {
+        await writeReview(bucketName, slug, rejected, { ifMatch: found.etag });
+    } catch (error) {
+        if (isPreconditionFailure(error)) {
+            return { status: 'conflict' };
+        }
+        throw error;
+    }
+    console.log(`Rejected draft ${slug}`);
+    return { status: 'rejected', slug };
+};
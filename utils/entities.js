@@ -0,0 +1,373 @@
+import { getS3Folders, getS3TextObject, patchS3Json } from './s3_update.js';
+import { mapWithConcurrency, encodePageCursor, decodePageCursor, resolvePageSize } from './helper.js';
+import { folderNameFromPrefix, allocateSlug } from './slug.js';
+import { ENTRY_ROOT, entryEntitiesKey } from './keys.js';
+
+export const ENTITY_REGISTRY_KEY = 'entities/_index.json';
+export const ENTITY_TYPES = ['person', 'place'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Extracted lists by entity type
+const EXTRACTED_LISTS = { person: 'people', place: 'places' };
+
+const emptyRegistry = () => ({ version: 1, updatedAt: null, entities: {}, events: {}, redirects: {} });
+
+/**
+ * Checks that a value looks like an entity id, as made by slugify
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidEntityId = (value) => typeof value === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value) && value.length <= 100;
+
+/**
+ * Reduces a name to the form names are matched on: accents folded, lowercase,
+ * punctuation dropped ("Mae  Hollis." and "mae hollis" match)
+ * @param {string} name
+ * @returns {string}
+ */
+const nameKey = (name) => String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Ids, slugs and names are user data, so look them up as own properties only
+const own = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined);
+
+const resolveId = (registry, id) => own(registry.redirects, id) ?? id;
+
+const entityNames = (entity) => [entity.name, ...entity.aliases];
+
+const addAliases = (entity, names) => {
+    const known = new Set(entityNames(entity).map(nameKey));
+    for (const name of names) {
+        if (!known.has(nameKey(name))) {
+            entity.aliases.push(name);
+            known.add(nameKey(name));
+        }
+    }
+};
+
+// Single words such as "Mother" or "Mae" name too many people to join entities on
+const isDistinctive = (key) => key.includes(' ');
+
+/**
+ * Finds the registered entity an extracted person or place refers to. The two
+ * must share a name of at least two words, as main name or alias, so that
+ * people who were each just "Mother" or "Mae" in different letters are not
+ * taken for one.
+ * @param {Object} registry
+ * @param {'person'|'place'} type
+ * @param {{ name: string, aliases: string[] }} item
+ * @returns {Object|null}
+ */
+const matchEntity = (registry, type, item) => {
+    const key = nameKey(item.name);
+    const sharedKeys = new Set([item.name, ...item.aliases].map(nameKey).filter(isDistinctive));
+    const candidates = Object.values(registry.entities).filter(entity => entity.type === type && (
+        (isDistinctive(key) && nameKey(entity.name) === key) || entityNames(entity).some(name => sharedKeys.has(nameKey(name)))
+    ));
+    if (candidates.length === 0) {
+        return null;
+    }
+    // Prefer the entity known by exactly this name, then the one mentioned most
+    return candidates.sort((a, b) =>
+        Number(nameKey(b.name) === key) - Number(nameKey(a.name) === key) ||
+        Object.keys(b.mentions).length - Object.keys(a.mentions).length ||
+        a.id.localeCompare(b.id))[0];
+};
+
+const createEntity = (registry, type, item) => {
+    const taken = [...Object.keys(registry.entities), ...Object.keys(registry.redirects)];
+    const id = allocateSlug(item.name, taken);
+    const entity = { id, type, name: item.name, aliases: [], description: item.description ?? null, mentions: {} };
+    registry.entities[id] = entity;
+    return entity;
+};
+
+/**
+ * Maps the names an entry was recorded under to their entities, so that
+ * recording the entry again keeps single-word names on the entity they had
+ * @param {Object} registry
+ * @param {string} slug
+ * @returns {Map<string, string>} - name key to entity id
+ */
+const mentionedIds = (registry, slug) => {
+    const ids = new Map();
+    for (const entity of Object.values(registry.entities)) {
+        (own(entity.mentions, slug) ?? []).forEach(name => ids.set(`${entity.type}:${nameKey(name)}`, entity.id));
+    }
+    return ids;
+};
+
+const removeEntry = (registry, slug) => {
+    for (const entity of Object.values(registry.entities)) {
+        delete entity.mentions[slug];
+    }
+    delete registry.events[slug];
+};
+
+/**
+ * Records the people, places and events of one entry, replacing what was
+ * recorded for it before. Each person or place stays on the entity it was
+ * recorded under for this entry, or is matched to a registered entity by
+ * name or alias, or registered as a new one; entities that lose their last
+ * mention are kept, so aliases merged by hand are not forgotten.
+ * @param {Object} registry
+ * @param {string} slug - Entry folder name
+ * @param {{ people?: Array<Object>, places?: Array<Object>, events?: Array<Object> }} extracted - The entry's entities.json
+ * @param {Map<string, string>} [previousIds] - From mentionedIds, when the entry's mentions were already cleared
+ */
+const addEntry = (registry, slug, extracted, previousIds = mentionedIds(registry, slug)) => {
+    removeEntry(registry, slug);
+    const idsByName = { person: new Map(), place: new Map() };
+    for (const [type, list] of Object.entries(EXTRACTED_LISTS)) {
+        for (const item of extracted[list] ?? []) {
+            const aliases = item.aliases ?? [];
+            const previousId = [item.name, ...aliases].map(name => previousIds.get(`${type}:${nameKey(name)}`)).find(Boolean);
+            const entity = own(registry.entities, previousId)
+                ?? matchEntity(registry, type, { name: item.name, aliases })
+                ?? createEntity(registry, type, item);
+            const names = [item.name, ...aliases];
+            addAliases(entity, names);
+            entity.description ??= item.description ?? null;
+            entity.mentions[slug] = [...new Set([...(own(entity.mentions, slug) ?? []), ...names])];
+            names.forEach(name => idsByName[type].set(nameKey(name), entity.id));
+        }
+    }
+
+    const resolveNames = (type, names) => [...new Set((names ?? [])
+        .map(name => idsByName[type].get(nameKey(name)))
+        .filter(Boolean))];
+    const events = (extracted.events ?? []).map(event => ({
+        date: event.date,
+        description: event.description,
+        people: resolveNames('person', event.people),
+        places: resolveNames('place', event.places),
+    }));
+    if (events.length > 0) {
+        registry.events[slug] = events;
+    }
+};
+
+/**
+ * Reads the entities extracted for an entry
+ * @param {string} bucketName
+ * @param {string} slug
+ * @returns {Promise<Object|null>} - null when the entry is gone or has no entities.json
+ */
+export const readEntryEntities = async (bucketName, slug) => {
+    const object = await getS3TextObject(bucketName, entryEntitiesKey(slug));
+    return object ? JSON.parse(object.body) : null;
+};
+
+/**
+ * Reads the entity registry
+ * @param {string} bucketName
+ * @returns {Promise<Object|null>} - null if the registry has not been built yet
+ */
+export const readEntityRegistry = async (bucketName) => {
+    const object = await getS3TextObject(bucketName, ENTITY_REGISTRY_KEY);
+    return object ? JSON.parse(object.body) : null;
+};
+
+/**
+ * Re-reads the entities of the given entries and updates the registry; entries
+ * that no longer exist or have no entities.json are removed from it. Failures
+ * are logged rather than thrown because the entry itself has already been
+ * written, and rebuildEntityRegistry repairs any drift.
+ * @param {string} bucketName
+ * @param {string[]} slugs - Entry folder names
+ * @returns {Promise<boolean>} - Whether the registry was updated
+ */
+export const refreshEntityRegistry = async (bucketName, slugs) => {
+    try {
+        const extracted = await mapWithConcurrency(slugs, 5, async slug => ({ slug, entities: await readEntryEntities(bucketName, slug) }));
+        await patchS3Json(bucketName, ENTITY_REGISTRY_KEY, (registry) => {
+            const previousIds = new Map(extracted.map(({ slug }) => [slug, mentionedIds(registry, slug)]));
+            // Renames and merges refresh the slug that went away together with the one that has its
+            // content, so names carried over keep their entities
+            const carriedIds = new Map(extracted.filter(({ entities }) => !entities).flatMap(({ slug }) => [...previousIds.get(slug)]));
+            for (const { slug, entities } of extracted) {
+                if (entities) {
+                    addEntry(registry, slug, entities, new Map([...carriedIds, ...previousIds.get(slug)]));
+                } else {
+                    removeEntry(registry, slug);
+                }
+            }
+            registry.updatedAt = new Date().toISOString();
+        }, { createEmpty: emptyRegistry });
+        console.log(`Entity registry refreshed for: ${slugs.join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error(`Error refreshing entity registry for ${slugs.join(', ')}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Rebuilds the registry's mentions and events from every entry under 'urara/'.
+ * Registered entities keep their ids, names and aliases, so merges survive.
+ * @param {string} bucketName
+ * @returns {Promise<Object>} - The new registry
+ */
+export const rebuildEntityRegistry = async (bucketName) => {
+    const folders = await getS3Folders(bucketName, ENTRY_ROOT);
+    const extracted = await mapWithConcurrency(folders.map(folderNameFromPrefix), 5, async slug =>
+        ({ slug, entities: await readEntryEntities(bucketName, slug) }));
+    const registry = await patchS3Json(bucketName, ENTITY_REGISTRY_KEY, (registry) => {
+        const previousIds = new Map(extracted.map(({ slug }) => [slug, mentionedIds(registry, slug)]));
+        Object.values(registry.entities).forEach(entity => { entity.mentions = {}; });
+        registry.events = {};
+        extracted.filter(({ entities }) => entities).forEach(({ slug, entities }) => addEntry(registry, slug, entities, previousIds.get(slug)));
+        registry.updatedAt = new Date().toISOString();
+    }, { createEmpty: emptyRegistry });
+    console.log(`Entity registry rebuilt from ${extracted.filter(({ entities }) => entities).length} entries.`);
+    return registry;
+};
+
+/**
+ * Merges entities that turned out to be the same person or place, e.g. "Aunt
+ * Mae" and "Mae Hollis". The merged entities' names become aliases of the one
+ * kept, so later extractions using any of them are matched to it, and their
+ * old ids keep resolving to it.
+ * @param {string} bucketName
+ * @param {string} id - Entity kept
+ * @param {string[]} mergeIds - Entities merged into it
+ * @param {{ name?: string }} options - name renames the kept entity; its old name becomes an alias
+ * @returns {Promise<{ status: 'merged', entity: Object } | { status: 'not_found', missing: string } | { status: 'type_mismatch', message: string }>}
+ */
+export const mergeEntities = async (bucketName, id, mergeIds, { name } = {}) => {
+    let outcome;
+    await patchS3Json(bucketName, ENTITY_REGISTRY_KEY, (registry) => {
+        const target = own(registry.entities, resolveId(registry, id));
+        const sources = [...new Set(mergeIds.map(mergeId => resolveId(registry, mergeId)))]
+            .filter(sourceId => sourceId !== target?.id)
+            .map(sourceId => own(registry.entities, sourceId) ?? sourceId);
+        const missing = !target ? id : sources.find(source => typeof source === 'string');
+        if (missing) {
+            outcome = { status: 'not_found', missing };
+            return;
+        }
+        const mismatched = sources.find(source => source.type !== target.type);
+        if (mismatched) {
+            outcome = { status: 'type_mismatch', message: `${mismatched.id} is a ${mismatched.type}, but ${target.id} is a ${target.type}.` };
+            return;
+        }
+
+        for (const source of sources) {
+            addAliases(target, entityNames(source));
+            target.description ??= source.description;
+            for (const [slug, names] of Object.entries(source.mentions)) {
+                target.mentions[slug] = [...new Set([...(own(target.mentions, slug) ?? []), ...names])];
+            }
+            const list = EXTRACTED_LISTS[source.type];
+            for (const event of Object.values(registry.events).flat()) {
+                event[list] = [...new Set(event[list].map(eventId => (eventId === source.id ? target.id : eventId)))];
+            }
+            for (const [from, to] of Object.entries(registry.redirects)) {
+                if (to === source.id) {
+                    registry.redirects[from] = target.id;
+                }
+            }
+            registry.redirects[source.id] = target.id;
+            delete registry.entities[source.id];
+        }
+        if (name && nameKey(name) !== nameKey(target.name)) {
+            const previousName = target.name;
+            target.name = name;
+            target.aliases = target.aliases.filter(alias => nameKey(alias) !== nameKey(name));
+            addAliases(target, [previousName]);
+        }
+        registry.updatedAt = new Date().toISOString();
+        outcome = { status: 'merged', entity: target };
+    }, { createEmpty: emptyRegistry });
+    if (outcome.status === 'merged') {
+        console.log(`Merged ${mergeIds.join(', ')} into entity ${outcome.entity.id}`);
+    }
+    return outcome;
+};
+
+const summarizeEntity = (entity) => ({
+    id: entity.id,
+    type: entity.type,
+    name: entity.name,
+    aliases: entity.aliases,
+    description: entity.description ?? null,
+    entryCount: Object.keys(entity.mentions).length,
+});
+
+/**
+ * Lists registered entities that are mentioned by at least one entry, by name
+ * @param {Object} registry
+ * @param {{ entityType?: 'person'|'place', query?: string, limit?: number, cursor?: string }} options - query matches
+ *   any part of a name or alias
+ * @returns {{ entities: Array<Object>, total: number, nextCursor: string|null }}
+ */
+export const listEntities = (registry, { entityType, query, limit, cursor } = {}) => {
+    const wanted = query ? nameKey(query) : '';
+    const matches = Object.values(registry.entities)
+        .filter(entity => Object.keys(entity.mentions).length > 0)
+        .filter(entity => !entityType || entity.type === entityType)
+        .filter(entity => !wanted || entityNames(entity).some(name => nameKey(name).includes(wanted)))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+
+    const pageSize = resolvePageSize(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = decodePageCursor(cursor);
+    const page = matches.slice(offset, offset + pageSize);
+    return {
+        entities: page.map(summarizeEntity),
+        total: matches.length,
+        nextCursor: offset + page.length < matches.length ? encodePageCursor(offset + page.length) : null,
+    };
+};
+
+/**
+ * Finds an entity by id or by any of its names, with every entry that
+ * mentions it and the dated events it took part in
+ * @param {Object} registry
+ * @param {Object} catalog - As read by readCatalog; supplies the entries' titles and dates
+ * @param {{ id?: string, name?: string, entityType?: 'person'|'place' }} lookup - id wins over name
+ * @returns {{ status: 'found', entity: Object, entries: Array<Object>, events: Array<Object> } | { status: 'not_found' } | { status: 'ambiguous', candidates: Array<Object> }} -
+ *   entries are oldest first and events in date order
+ */
+export const findEntity = (registry, catalog, { id, name, entityType }) => {
+    let entity;
+    if (id) {
+        entity = own(registry.entities, resolveId(registry, id));
+    } else {
+        const key = nameKey(name);
+        const matches = Object.values(registry.entities)
+            .filter(candidate => !entityType || candidate.type === entityType)
+            .filter(candidate => entityNames(candidate).some(candidateName => nameKey(candidateName) === key));
+        if (matches.length > 1) {
+            return { status: 'ambiguous', candidates: matches.map(summarizeEntity) };
+        }
+        entity = matches[0];
+    }
+    if (!entity || (entityType && entity.type !== entityType)) {
+        return { status: 'not_found' };
+    }
+
+    const entries = Object.keys(entity.mentions)
+        .map(slug => ({ ...(own(catalog.entries, slug) ?? { slug, title: slug, created: null }), mentionedAs: entity.mentions[slug] }))
+        .sort((a, b) => (a.created ?? '\uffff').localeCompare(b.created ?? '\uffff') || a.slug.localeCompare(b.slug));
+
+    const nameOf = (entityId) => ({ id: entityId, name: own(registry.entities, entityId)?.name ?? entityId });
+    const list = EXTRACTED_LISTS[entity.type];
+    const events = Object.entries(registry.events)
+        .flatMap(([slug, slugEvents]) => slugEvents
+            .filter(event => event[list].includes(entity.id))
+            .map(event => ({
+                slug,
+                date: event.date,
+                description: event.description,
+                people: event.people.map(nameOf),
+                places: event.places.map(nameOf),
+            })))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.slug.localeCompare(b.slug));
+
+    return { status: 'found', entity: { ...summarizeEntity(entity), entryCount: entries.length }, entries, events };
+};
@@ -0,0 +1,369 @@
+import {
+    getS3Folders,
+    getS3TextObject,
+    getS3ObjectBytes,
+    putS3Object,
+    copyS3Object,
+    listS3Objects,
+    deleteS3Objects,
+} from './s3_update.js';
+import { mapWithConcurrency } from './helper.js';
+import { parseFrontmatter, splitFrontmatter, updateFrontmatter, tagsOf } from './frontmatter.js';
+import { allocateSlug, slugify } from './slug.js';
+import { saveEntryVersion } from './revisions.js';
+import { concatenatePdfs, countPdfPages, insertPdfPages } from './pdf_merge.js';
+import { describeDocument, offsetPageMarkers, splitPages, stitchPages, transcribePages } from './ocr.js';
+import { getOcrProvider } from './ocr_provider.js';
+import { makeSearchablePdf } from './searchable_pdf.js';
+import { readEntryEntities } from './entities.js';
+import {
+    ENTRY_ROOT,
+    entryPrefix,
+    entryMarkdownKey,
+    entryPdfKey,
+    entryEntitiesKey,
+    revisionsPrefix,
+    trashPrefix,
+    slugFromEntryPath,
+} from './keys.js';
+
+const TRASH_MARKER_FILE = 'deleted.json';
+const TRASH_ID_PATTERN = /^[^/]+--\d{8}T\d{9}Z$/;
+
+/**
+ * Checks that a trash id has the shape produced by softDeleteEntry
+ * @param {string} trashId
+ * @returns {boolean}
+ */
+export const isValidTrashId = (trashId) => typeof trashId === 'string' && TRASH_ID_PATTERN.test(trashId);
+
+/**
+ * Moves every object under one prefix to another (copy, then delete)
+ * @param {string} bucketName
+ * @param {string} fromPrefix
+ * @param {string} toPrefix
+ * @returns {Promise<number>} - Number of objects moved
+ */
+const movePrefix = async (bucketName, fromPrefix, toPrefix) => {
+    const objects = await listS3Objects(bucketName, fromPrefix);
+    await mapWithConcurrency(objects, 5, object =>
+        copyS3Object(bucketName, object.key, `${toPrefix}${object.key.slice(fromPrefix.length)}`));
+    await deleteS3Objects(bucketName, objects.map(object => object.key));
+    console.log(`Moved ${objects.length} object(s) from ${fromPrefix} to ${toPrefix}`);
+    return objects.length;
+};
+
+const readEntryMarkdown = async (bucketName, slug) =>
+    getS3TextObject(bucketName, entryMarkdownKey(slug));
+
+const titleOf = (markdown) => {
+    try {
+        const { title } = parseFrontmatter(markdown).data;
+        return typeof title === 'string' && title ? title : null;
+    } catch {
+        return null;
+    }
+};
+
+// Entries whose frontmatter does not parse are still changed: their fields read as empty and updateFrontmatter keeps the lines
+const readFrontmatter = (slug, markdown) => {
+    try {
+        return parseFrontmatter(markdown);
+    } catch (error) {
+        console.warn(`Could not parse frontmatter for ${slug}, keeping it as it is:`, error.message);
+        return { data: {}, body: splitFrontmatter(markdown).body };
+    }
+};
+
+// Older entries may carry a single tag as a plain string
+// The document properties written into an entry's PDF
+const pdfMetadataOf = (data) => ({
+    title: typeof data.title === 'string' ? data.title : undefined,
+    description: typeof data.description === 'string' ? data.description : undefined,
+    tags: tagsOf(data),
+});
+
+/**
+ * Moves an entry, together with its revision history, into the trash so it can be restored later
+ * @param {string} bucketName
+ * @param {string} entryPath - '/some-title/'
+ * @param {{ author?: string }} options
+ * @returns {Promise<{ status: 'deleted', slug: string, trashId: string } | { status: 'not_found' }>}
+ */
+export const softDeleteEntry = async (bucketName, entryPath, { author } = {}) => {
+    const slug = slugFromEntryPath(entryPath);
+    const objects = await listS3Objects(bucketName, entryPrefix(slug));
+    if (objects.length === 0) {
+        return { status: 'not_found' };
+    }
+
+    const markdown = await readEntryMarkdown(bucketName, slug);
+    const deletedAt = new Date();
+    const trashId = `${slug}--${deletedAt.toISOString().replace(/[-:.]/g, '')}`;
+    const marker = {
+        slug,
+        title: markdown ? titleOf(markdown.body) : null,
+        deletedAt: deletedAt.toISOString(),
+        deletedBy: author || null,
+    };
+
+    // Write the marker first: a trash folder without one could not be restored
+    await putS3Object(bucketName, `${trashPrefix(trashId)}${TRASH_MARKER_FILE}`, JSON.stringify(marker, null, 2), {
+        contentType: 'application/json',
+    });
+    await movePrefix(bucketName, entryPrefix(slug), `${trashPrefix(trashId)}entry/`);
+    await movePrefix(bucketName, revisionsPrefix(slug), `${trashPrefix(trashId)}revisions/`);
+    console.log(`Soft deleted ${slug} as ${trashId}`);
+    return { status: 'deleted', slug, trashId };
+};
+
+/**
+ * Restores a soft deleted entry. Either a trash id or the entry path can be
+ * given; with only the path, the most recent deletion of that entry is restored.
+ * @param {string} bucketName
+ * @param {{ entryPath?: string, trashId?: string }} target
+ * @returns {Promise<{ status: 'restored', slug: string, title: string|null } | { status: 'not_found' } | { status: 'conflict', slug: string }>}
+ */
+export const restoreEntry = async (bucketName, { entryPath, trashId }) => {
+    let resolvedTrashId = trashId;
+    if (!resolvedTrashId) {
+        const slug = slugFromEntryPath(entryPath);
+        const trashFolders = await getS3Folders(bucketName, `trash/${slug}--`);
+        const candidates = trashFolders
+            .map(folder => folder.slice('trash/'.length, -1))
+            .filter(id => isValidTrashId(id) && id.slice(0, id.lastIndexOf('--')) === slug)
+            .sort();
+        resolvedTrashId = candidates.pop();
+    }
+    if (!resolvedTrashId) {
+        return { status: 'not_found' };
+    }
+
+    const markerObject = await getS3TextObject(bucketName, `${trashPrefix(resolvedTrashId)}${TRASH_MARKER_FILE}`);
+    if (!markerObject) {
+        return { status: 'not_found' };
+    }
+    const marker = JSON.parse(markerObject.body);
+
+    const existing = await listS3Objects(bucketName, entryPrefix(marker.slug));
+    if (existing.length > 0) {
+        return { status: 'conflict', slug: marker.slug };
+    }
+
+    await movePrefix(bucketName, `${trashPrefix(resolvedTrashId)}entry/`, entryPrefix(marker.slug));
+    await movePrefix(bucketName, `${trashPrefix(resolvedTrashId)}revisions/`, revisionsPrefix(marker.slug));
+    await deleteS3Objects(bucketName, [`${trashPrefix(resolvedTrashId)}${TRASH_MARKER_FILE}`]);
+    console.log(`Restored ${resolvedTrashId} to ${marker.slug}`);
+    return { status: 'restored', slug: marker.slug, title: marker.title };
+};
+
+/**
+ * Changes an entry's title. The frontmatter title is updated first, guarded by
+ * the entry's ETag, so a conflicting edit leaves the entry where it was. When
+ * the new title produces a different slug, the entry folder and its revision
+ * history then move to that slug, so the markdown and PDF always stay together,
+ * and the PDF's title is rewritten to match.
+ * @param {string} bucketName
+ * @param {string} entryPath - '/some-title/'
+ * @param {string} newTitle - New human readable title
+ * @param {{ author?: string, expectedEtag?: string }} options
+ * @returns {Promise<{ status: 'renamed', slug: string, previousSlug: string, title: string, revisionId: string } | { status: 'not_found' } | { status: 'conflict', current: Object|null }>}
+ */
+export const renameEntry = async (bucketName, entryPath, newTitle, { author, expectedEtag } = {}) => {
+    const previousSlug = slugFromEntryPath(entryPath);
+    const markdown = await readEntryMarkdown(bucketName, previousSlug);
+    if (!markdown) {
+        return { status: 'not_found' };
+    }
+    if (expectedEtag && expectedEtag.replace(/"/g, '') !== markdown.etag) {
+        return { status: 'conflict', current: { etag: markdown.etag } };
+    }
+
+    const previousTitle = titleOf(markdown.body) ?? previousSlug;
+    const result = await saveEntryVersion(bucketName, `/${previousSlug}/`, updateFrontmatter(markdown.body, { title: newTitle }), {
+        expectedEtag: markdown.etag,
+        author,
+        note: `Renamed from "${previousTitle}"`,
+    });
+    if (result.status === 'conflict') {
+        return result;
+    }
+
+    let slug = previousSlug;
+    if (slugify(newTitle) !== previousSlug) {
+        const existingFolders = await getS3Folders(bucketName, ENTRY_ROOT);
+        slug = allocateSlug(newTitle, existingFolders);
+        await movePrefix(bucketName, entryPrefix(previousSlug), entryPrefix(slug));
+        await movePrefix(bucketName, revisionsPrefix(previousSlug), revisionsPrefix(slug));
+    }
+
+    // The entry is renamed by now, so a PDF whose title could not be updated is not worth failing it for
+    try {
+        const pdf = await getS3ObjectBytes(bucketName, entryPdfKey(slug));
+        if (pdf) {
+            const retitled = await makeSearchablePdf(pdf, { metadata: { title: newTitle } });
+            await putS3Object(bucketName, entryPdfKey(slug), retitled, { contentType: 'application/pdf' });
+        }
+    } catch (error) {
+        console.error(`Could not update the PDF title of ${slug}:`, error);
+    }
+    console.log(`Renamed ${previousSlug} to ${slug}`);
+    return { status: 'renamed', slug, previousSlug, title: newTitle, revisionId: result.revisionId };
+};
+
+/**
+ * Merges the source entry into the target entry: the source PDF pages are
+ * appended to the target PDF, the source text is appended to the target body
+ * (with its page markers renumbered), tags and extracted entities are
+ * combined, and the source entry is moved to the trash.
+ * @param {string} bucketName
+ * @param {string} targetPath - '/target-title/' (kept)
+ * @param {string} sourcePath - '/source-title/' (merged in, then soft deleted)
+ * @param {{ newTitle?: string, author?: string }} options
+ * @returns {Promise<{ status: 'merged', slug: string, title: string, revisionId: string, sourceTrashId: string } | { status: 'not_found', missing: string } | { status: 'conflict', current: Object|null }>}
+ */
+export const mergeEntries = async (bucketName, targetPath, sourcePath, { newTitle, author } = {}) => {
+    const targetSlug = slugFromEntryPath(targetPath);
+    const sourceSlug = slugFromEntryPath(sourcePath);
+
+    const [targetMarkdown, sourceMarkdown] = await Promise.all([
+        readEntryMarkdown(bucketName, targetSlug),
+        readEntryMarkdown(bucketName, sourceSlug),
+    ]);
+    if (!targetMarkdown || !sourceMarkdown) {
+        return { status: 'not_found', missing: !targetMarkdown ? targetPath : sourcePath };
+    }
+
+    const [targetPdf, sourcePdf] = await Promise.all([
+        getS3ObjectBytes(bucketName, entryPdfKey(targetSlug)),
+        getS3ObjectBytes(bucketName, entryPdfKey(sourceSlug)),
+    ]);
+    const pdfs = [targetPdf, sourcePdf].filter(Boolean);
+    const { bytes: mergedPdf, pageCounts } = pdfs.length > 0
+        ? await concatenatePdfs(pdfs)
+        : { bytes: null, pageCounts: [] };
+    const targetPageCount = targetPdf ? pageCounts[0] : 0;
+
+    const target = readFrontmatter(targetSlug, targetMarkdown.body);
+    const source = readFrontmatter(sourceSlug, sourceMarkdown.body);
+    const title = newTitle || titleOf(targetMarkdown.body) || targetSlug;
+    const changes = {
+        tags: [...new Set([...tagsOf(target.data), ...tagsOf(source.data)])],
+        title,
+    };
+    const body = `${target.body.trimEnd()}\n\n${offsetPageMarkers(source.body, targetPageCount).trim()}\n`;
+
+    const result = await saveEntryVersion(bucketName, targetPath, updateFrontmatter(targetMarkdown.body, changes, body), {
+        expectedEtag: targetMarkdown.etag,
+        author,
+        note: `Merged "${titleOf(sourceMarkdown.body) || sourceSlug}" into this entry`,
+    });
+    if (result.status === 'conflict') {
+        return result;
+    }
+    if (mergedPdf) {
+        // Concatenation starts a fresh document, so the merged entry's metadata is written again
+        const searchablePdf = await makeSearchablePdf(mergedPdf, { metadata: pdfMetadataOf({ ...target.data, ...changes }) });
+        await putS3Object(bucketName, entryPdfKey(targetSlug), searchablePdf, { contentType: 'application/pdf' });
+    }
+    const [targetEntities, sourceEntities] = await Promise.all([
+        readEntryEntities(bucketName, targetSlug),
+        readEntryEntities(bucketName, sourceSlug),
+    ]);
+    if (targetEntities || sourceEntities) {
+        // The merged entry mentions everyone and everything either entry did
+        const entities = Object.fromEntries(['people', 'places', 'events'].map(list =>
+            [list, [...(targetEntities?.[list] ?? []), ...(sourceEntities?.[list] ?? [])]]));
+        await putS3Object(bucketName, entryEntitiesKey(targetSlug), JSON.stringify(entities, null, 2), { contentType: 'application/json' });
+    }
+
+    const deletion = await softDeleteEntry(bucketName, sourcePath, { author });
+    console.log(`Merged ${sourceSlug} into ${targetSlug}`);
+    return { status: 'merged', slug: targetSlug, title, revisionId: result.revisionId, sourceTrashId: deletion.trashId };
+};
+
+/**
+ * Adds newly found pages to an existing entry. Only the new pages are sent to
+ * OCR; their text is inserted between the existing page markers, so text that
+ * was edited by hand is kept as is. The summary, description and extracted
+ * entities are regenerated from the combined text and the new tags are added
+ * to the existing ones.
+ * @param {string} bucketName
+ * @param {string} entryPath - '/some-title/'
+ * @param {Uint8Array|Buffer} pagesPdf - PDF containing only the new pages
+ * @param {{ afterPage?: number, author?: string, expectedEtag?: string, documentKey?: string }} options - afterPage defaults to the last page; documentKey is the fixture key of the uploaded files, from computeFixtureKey
+ * @returns {Promise<{ status: 'appended', slug: string, pagesAdded: number, pageCount: number, revisionId: string } | { status: 'not_found' } | { status: 'invalid_position', message: string } | { status: 'conflict', current: Object|null }>}
+ */
+export const appendPagesToEntry = async (bucketName, entryPath, pagesPdf, { afterPage, author, expectedEtag, documentKey } = {}) => {
+    const slug = slugFromEntryPath(entryPath);
+    const markdown = await readEntryMarkdown(bucketName, slug);
+    if (!markdown) {
+        return { status: 'not_found' };
+    }
+    if (expectedEtag && expectedEtag.replace(/"/g, '') !== markdown.etag) {
+        return { status: 'conflict', current: { etag: markdown.etag } };
+    }
+
+    const existingPdf = await getS3ObjectBytes(bucketName, entryPdfKey(slug));
+    const existingPageCount = existingPdf ? await countPdfPages(existingPdf) : 0;
+    const { data, body } = readFrontmatter(slug, markdown.body);
+    const { preamble, pages } = splitPages(body);
+
+    // Entries without page markers can only grow at the end, since there is no way to tell where a page starts
+    const pageTotal = pages.length > 0 ? pages.length : existingPageCount;
+    const insertAt = afterPage ?? pageTotal;
+    if (!Number.isInteger(insertAt) || insertAt < 0 || insertAt > pageTotal || (pages.length === 0 && insertAt !== pageTotal)) {
+        return {
+            status: 'invalid_position',
+            message: pages.length > 0
+                ? `'afterPage' must be between 0 and ${pageTotal}.`
+                : 'This entry has no page markers, so pages can only be added at the end.',
+        };
+    }
+
+    const provider = getOcrProvider({ documentKey });
+    const newPageTexts = await transcribePages(provider, pagesPdf);
+
+    let newBody;
+    if (pages.length > 0) {
+        const allPages = [...pages.slice(0, insertAt), ...newPageTexts, ...pages.slice(insertAt)];
+        newBody = [preamble, stitchPages(allPages)].filter(Boolean).join('\n\n');
+    } else {
+        newBody = [body.trim(), offsetPageMarkers(stitchPages(newPageTexts), existingPageCount)].filter(Boolean).join('\n\n');
+    }
+
+    const metadata = await describeDocument(provider, newBody);
+    const changes = {
+        description: metadata.description,
+        summary: metadata.summary,
+        tags: [...new Set([...tagsOf(data), ...metadata.tags])],
+    };
+
+    const result = await saveEntryVersion(bucketName, entryPath, updateFrontmatter(markdown.body, changes, `${newBody}\n`), {
+        expectedEtag: markdown.etag,
+        author,
+        note: `Added ${newPageTexts.length} page(s) after page ${insertAt}`,
+    });
+    if (result.status === 'conflict') {
+        return result;
+    }
+
+    // Only the new pages need a text layer; existing pages already carry theirs
+    const searchablePages = await makeSearchablePdf(pagesPdf, { pageTexts: newPageTexts });
+    const combinedPdf = existingPdf
+        ? await insertPdfPages(existingPdf, searchablePages, Math.min(insertAt, existingPageCount))
+        : searchablePages;
+    const newPdf = await makeSearchablePdf(combinedPdf, { metadata: pdfMetadataOf({ ...data, ...changes }) });
+    await putS3Object(bucketName, entryPdfKey(slug), newPdf, { contentType: 'application/pdf' });
+    // The entities were found in the whole new text, so they replace the old ones
+    await putS3Object(bucketName, entryEntitiesKey(slug), JSON.stringify(metadata.entities, null, 2), { contentType: 'application/json' });
+
+    console.log(`Appended ${newPageTexts.length} page(s) to ${slug}`);
+    return {
+        status: 'appended',
+        slug,
+        pagesAdded: newPageTexts.length,
+        pageCount: existingPageCount + newPageTexts.length,
+        revisionId: result.revisionId,
+    };
+};
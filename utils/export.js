@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
+import archiver from 'archiver';
+import { getS3TextObject, getS3ObjectStream, uploadS3Stream, getPresignedUrlForPdf, listS3Objects, deleteS3Objects } from './s3_update.js';
+import { readCatalog, rebuildCatalog, filterCatalog } from './catalog.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { MARKDOWN_FILE, PDF_FILE, entryMarkdownKey, entryPdfKey } from './keys.js';
+import { getExportConfig } from './config.js';
+
+const EXPORT_ROOT = 'exports/';
+const MANIFEST_FILE = 'manifest.json';
+
+const createExportId = () =>
+    `${new Date().toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Adds one file to the archive and waits until it has been written, so only
+ * one source stream is open at a time
+ * @param {import('archiver').Archiver} archive
+ * @param {string|Buffer|import('stream').Readable} source
+ * @param {{ name: string, store?: boolean }} data - store skips compression
+ * @returns {Promise<void>}
+ */
+const appendAndWait = (archive, source, data) => new Promise((resolve, reject) => {
+    const cleanup = () => {
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+    };
+    const onEntry = (entry) => {
+        if (entry.name === data.name) {
+            cleanup();
+            resolve();
+        }
+    };
+    const onError = (error) => {
+        cleanup();
+        reject(error);
+    };
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    archive.append(source, data);
+});
+
+/**
+ * Writes a ZIP of the selected entries to 'exports/' and returns a download
+ * link. Each entry gets a folder with its markdown and PDF; 'manifest.json'
+ * at the root lists every entry with its frontmatter. The archive is streamed
+ * to S3 while it is built, so the collection is never held in memory.
+ * Selections of more than EXPORT_MAX_ENTRIES entries are refused.
+ * @param {string} bucketName
+ * @param {{ tags?: string[], createdFrom?: string, createdTo?: string, requestedBy?: string }} selection - Entries matching
+ *   every given filter are exported; with no filters, all entries are
+ * @returns {Promise<{ status: 'exported', key: string, entryCount: number, missing: string[], downloadUrl: string, expiresIn: number } | { status: 'empty' } | { status: 'too_many', entryCount: number, maxEntries: number }>} -
+ *   missing lists catalogued entries whose markdown was not found
+ */
+export const exportArchive = async (bucketName, { tags = [], createdFrom, createdTo, requestedBy } = {}) => {
+    let { catalog, etag } = await readCatalog(bucketName);
+    if (!etag) {
+        console.log("No catalog found, building it.");
+        catalog = await rebuildCatalog(bucketName);
+    }
+    const selected = filterCatalog(catalog, { tags, createdFrom, createdTo });
+    if (selected.length === 0) {
+        return { status: 'empty' };
+    }
+    const { exportMaxEntries } = getExportConfig();
+    if (selected.length > exportMaxEntries) {
+        console.warn(`Refusing to export ${selected.length} entries; the limit is ${exportMaxEntries}.`);
+        return { status: 'too_many', entryCount: selected.length, maxEntries: exportMaxEntries };
+    }
+
+    const key = `${EXPORT_ROOT}${createExportId()}.zip`;
+    console.log(`Exporting ${selected.length} entries to ${key}`);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const output = new PassThrough();
+    archive.pipe(output);
+    archive.on('warning', warning => console.warn('Archive warning:', warning));
+    // Settles with the upload's error, or null, so a failure is handled as soon as it happens
+    const uploaded = uploadS3Stream(bucketName, key, output, { contentType: 'application/zip', metadata: { 'requested-by': requestedBy } })
+        .then(() => null, error => error);
+    // A failed upload stops reading the archive, and archiver would then wait on it forever
+    const unlessUploadFails = (step) => Promise.race([
+        step,
+        uploaded.then(error => (error ? Promise.reject(error) : new Promise(() => {}))),
+    ]);
+
+    const manifestEntries = [];
+    const missing = [];
+    try {
+        for (const entry of selected) {
+            const markdown = await getS3TextObject(bucketName, entryMarkdownKey(entry.slug));
+            if (!markdown) {
+                console.warn(`Skipping ${entry.slug}: no markdown found.`);
+                missing.push(entry.slug);
+                continue;
+            }
+            const files = [`${entry.slug}/${MARKDOWN_FILE}`];
+            await unlessUploadFails(appendAndWait(archive, markdown.body, { name: files[0] }));
+
+            const pdf = await getS3ObjectStream(bucketName, entryPdfKey(entry.slug));
+            if (pdf) {
+                files.push(`${entry.slug}/${PDF_FILE}`);
+                // PDFs are compressed already
+                await unlessUploadFails(appendAndWait(archive, pdf, { name: files[1], store: true }));
+            }
+
+            let frontmatter = null;
+            try {
+                frontmatter = parseFrontmatter(markdown.body).data;
+            } catch (error) {
+                console.warn(`Could not parse frontmatter for ${entry.slug}:`, error.message);
+            }
+            manifestEntries.push({ slug: entry.slug, files, frontmatter });
+        }
+
+        const manifest = {
+            exportedAt: new Date().toISOString(),
+            exportedBy: requestedBy ?? null,
+            filters: { tags, createdFrom: createdFrom ?? null, createdTo: createdTo ?? null },
+            entryCount: manifestEntries.length,
+            entries: manifestEntries,
+        };
+        await unlessUploadFails(appendAndWait(archive, JSON.stringify(manifest, null, 2), { name: MANIFEST_FILE }));
+        await unlessUploadFails(archive.finalize());
+    } catch (error) {
+        console.error(`Error building export ${key}:`, error);
+        archive.abort();
+        // Ends the upload too, so nothing incomplete is left as the export
+        output.destroy(error);
+        await uploaded;
+        throw error;
+    }
+    const uploadError = await uploaded;
+    if (uploadError) {
+        console.error(`Error uploading export ${key}:`, uploadError);
+        throw uploadError;
+    }
+
+    const { exportUrlTtlSeconds } = getExportConfig();
+    const downloadUrl = await getPresignedUrlForPdf(bucketName, key, exportUrlTtlSeconds);
+    console.log(`Export ${key} finished with ${manifestEntries.length} entries.`);
+    return { status: 'exported', key, entryCount: manifestEntries.length, missing, downloadUrl, expiresIn: exportUrlTtlSeconds };
+};
+
+/**
+ * Deletes exports older than EXPORT_TTL_HOURS. Run by the 'purgeExports'
+ * task on a schedule where a lifecycle rule on 'exports/' is not available.
+ * @param {string} bucketName
+ * @returns {Promise<number>} - How many exports were removed
+ */
+export const purgeExpiredExports = async (bucketName) => {
+    const { exportTtlHours } = getExportConfig();
+    const cutoff = Date.now() - exportTtlHours * 3600 * 1000;
+    const objects = await listS3Objects(bucketName, EXPORT_ROOT);
+    const expired = objects.filter(object => new Date(object.lastModified).getTime() <= cutoff);
+    if (expired.length > 0) {
+        await deleteS3Objects(bucketName, expired.map(object => object.key));
+        console.log(`Purged ${expired.length} expired export(s) from ${EXPORT_ROOT}`);
+    }
+    return expired.length;
+};
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Computes the fixture key for a document from the files it was made from.
+ * Each uploaded file is hashed on its own and the hashes are hashed together
+ * in upload order, so the key only changes when the uploads do; merged and
+ * batched PDFs, which carry creation dates, play no part in it.
+ * @param {Array<Buffer|Uint8Array>} files - Decoded contents of the uploaded files
+ * @returns {string} - Hex encoded SHA-256 key
+ */
+export const computeFixtureKey = (files) => {
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+        hash.update(crypto.createHash('sha256').update(file).digest('hex'));
+    }
+    return hash.digest('hex');
+};
+
+const fixturePath = (fixtureDir, documentKey) => path.join(fixtureDir, `${documentKey}.json`);
+
+const readFixture = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+/**
+ * Creates an offline OCR client that returns canned responses from disk.
+ * All responses for a document are read from `<fixtureDir>/<documentKey>.json`,
+ * an object holding each response under the name of its request ('OCR pages
+ * 1-4', 'OCR metadata'), so runs are fully deterministic. Responses may be
+ * given as JSON values or as the raw text the model returned.
+ * Fixtures carry no token counts, so usage is always null.
+ * @param {{ fixtureDir: string, documentKey: string|undefined }} options - documentKey as given by computeFixtureKey
+ * @returns {{ model: string, generate: (contentParts: Array<object|string>, options?: { request?: string }) => Promise<{ text: string, usage: null }> }}
+ */
+export const createFixtureClient = ({ fixtureDir, documentKey }) => ({
+    model: 'fixture',
+    generate: async (contentParts, { request } = {}) => {
+        if (!documentKey) {
+            throw new Error('The fixture provider needs the key of the uploaded files.');
+        }
+        const filePath = fixturePath(fixtureDir, documentKey);
+        console.log(`Reading OCR fixture: ${filePath} (${request})`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`No OCR fixture found for key ${documentKey} in ${fixtureDir}.`);
+        }
+        const responses = readFixture(filePath);
+        if (!Object.hasOwn(responses, request)) {
+            throw new Error(`OCR fixture ${documentKey} has no response for "${request}".`);
+        }
+        const response = responses[request];
+        return { text: typeof response === 'string' ? response : JSON.stringify(response), usage: null };
+    },
+});
+
+// Requests for one document run side by side, so writes to its fixture are queued
+const recordQueues = new Map();
+
+/**
+ * Wraps a model client so that every response it gives is also written to
+ * `<fixtureDir>/<documentKey>.json` in the form createFixtureClient reads.
+ * Running the create flow once against the real model records the fixture
+ * for its files; later responses to the same request replace earlier ones,
+ * so a corrected response is what gets replayed.
+ * @param {{ client: { model: string, generate: Function }, fixtureDir: string, documentKey: string|undefined }} options
+ * @returns {{ model: string, generate: Function }} - A client like the one wrapped
+ */
+export const createRecordingClient = ({ client, fixtureDir, documentKey }) => ({
+    model: client.model,
+    generate: async (contentParts, options = {}) => {
+        const answer = await client.generate(contentParts, options);
+        if (!documentKey || !options.request) {
+            console.warn('Not recording an OCR response without a document key and request name.');
+            return answer;
+        }
+        const filePath = fixturePath(fixtureDir, documentKey);
+        let response;
+        try {
+            response = JSON.parse(answer.text);
+        } catch {
+            response = answer.text;
+        }
+        const previous = recordQueues.get(filePath) ?? Promise.resolve();
+        const write = previous.then(async () => {
+            const responses = fs.existsSync(filePath) ? readFixture(filePath) : {};
+            responses[options.request] = response;
+            await fs.promises.mkdir(fixtureDir, { recursive: true });
+            await fs.promises.writeFile(filePath, `${JSON.stringify(responses, null, 2)}\n`);
+        });
+        recordQueues.set(filePath, write.catch(() => {}));
+        await write;
+        console.log(`Recorded OCR fixture: ${filePath} (${options.request})`);
+        return answer;
+    },
+});
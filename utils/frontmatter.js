@@ -0,0 +1,127 @@
+import YAML from 'yaml';
+
+// YAML 1.1 quoting, so readers that still follow it (dates, yes/no) get strings back as well; no folding of long lines
+const STRINGIFY_OPTIONS = { version: '1.1', lineWidth: 0 };
+
+/**
+ * Renders fields as YAML lines, skipping undefined and null values
+ * @param {Object} fields
+ * @returns {string} - One line or more per field, ending with a newline; empty when there are none
+ */
+const renderFields = (fields) => {
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+    return Object.keys(defined).length > 0 ? YAML.stringify(defined, STRINGIFY_OPTIONS) : '';
+};
+
+/**
+ * Renders an object as a YAML frontmatter block delimited by '---'.
+ * Values are written with the same YAML library parseFrontmatter reads them
+ * with, so any string comes back as it went in. Keys are emitted in the order given.
+ * @param {Object} fields - Frontmatter fields
+ * @returns {string} - The frontmatter block, ending with a newline
+ */
+export const renderFrontmatter = (fields) => `---\n${renderFields(fields)}---\n`;
+
+/**
+ * Builds the full '+page.svelte.md' content for an entry from a validated OCR result.
+ * @param {{ title: string, created: string, description: string, summary: string, tags: string[], body: string }} ocrResult
+ * @returns {string} - Markdown with YAML frontmatter
+ */
+export const buildEntryMarkdown = (ocrResult) => {
+    const frontmatter = renderFrontmatter({
+        created: ocrResult.created,
+        description: ocrResult.description,
+        published: 'Unknown',
+        summary: ocrResult.summary,
+        tags: ocrResult.tags,
+        title: ocrResult.title,
+    });
+    return `${frontmatter}\n${ocrResult.body}\n`;
+};
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Splits entry markdown into its frontmatter text and body, without reading the frontmatter
+ * @param {string} markdown - Full '+page.svelte.md' content
+ * @returns {{ frontmatter: string|null, body: string }} - frontmatter is null when there is none
+ */
+export const splitFrontmatter = (markdown) => {
+    const text = String(markdown ?? '');
+    const match = text.match(FRONTMATTER_PATTERN);
+    if (!match) {
+        return { frontmatter: null, body: text };
+    }
+    return { frontmatter: match[1], body: text.slice(match[0].length).replace(/^\r?\n/, '') };
+};
+
+/**
+ * Splits entry markdown into its frontmatter fields and body.
+ * The frontmatter is read as YAML with every scalar kept as a string, as
+ * entries are written; nested mappings, block scalars and comments in older
+ * entries are understood too.
+ * @param {string} markdown - Full '+page.svelte.md' content
+ * @returns {{ data: Object, body: string }} - data is empty when there is no frontmatter
+ * @throws {Error} - Throws if the frontmatter is not valid YAML or not a mapping
+ */
+export const parseFrontmatter = (markdown) => {
+    const { frontmatter, body } = splitFrontmatter(markdown);
+    const data = frontmatter === null ? {} : YAML.parse(frontmatter, { schema: 'failsafe' }) ?? {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The frontmatter is not a list of fields.');
+    }
+    return { data, body };
+};
+
+/**
+ * Reads the tags of parsed frontmatter. Older entries may give a single tag
+ * as a string, and hand-written lists may hold mappings, which are not tags.
+ * @param {Object} data - Fields from parseFrontmatter
+ * @returns {string[]}
+ */
+export const tagsOf = (data) => {
+    const tags = Array.isArray(data.tags) ? data.tags : [data.tags];
+    return tags
+        .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+        .map(tag => String(tag).trim())
+        .filter(Boolean);
+};
+
+/**
+ * Changes frontmatter fields of entry markdown. Only the lines of the changed
+ * fields are rewritten; every other line, including YAML this module would
+ * not write itself, is kept as it is, so the frontmatter does not have to parse.
+ * @param {string} markdown - Full '+page.svelte.md' content
+ * @param {Object} changes - Fields to set; undefined values are ignored and null removes a field
+ * @param {string} [body] - Replaces the body; by default it is kept
+ * @returns {string} - The updated markdown
+ */
+export const updateFrontmatter = (markdown, changes, body) => {
+    const { frontmatter, body: currentBody } = splitFrontmatter(markdown);
+
+    // A field starts at a key in the first column and runs on over indented lines, list items and blank lines.
+    // Comments in the first column stand on their own, so they stay when the field above them changes.
+    const fields = [];
+    for (const line of frontmatter === null ? [] : frontmatter.split(/\r?\n/)) {
+        const key = line.match(/^([^\s#-][^:]*?):(?:\s|$)/)?.[1].replace(/^(["'])(.*)\1$/, '$2');
+        if (key !== undefined || line.startsWith('#') || fields.length === 0) {
+            fields.push({ key: key ?? null, lines: [line] });
+        } else {
+            fields[fields.length - 1].lines.push(line);
+        }
+    }
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) {
+            continue;
+        }
+        // A null value renders nothing, which removes the field
+        const lines = renderFields({ [key]: value }).split('\n').slice(0, -1);
+        const existing = fields.find(field => field.key === key);
+        if (existing) {
+            existing.lines = lines;
+        } else {
+            fields.push({ key, lines });
+        }
+    }
+    return `---\n${fields.flatMap(field => field.lines).join('\n')}\n---\n\n${body ?? currentBody}`;
+};
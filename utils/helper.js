@@ -1,6 +1,79 @@
-export const formatResponse = (statusCode, body) => {
+import { getHttpConfig } from './config.js';
+
+/**
+ * Builds a handler response. Every response carries the same CORS headers,
+ * so browsers can call the function through API Gateway or a Function URL.
+ * @param {number} statusCode
+ * @param {Object} [body] - Serialized as JSON; omitted bodies are sent empty
+ * @param {Object<string, string>} [headers] - Extra headers
+ * @returns {{ statusCode: number, headers: Object<string, string>, body: string }}
+ */
+export const formatResponse = (statusCode, body, headers = {}) => {
     return {
         statusCode,
-        body: JSON.stringify(body),
+        headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': getHttpConfig().corsAllowOrigin,
+            'Access-Control-Allow-Methods': 'GET,POST,PUT,OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type,Authorization,Idempotency-Key,If-Match',
+            ...headers,
+        },
+        body: body === undefined ? '' : JSON.stringify(body),
     };
-};
\ No newline at end of file
+};
+
+/**
+ * Maps over items with at most `limit` workers running at once.
+ * Results keep the order of the input regardless of completion order.
+ * @param {Array<any>} items
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @returns {Promise<Array<any>>}
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runWorker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+};
+
+/**
+ * Encodes a pagination offset as an opaque cursor
+ * @param {number} offset
+ * @returns {string}
+ */
+export const encodePageCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Decodes a cursor made by encodePageCursor; missing or malformed cursors start at the beginning
+ * @param {string} [cursor]
+ * @returns {number} - The offset
+ */
+export const decodePageCursor = (cursor) => {
+    if (!cursor) {
+        return 0;
+    }
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(offset) && offset >= 0 ? offset : 0;
+    } catch {
+        return 0;
+    }
+};
+
+/**
+ * Clamps a requested page size
+ * @param {any} limit - Requested size
+ * @param {number} defaultSize
+ * @param {number} maxSize
+ * @returns {number}
+ */
+export const resolvePageSize = (limit, defaultSize, maxSize) =>
+    Math.min(Math.max(Number.parseInt(limit, 10) || defaultSize, 1), maxSize);
@@ -0,0 +1,126 @@
+/**
+ * Works out how the function was invoked
+ * @param {Object} event - Lambda event
+ * @returns {'apiGatewayV1'|'apiGatewayV2'|'functionUrl'|'s3'|'sqs'|'direct'}
+ */
+export const detectEventSource = (event) => {
+    if (event && typeof event === 'object' && !Array.isArray(event)) {
+        const recordSource = Array.isArray(event.Records) ? event.Records[0]?.eventSource : undefined;
+        if (recordSource === 'aws:s3') {
+            return 's3';
+        }
+        if (recordSource === 'aws:sqs') {
+            return 'sqs';
+        }
+        if (event.version === '2.0' && event.requestContext?.http) {
+            return /\.lambda-url\./.test(event.requestContext.domainName ?? '') ? 'functionUrl' : 'apiGatewayV2';
+        }
+        if (typeof event.httpMethod === 'string' && event.requestContext) {
+            return 'apiGatewayV1';
+        }
+    }
+    return 'direct';
+};
+
+/**
+ * Normalizes an API Gateway (v1 or v2) or Function URL event into one request shape.
+ * @param {Object} event - Lambda event from an HTTP source
+ * @returns {{ method: string, path: string, headers: Object<string, string>, query: Object<string, string>, body: string }} -
+ *   header names are lower-cased and the body is decoded from base64 when needed
+ */
+export const parseHttpRequest = (event) => {
+    const isV2 = event.version === '2.0';
+    const method = (isV2 ? event.requestContext.http.method : event.httpMethod).toUpperCase();
+    let path = (isV2 ? event.rawPath : event.path) || '/';
+
+    // v2 paths keep a named stage ('/prod/entries'); v1 paths never include it
+    const stage = event.requestContext?.stage;
+    if (isV2 && stage && stage !== '$default' && (path === `/${stage}` || path.startsWith(`/${stage}/`))) {
+        path = path.slice(stage.length + 1) || '/';
+    }
+
+    const headers = {};
+    for (const [name, value] of Object.entries(event.headers ?? {})) {
+        headers[name.toLowerCase()] = value;
+    }
+
+    const rawBody = event.body ?? '';
+    const body = event.isBase64Encoded ? Buffer.from(rawBody, 'base64').toString('utf8') : rawBody;
+
+    return { method, path: path.replace(/\/+$/, '') || '/', headers, query: event.queryStringParameters ?? {}, body };
+};
+
+// Slugs arrive percent-encoded; anything unsafe after decoding is rejected by task validation
+const entryPathFromSegment = (segment) => {
+    try {
+        return `/${decodeURIComponent(segment)}/`;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Maps an HTTP request onto a task.
+ * - POST /entries              -> create (the body carries files and options; an Idempotency-Key header is honoured)
+ * - POST /uploads              -> requestUpload (the body carries fileNames)
+ * - PUT /entries/{slug}        -> update (the body carries content; an If-Match header is sent as expectedEtag)
+ * - GET /entries/{slug}/pdf    -> download
+ * - POST /                     -> any task, with the task object as the body
+ * @param {{ method: string, path: string, headers: Object<string, string>, body: string }} request - From parseHttpRequest
+ * @returns {{ task: Object } | { statusCode: number, message: string, allow?: string[] }} - The task to run, or the error to answer with
+ */
+export const routeHttpRequest = ({ method, path, headers, body }) => {
+    const entryMatch = path.match(/^\/entries\/([^/]+)$/);
+    const pdfMatch = path.match(/^\/entries\/([^/]+)\/pdf$/);
+    const entryPath = entryPathFromSegment((entryMatch ?? pdfMatch)?.[1] ?? '');
+    if ((entryMatch || pdfMatch) && !entryPath) {
+        return { statusCode: 400, message: 'The entry name in the path is not valid.' };
+    }
+
+    let route;
+    if (path === '/') {
+        route = { allow: ['POST'], build: (payload) => payload };
+    } else if (path === '/entries') {
+        route = {
+            allow: ['POST'],
+            build: (payload) => ({
+                ...payload,
+                type: 'create',
+                idempotencyKey: payload.idempotencyKey ?? headers['idempotency-key'],
+            }),
+        };
+    } else if (path === '/uploads') {
+        route = { allow: ['POST'], build: (payload) => ({ ...payload, type: 'requestUpload' }) };
+    } else if (entryMatch) {
+        route = {
+            allow: ['PUT'],
+            build: (payload) => ({
+                ...payload,
+                type: 'update',
+                title: entryPath,
+                expectedEtag: payload.expectedEtag ?? headers['if-match'],
+            }),
+        };
+    } else if (pdfMatch) {
+        route = { allow: ['GET'], build: () => ({ type: 'download', title: entryPath }) };
+    } else {
+        return { statusCode: 404, message: `No route for ${method} ${path}.` };
+    }
+
+    if (!route.allow.includes(method)) {
+        return { statusCode: 405, message: `${method} is not allowed on ${path}.`, allow: route.allow };
+    }
+
+    let payload = {};
+    if (method !== 'GET' && body.trim()) {
+        try {
+            payload = JSON.parse(body);
+        } catch {
+            return { statusCode: 400, message: 'Request body must be valid JSON.' };
+        }
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return { statusCode: 400, message: 'Request body must be a JSON object.' };
+        }
+    }
+    return { task: route.build(payload) };
+};
@@ -0,0 +1,112 @@
+import path from 'path';
+import sharp from 'sharp';
+import bmp from 'bmp-js';
+
+export const SUPPORTED_FORMATS_LABEL = 'PDF, PNG, JPEG, TIFF, WebP, GIF, BMP';
+
+const startsWithBytes = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const startsWithText = (buffer, text, offset = 0) =>
+    buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+
+/**
+ * Identifies a file from its leading bytes. Extensions are unreliable for
+ * phone uploads (e.g. HEIC photos renamed to .jpg), so content wins.
+ * @param {Buffer} buffer
+ * @returns {string|null} - 'pdf', 'png', 'jpeg', 'tiff', 'gif', 'bmp', 'webp', 'heic', or null if unknown
+ */
+const sniffFormat = (buffer) => {
+    // PDF headers may be preceded by junk bytes, which readers tolerate within the first KB
+    if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+    if (startsWithBytes(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+    if (startsWithBytes(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWithBytes(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWithBytes(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return 'tiff';
+    if (startsWithText(buffer, 'GIF87a') || startsWithText(buffer, 'GIF89a')) return 'gif';
+    if (startsWithText(buffer, 'BM')) return 'bmp';
+    if (startsWithText(buffer, 'RIFF') && startsWithText(buffer, 'WEBP', 8)) return 'webp';
+    if (startsWithText(buffer, 'ftyp', 4) && /^(heic|heix|hevc|hevx|heim|heis|mif1|msf1|avif)$/.test(buffer.toString('latin1', 8, 12))) return 'heic';
+    return null;
+};
+
+/**
+ * Works out whether an uploaded file can be turned into PDF pages.
+ * @param {Buffer} buffer - Decoded file content
+ * @param {string} fileName - Original file name, only used in the rejection reason
+ * @returns {{ supported: true, format: string } | { supported: false, reason: string }}
+ */
+export const detectFileType = (buffer, fileName) => {
+    const format = sniffFormat(buffer);
+    if (format === 'heic') {
+        return {
+            supported: false,
+            reason: `HEIC/HEIF images are not supported. Export the photo as JPEG and upload it again. Supported formats: ${SUPPORTED_FORMATS_LABEL}.`,
+        };
+    }
+    if (!format) {
+        const extension = path.extname(fileName).toLowerCase();
+        return {
+            supported: false,
+            reason: `Unrecognised file contents${extension ? ` for a "${extension}" file` : ''}. Supported formats: ${SUPPORTED_FORMATS_LABEL}.`,
+        };
+    }
+    return { supported: true, format };
+};
+
+/**
+ * Decodes an uncompressed BMP into PNG bytes. bmp-js yields pixels in ABGR order.
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+const bmpToPng = async (buffer) => {
+    const { width, height, data } = bmp.decode(buffer);
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        rgba[i] = data[i + 3];
+        rgba[i + 1] = data[i + 2];
+        rgba[i + 2] = data[i + 1];
+        rgba[i + 3] = 0xFF;
+    }
+    return sharp(rgba, { raw: { width, height, channels: 4 } }).png().toBuffer();
+};
+
+/**
+ * Converts an image into one or more images pdf-lib can embed (PNG or JPEG),
+ * applying the EXIF orientation so photos taken sideways end up upright.
+ * Multi-page TIFFs produce one image per page; animated GIFs use the first frame.
+ * @param {Buffer} buffer - Decoded file content
+ * @param {string} format - Format from detectFileType (not 'pdf')
+ * @returns {Promise<Array<{ type: 'png'|'jpg', bytes: Buffer }>>}
+ */
+export const toEmbeddableImages = async (buffer, format) => {
+    switch (format) {
+        case 'png':
+            return [{ type: 'png', bytes: buffer }];
+        case 'jpeg': {
+            const { orientation } = await sharp(buffer).metadata();
+            if (!orientation || orientation === 1) {
+                // Already upright: embed the original bytes without re-encoding
+                return [{ type: 'jpg', bytes: buffer }];
+            }
+            console.log(`Correcting EXIF orientation ${orientation}.`);
+            return [{ type: 'jpg', bytes: await sharp(buffer).rotate().jpeg({ quality: 92 }).toBuffer() }];
+        }
+        case 'tiff': {
+            const { pages = 1 } = await sharp(buffer).metadata();
+            const images = [];
+            for (let page = 0; page < pages; page++) {
+                images.push({ type: 'png', bytes: await sharp(buffer, { page }).rotate().png().toBuffer() });
+            }
+            return images;
+        }
+        case 'webp':
+            // WebP uploads are almost always photos, where JPEG keeps the PDF small
+            return [{ type: 'jpg', bytes: await sharp(buffer).rotate().flatten({ background: '#ffffff' }).jpeg({ quality: 92 }).toBuffer() }];
+        case 'gif':
+            return [{ type: 'png', bytes: await sharp(buffer).png().toBuffer() }];
+        case 'bmp':
+            return [{ type: 'png', bytes: await bmpToPng(buffer) }];
+        default:
+            throw new Error(`No image conversion for format "${format}".`);
+    }
+};
@@ -0,0 +1,263 @@
+import { createHash } from 'crypto';
+import {
+    listS3Objects,
+    headS3Object,
+    getS3ObjectBytes,
+    getS3TextObject,
+    putS3Object,
+    copyS3Object,
+    deleteS3Objects,
+    isPreconditionFailure,
+} from './s3_update.js';
+import { getIngestConfig } from './config.js';
+
+// Pages of one document share a name and end in a page number: 'letter-042_p1.jpg', 'letter-042 page 2.png'
+const PAGE_SUFFIX = /^(.+?)[-_ ](?:p|pg|page)[-_ ]?(\d+)$/i;
+const LOCK_PREFIX = 'ingest/locks/';
+// Lambda invocations cannot outlive 15 minutes, so an older lock was left by one that died
+const LOCK_STALE_AFTER_MS = 16 * 60 * 1000;
+const INGEST_AUTHOR = 'inbox';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const lockKey = (groupId) => `${LOCK_PREFIX}${createHash('sha256').update(groupId).digest('hex')}.json`;
+
+/**
+ * Decodes an object key from an S3 event notification, where spaces arrive as '+'
+ * @param {string} key
+ * @returns {string}
+ */
+export const decodeS3EventKey = (key) => decodeURIComponent(key.replace(/\+/g, ' '));
+
+/**
+ * Works out which document an inbox file belongs to
+ * @param {string} key - e.g. 'inbox/letter-042_p2.jpg'
+ * @returns {{ groupId: string, stem: string, page: number }} - groupId is shared by every page of the document
+ *   ('inbox/letter-042'); files without a page number are page 0 of their own group
+ */
+export const parseInboxKey = (key) => {
+    const slash = key.lastIndexOf('/');
+    const fileName = key.slice(slash + 1);
+    const dot = fileName.lastIndexOf('.');
+    const name = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const match = name.match(PAGE_SUFFIX);
+    const stem = match ? match[1] : name;
+    return { groupId: `${key.slice(0, slash + 1)}${stem}`, stem, page: match ? Number(match[2]) : 0 };
+};
+
+/**
+ * Collects the inbox keys named by an S3 event notification (delivered
+ * directly or as an SQS message body). Keys outside the inbox are ignored.
+ * @param {Object} notification - { Records: [{ eventSource: 'aws:s3', eventName, s3: { object: { key } } }] }
+ * @returns {string[]}
+ */
+const keysFromS3Notification = (notification) => {
+    const { inboxPrefix } = getIngestConfig();
+    return (notification.Records ?? [])
+        .filter(record => record.eventSource === 'aws:s3' && String(record.eventName ?? '').startsWith('ObjectCreated'))
+        .map(record => decodeS3EventKey(record.s3.object.key))
+        .filter(key => key.startsWith(inboxPrefix) && !key.endsWith('/'));
+};
+
+/**
+ * Turns inbox keys into documents: pages that share a group are processed together
+ * @param {string[]} keys
+ * @returns {Array<{ groupId: string }>}
+ */
+const groupsFromKeys = (keys) =>
+    [...new Set(keys.map(key => parseInboxKey(key).groupId))].map(groupId => ({ groupId }));
+
+/**
+ * Takes the lock for a group so that events for its other pages, arriving in
+ * parallel, do not process it again
+ * @returns {Promise<boolean>} - Whether this invocation holds the lock
+ */
+const claimGroup = async (bucketName, groupId) => {
+    const body = JSON.stringify({ groupId, claimedAt: new Date().toISOString() });
+    try {
+        await putS3Object(bucketName, lockKey(groupId), body, { contentType: 'application/json', ifNoneMatch: '*' });
+        return true;
+    } catch (error) {
+        if (!isPreconditionFailure(error)) {
+            throw error;
+        }
+    }
+    const existing = await getS3TextObject(bucketName, lockKey(groupId));
+    if (existing && Date.now() - Date.parse(JSON.parse(existing.body).claimedAt) <= LOCK_STALE_AFTER_MS) {
+        return false;
+    }
+    try {
+        await putS3Object(bucketName, lockKey(groupId), body, {
+            contentType: 'application/json',
+            ...(existing ? { ifMatch: existing.etag } : { ifNoneMatch: '*' }),
+        });
+        console.log(`Took over a stale ingest lock for ${groupId}`);
+        return true;
+    } catch (error) {
+        if (isPreconditionFailure(error)) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lists the files of a group still in the inbox, in page order
+ * @returns {Promise<Array<{ key: string, lastModified: Date }>>}
+ */
+const listGroupObjects = async (bucketName, group) => {
+    if (group.keys) {
+        const objects = await Promise.all(group.keys.map(async key => {
+            const head = await headS3Object(bucketName, key);
+            return head ? { key, lastModified: head.lastModified } : null;
+        }));
+        return objects.filter(Boolean);
+    }
+    const { stem } = parseInboxKey(group.groupId);
+    const directory = group.groupId.slice(0, group.groupId.length - stem.length);
+    const candidates = await listS3Objects(bucketName, `${directory}${stem}`);
+    return candidates
+        .filter(object => !object.key.slice(directory.length).includes('/') && parseInboxKey(object.key).groupId === group.groupId)
+        .sort((a, b) => parseInboxKey(a.key).page - parseInboxKey(b.key).page || a.key.localeCompare(b.key));
+};
+
+// Keeps each file's path below the inbox, so 'inbox/2024/a.jpg' becomes 'processed/2024/a.jpg'
+const moveObjects = async (bucketName, keys, toPrefix) => {
+    const { inboxPrefix } = getIngestConfig();
+    const moved = [];
+    for (const key of keys) {
+        const destination = `${toPrefix}${key.slice(inboxPrefix.length)}`;
+        await copyS3Object(bucketName, key, destination);
+        moved.push(destination);
+    }
+    await deleteS3Objects(bucketName, keys);
+    return moved;
+};
+
+/**
+ * Runs one document through the create pipeline. On success its files move
+ * to the processed prefix; otherwise they move to the failed prefix next to
+ * a '<name>.error.json' report.
+ * @param {string} bucketName
+ * @param {{ groupId: string, keys?: string[] }} group - keys lists the files when a queue message named them; otherwise the group's files are looked up in the inbox
+ * @param {(input: Object) => Promise<{ statusCode: number, result: Object }>} createEntry - The create pipeline
+ * @returns {Promise<{ status: 'processed'|'failed'|'skipped', groupId: string, files?: string[], slug?: string, error?: string, reason?: string }>}
+ * @throws {Error} - Throws when the files could not be read or moved; they are left in the inbox
+ */
+const ingestGroup = async (bucketName, group, createEntry) => {
+    const { processedPrefix, failedPrefix, inboxPrefix, settleSeconds } = getIngestConfig();
+    if (!(await claimGroup(bucketName, group.groupId))) {
+        console.log(`${group.groupId} is already being processed.`);
+        return { status: 'skipped', groupId: group.groupId, reason: 'Already being processed.' };
+    }
+
+    try {
+        let objects = await listGroupObjects(bucketName, group);
+        // Pages are often uploaded one after another; give the rest of them a moment to arrive
+        const newest = Math.max(...objects.map(object => new Date(object.lastModified).getTime()));
+        const settleMs = settleSeconds * 1000 - (Date.now() - newest);
+        if (!group.keys && objects.length > 0 && settleMs > 0) {
+            console.log(`Waiting ${Math.ceil(settleMs / 1000)}s for more pages of ${group.groupId}`);
+            await sleep(settleMs);
+            objects = await listGroupObjects(bucketName, group);
+        }
+        if (objects.length === 0) {
+            return { status: 'skipped', groupId: group.groupId, reason: 'No files left in the inbox.' };
+        }
+
+        const keys = objects.map(object => object.key);
+        const files = [];
+        for (const key of keys) {
+            const bytes = await getS3ObjectBytes(bucketName, key);
+            if (bytes) {
+                files.push({ fileName: key.slice(key.lastIndexOf('/') + 1), fileData: Buffer.from(bytes).toString('base64') });
+            }
+        }
+        console.log(`Ingesting ${group.groupId} from ${files.length} file(s)`);
+
+        let outcome;
+        try {
+            outcome = await createEntry({ files, author: INGEST_AUTHOR });
+        } catch (error) {
+            console.error(`Ingesting ${group.groupId} failed:`, error);
+            outcome = { statusCode: 500, result: { message: 'Processing failed.' }, error: error.message };
+        }
+
+        if (outcome.statusCode === 200) {
+            const moved = await moveObjects(bucketName, keys, processedPrefix);
+            console.log(`Ingested ${group.groupId} as ${outcome.result.slug}`);
+            return { status: 'processed', groupId: group.groupId, files: moved, slug: outcome.result.slug };
+        }
+
+        const moved = await moveObjects(bucketName, keys, failedPrefix);
+        const error = outcome.error || outcome.result?.message || 'Processing failed.';
+        const report = {
+            groupId: group.groupId,
+            failedAt: new Date().toISOString(),
+            statusCode: outcome.statusCode,
+            error,
+            result: outcome.result,
+            files: moved,
+        };
+        await putS3Object(bucketName, `${failedPrefix}${group.groupId.slice(inboxPrefix.length)}.error.json`, JSON.stringify(report, null, 2), {
+            contentType: 'application/json',
+        });
+        console.warn(`Moved ${group.groupId} to ${failedPrefix}: ${error}`);
+        return { status: 'failed', groupId: group.groupId, files: moved, error };
+    } finally {
+        await deleteS3Objects(bucketName, [lockKey(group.groupId)]);
+    }
+};
+
+/**
+ * Handles S3 ObjectCreated notifications for the inbox prefix
+ * @param {string} bucketName
+ * @param {Object} event - S3 event
+ * @param {(input: Object) => Promise<{ statusCode: number, result: Object }>} createEntry
+ * @returns {Promise<{ results: Array<Object> }>}
+ * @throws {Error} - Rethrows when a document could not be handled, so the invocation is retried
+ */
+export const handleS3Event = async (bucketName, event, createEntry) => {
+    const results = [];
+    for (const group of groupsFromKeys(keysFromS3Notification(event))) {
+        results.push(await ingestGroup(bucketName, group, createEntry));
+    }
+    return { results };
+};
+
+/**
+ * Handles a batch of SQS messages. A message body is either an S3 event
+ * notification or { "keys": [...] } naming the inbox files of one document.
+ * Messages that could not be handled are reported back so SQS retries only those.
+ * @param {string} bucketName
+ * @param {Object} event - SQS event
+ * @param {(input: Object) => Promise<{ statusCode: number, result: Object }>} createEntry
+ * @returns {Promise<{ batchItemFailures: Array<{ itemIdentifier: string }>, results: Array<Object> }>}
+ */
+export const handleSqsEvent = async (bucketName, event, createEntry) => {
+    const { inboxPrefix } = getIngestConfig();
+    const batchItemFailures = [];
+    const results = [];
+    for (const record of event.Records) {
+        try {
+            const message = JSON.parse(record.body);
+            let groups;
+            if (Array.isArray(message.keys)) {
+                const keys = message.keys.filter(key => typeof key === 'string' && key.startsWith(inboxPrefix) && !key.endsWith('/'));
+                if (keys.length !== message.keys.length) {
+                    console.warn(`Message ${record.messageId}: ignoring keys outside ${inboxPrefix}`);
+                }
+                groups = keys.length > 0 ? [{ groupId: parseInboxKey(keys[0]).groupId, keys }] : [];
+            } else {
+                // The test event S3 sends when notifications are set up has no records and is dropped here
+                groups = groupsFromKeys(keysFromS3Notification(message));
+            }
+            for (const group of groups) {
+                results.push({ messageId: record.messageId, ...(await ingestGroup(bucketName, group, createEntry)) });
+            }
+        } catch (error) {
+            console.error(`Message ${record.messageId} could not be handled:`, error);
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+    return { batchItemFailures, results };
+};
@@ -0,0 +1,83 @@
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
+import { getJobConfig } from './config.js';
+import { createConfigured } from './configured.js';
+
+/**
+ * Starts asynchronous jobs. jobs.js keeps the job records; the dispatcher
+ * only sends the 'runJob' task to whatever runs it, without waiting for it.
+ * @typedef {Object} JobDispatcher
+ * @property {string} name
+ * @property {(jobId: string) => Promise<void>} dispatch - Resolves once the job is handed over
+ */
+
+/**
+ * Runs jobs in an asynchronous invocation of a Lambda function, by default this one
+ * @param {{ functionName: string|undefined, region: string }} options
+ * @returns {JobDispatcher}
+ */
+export const createLambdaJobDispatcher = ({ functionName, region }) => {
+    const lambdaClient = new LambdaClient({ region });
+    return {
+        name: 'lambda',
+
+        dispatch: async (jobId) => {
+            if (!functionName) {
+                throw new Error('No function name available to run jobs asynchronously (set JOB_FUNCTION_NAME).');
+            }
+            await lambdaClient.send(new InvokeCommand({
+                FunctionName: functionName,
+                InvocationType: 'Event',
+                Payload: Buffer.from(JSON.stringify({ type: 'runJob', jobId })),
+            }));
+            console.log(`Dispatched job ${jobId} to ${functionName}`);
+        },
+    };
+};
+
+/**
+ * Runs jobs in this process, for local development and tests: the 'runJob'
+ * task goes to this function's own handler once the current request has
+ * answered, as an asynchronous invocation would.
+ * @returns {JobDispatcher}
+ */
+export const createLocalJobDispatcher = () => ({
+    name: 'local',
+
+    dispatch: async (jobId) => {
+        // Imported here, as index.js imports this module
+        const { handler } = await import('../index.js');
+        setImmediate(() => {
+            handler({ type: 'runJob', jobId }).catch(error => console.error(`Local run of job ${jobId} failed:`, error));
+        });
+        console.log(`Dispatched job ${jobId} to this process`);
+    },
+});
+
+const dispatcherFactories = {
+    lambda: (config) => createLambdaJobDispatcher({ functionName: config.jobFunctionName, region: config.region }),
+    local: () => createLocalJobDispatcher(),
+};
+
+// The Lambda client follows the job function and its region
+const configuredDispatcher = createConfigured({
+    kind: 'job dispatcher',
+    readConfig: getJobConfig,
+    nameOf: (config) => config.jobDispatcher,
+    settingsOf: (config) => [config.jobFunctionName, config.region],
+    factories: dispatcherFactories,
+});
+
+/**
+ * Returns the job dispatcher selected by JOB_DISPATCHER, or the one passed to
+ * useJobDispatcher
+ * @returns {JobDispatcher}
+ */
+export const getJobDispatcher = () => configuredDispatcher.get();
+
+/**
+ * Puts a job dispatcher in place of the configured one. Pass null to go back
+ * to JOB_DISPATCHER.
+ * @param {JobDispatcher|null} dispatcher
+ * @returns {void}
+ */
+export const useJobDispatcher = (dispatcher) => configuredDispatcher.use(dispatcher);
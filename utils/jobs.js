@@ -0,0 +1,240 @@
+import { createHash, randomUUID } from 'crypto';
+import { getS3TextObject, putS3Object, deleteS3Objects, isPreconditionFailure } from './s3_update.js';
+import { getJobDispatcher } from './job_dispatcher.js';
+
+export const JOB_STATUSES = ['queued', 'merging', 'ocr', 'uploading', 'done', 'failed'];
+const TERMINAL_STATUSES = ['done', 'failed'];
+// Lambda invocations cannot outlive 15 minutes, so a job that has not moved for longer has died
+const JOB_STALE_AFTER_MS = 16 * 60 * 1000;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const jobKey = (jobId) => `jobs/${jobId}/job.json`;
+const jobInputKey = (jobId) => `jobs/${jobId}/input.json`;
+// Keys are hashed so any client-chosen string maps to a safe object name, and belong to the caller who sent them
+const idempotencyKeyObject = (createdBy, idempotencyKey) =>
+    `jobs/keys/${createHash('sha256').update(JSON.stringify([createdBy, idempotencyKey])).digest('hex')}.json`;
+
+/**
+ * Checks a job id has the form generated by createJob
+ * @param {string} jobId
+ * @returns {boolean}
+ */
+export const isValidJobId = (jobId) =>
+    typeof jobId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(jobId);
+
+/**
+ * Checks a client-supplied idempotency key
+ * @param {string} idempotencyKey
+ * @returns {boolean}
+ */
+export const isValidIdempotencyKey = (idempotencyKey) =>
+    typeof idempotencyKey === 'string' && idempotencyKey.length > 0 && idempotencyKey.length <= MAX_IDEMPOTENCY_KEY_LENGTH;
+
+const writeJob = (bucketName, job, options) =>
+    putS3Object(bucketName, jobKey(job.jobId), JSON.stringify(job), { contentType: 'application/json', ...options });
+
+const withStatus = (job, status, changes = {}) => {
+    const now = new Date().toISOString();
+    return { ...job, ...changes, status, updatedAt: now, history: [...job.history, { status, at: now }] };
+};
+
+/**
+ * Reads a job record together with its ETag
+ * @param {string} bucketName
+ * @param {string} jobId
+ * @returns {Promise<{ job: Object, etag: string }|null>}
+ */
+const readJob = async (bucketName, jobId) => {
+    const object = await getS3TextObject(bucketName, jobKey(jobId));
+    return object ? { job: JSON.parse(object.body), etag: object.etag } : null;
+};
+
+/**
+ * Points an idempotency key at a job, unless another job that has not failed
+ * holds it. A key held by a failed job, or by a job that no longer exists, is
+ * taken over so the request can be tried again.
+ * @param {string} bucketName
+ * @param {{ jobId: string, createdBy: string|null, idempotencyKey: string, createdAt: string }} job - The new job
+ * @returns {Promise<Object|null>} - The job holding the key, or null if it now points at the new job
+ */
+const claimIdempotencyKey = async (bucketName, { jobId, createdBy, idempotencyKey, createdAt }) => {
+    const key = idempotencyKeyObject(createdBy, idempotencyKey);
+    // Each attempt only loses to a write that landed in between, so a few are plenty
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const claimed = await getS3TextObject(bucketName, key);
+        const holder = claimed ? await getJob(bucketName, JSON.parse(claimed.body).jobId) : null;
+        if (holder && holder.status !== 'failed') {
+            return holder;
+        }
+        if (holder) {
+            console.log(`Idempotency key was used by job ${holder.jobId}, which failed; starting again.`);
+        }
+        try {
+            await putS3Object(bucketName, key, JSON.stringify({ jobId, createdAt }), {
+                contentType: 'application/json',
+                ...(claimed ? { ifMatch: claimed.etag } : { ifNoneMatch: '*' }),
+            });
+            return null;
+        } catch (error) {
+            if (!isPreconditionFailure(error)) {
+                throw error;
+            }
+        }
+    }
+    throw new Error('Could not claim the idempotency key; it keeps changing.');
+};
+
+/**
+ * Records a new job and its input. When an idempotency key is given and a job
+ * that has not failed already holds it, the existing job is returned and
+ * nothing new is recorded. Keys are per caller, so the same key sent by
+ * two callers starts two jobs.
+ * @param {string} bucketName
+ * @param {{ type: string, input: Object, idempotencyKey?: string, createdBy?: string }} options - createdBy is the caller's id
+ * @returns {Promise<{ job: Object, created: boolean }>}
+ */
+export const createJob = async (bucketName, { type, input, idempotencyKey, createdBy }) => {
+    const now = new Date().toISOString();
+    const job = {
+        jobId: randomUUID(),
+        type,
+        status: 'queued',
+        idempotencyKey: idempotencyKey ?? null,
+        createdBy: createdBy ?? null,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: 'queued', at: now }],
+        statusCode: null,
+        result: null,
+        error: null,
+    };
+
+    // The job exists before the key points at it, so whoever reads the key can always find the job
+    await putS3Object(bucketName, jobInputKey(job.jobId), JSON.stringify(input), { contentType: 'application/json' });
+    await writeJob(bucketName, job, { ifNoneMatch: '*' });
+
+    if (idempotencyKey) {
+        const existing = await claimIdempotencyKey(bucketName, job);
+        if (existing) {
+            await deleteS3Objects(bucketName, [jobKey(job.jobId), jobInputKey(job.jobId)]);
+            console.log(`Idempotency key already used by job ${existing.jobId}; returning it.`);
+            return { job: existing, created: false };
+        }
+    }
+
+    console.log(`Created ${type} job ${job.jobId}`);
+    return { job, created: true };
+};
+
+/**
+ * Reads a job. Jobs that stopped making progress without finishing are
+ * reported as failed.
+ * @param {string} bucketName
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} - The job record, or null if it does not exist
+ */
+export const getJob = async (bucketName, jobId) => {
+    const record = await readJob(bucketName, jobId);
+    if (!record) {
+        return null;
+    }
+    const { job } = record;
+    if (!TERMINAL_STATUSES.includes(job.status) && Date.now() - Date.parse(job.updatedAt) > JOB_STALE_AFTER_MS) {
+        return { ...job, status: 'failed', error: `Job stopped responding while ${job.status}.` };
+    }
+    return job;
+};
+
+/**
+ * Checks whether a caller may see a job: only its creator and admins can
+ * @param {{ createdBy?: string|null }} job
+ * @param {{ id: string, role: string|null }} caller
+ * @returns {boolean}
+ */
+export const isJobVisibleTo = (job, caller) =>
+    caller.role === 'admin' || (Boolean(job.createdBy) && job.createdBy === caller.id);
+
+/**
+ * Reads the input a job was created with
+ * @param {string} bucketName
+ * @param {string} jobId
+ * @returns {Promise<Object|null>}
+ */
+export const getJobInput = async (bucketName, jobId) => {
+    const object = await getS3TextObject(bucketName, jobInputKey(jobId));
+    return object ? JSON.parse(object.body) : null;
+};
+
+/**
+ * Moves a queued job to its first working status. Only one caller can win,
+ * so a job dispatched twice still runs once.
+ * @param {string} bucketName
+ * @param {string} jobId
+ * @param {string} status - The first working status
+ * @returns {Promise<boolean>} - Whether this caller should run the job
+ */
+export const claimJob = async (bucketName, jobId, status) => {
+    const record = await readJob(bucketName, jobId);
+    if (!record || record.job.status !== 'queued') {
+        return false;
+    }
+    try {
+        await writeJob(bucketName, withStatus(record.job, status), { ifMatch: record.etag });
+        return true;
+    } catch (error) {
+        if (isPreconditionFailure(error)) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Records a job's progress
+ * @param {string} bucketName
+ * @param {string} jobId
+ * @param {string} status - One of JOB_STATUSES
+ * @returns {Promise<void>}
+ */
+export const setJobStatus = async (bucketName, jobId, status) => {
+    const record = await readJob(bucketName, jobId);
+    if (!record) {
+        throw new Error(`Job ${jobId} not found.`);
+    }
+    await writeJob(bucketName, withStatus(record.job, status));
+    console.log(`Job ${jobId}: ${status}`);
+};
+
+/**
+ * Records how a job ended and removes its input
+ * @param {string} bucketName
+ * @param {string} jobId
+ * @param {{ statusCode: number, result: Object, error?: string }} outcome - statusCode 200 marks the job done, anything else failed
+ * @returns {Promise<Object>} - The final job record
+ */
+export const finishJob = async (bucketName, jobId, { statusCode, result, error }) => {
+    const record = await readJob(bucketName, jobId);
+    if (!record) {
+        throw new Error(`Job ${jobId} not found.`);
+    }
+    const status = statusCode === 200 ? 'done' : 'failed';
+    const job = withStatus(record.job, status, {
+        statusCode,
+        result,
+        error: status === 'failed' ? (error || result?.message || 'Job failed.') : null,
+    });
+    await writeJob(bucketName, job);
+    await deleteS3Objects(bucketName, [jobInputKey(jobId)]);
+    console.log(`Job ${jobId} finished: ${status}`);
+    return job;
+};
+
+/**
+ * Starts a job in a separate, asynchronous run of this function, through the
+ * dispatcher selected by JOB_DISPATCHER
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+export const dispatchJob = async (jobId) => {
+    await getJobDispatcher().dispatch(jobId);
+};
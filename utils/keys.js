@@ -0,0 +1,104 @@
+export const ENTRY_ROOT = 'urara/';
+export const DRAFT_ROOT = 'drafts/';
+export const MARKDOWN_FILE = '+page.svelte.md';
+export const PDF_FILE = 'document.pdf';
+// Which models produced an entry and the tokens they used
+export const USAGE_FILE = 'usage.json';
+// The people, places and dated events an entry mentions, as extracted from its text
+export const ENTITIES_FILE = 'entities.json';
+const MAX_SEGMENT_LENGTH = 200;
+
+/**
+ * Checks that a value can be used as a single S3 key segment: no slashes,
+ * no control characters and never '.' or '..'.
+ * @param {string} segment
+ * @returns {boolean}
+ */
+export const isSafeSegment = (segment) =>
+    typeof segment === 'string' &&
+    segment.length > 0 &&
+    segment.length <= MAX_SEGMENT_LENGTH &&
+    !/[/\\\u0000-\u001f\u007f]/.test(segment) &&
+    segment !== '.' &&
+    segment !== '..';
+
+const assertSafeSegment = (segment, label) => {
+    if (!isSafeSegment(segment)) {
+        throw new Error(`Invalid ${label} for an S3 key: ${JSON.stringify(segment)}`);
+    }
+    return segment;
+};
+
+/**
+ * Checks that an entry path names exactly one folder ('/some-title/'), so
+ * tasks can never address the whole 'urara/' tree or step outside it.
+ * @param {string} entryPath
+ * @returns {boolean}
+ */
+export const isValidEntryPath = (entryPath) =>
+    typeof entryPath === 'string' &&
+    /^\/[^/]+\/$/.test(entryPath) &&
+    isSafeSegment(entryPath.slice(1, -1));
+
+/**
+ * Brings an entry path to its canonical '/some-title/' form. Callers have sent
+ * 'some-title', '/some-title' and 'some-title/' as well, which all name the same entry.
+ * @param {string} value
+ * @returns {string|null} - null when the value does not name a single safe folder
+ */
+export const normalizeEntryPath = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const segment = value.replace(/^\//, '').replace(/\/$/, '');
+    return isSafeSegment(segment) ? `/${segment}/` : null;
+};
+
+/**
+ * Extracts the folder name from an entry path ('/some-title/' -> 'some-title')
+ * @param {string} entryPath
+ * @returns {string}
+ * @throws {Error} - Throws if the path is not a valid entry path
+ */
+export const slugFromEntryPath = (entryPath) => {
+    if (!isValidEntryPath(entryPath)) {
+        throw new Error(`Invalid entry path: ${JSON.stringify(entryPath)}`);
+    }
+    return entryPath.slice(1, -1);
+};
+
+/**
+ * Folder holding an entry's files
+ * @param {string} slug - Entry folder name
+ * @returns {string} - 'urara/<slug>/'
+ */
+export const entryPrefix = (slug) => `${ENTRY_ROOT}${assertSafeSegment(slug, 'entry folder')}/`;
+
+/**
+ * Key of a file inside an entry folder
+ * @param {string} slug - Entry folder name
+ * @param {string} fileName
+ * @returns {string}
+ */
+export const entryFileKey = (slug, fileName) => `${entryPrefix(slug)}${assertSafeSegment(fileName, 'file name')}`;
+
+export const entryMarkdownKey = (slug) => entryFileKey(slug, MARKDOWN_FILE);
+export const entryPdfKey = (slug) => entryFileKey(slug, PDF_FILE);
+export const entryUsageKey = (slug) => entryFileKey(slug, USAGE_FILE);
+export const entryEntitiesKey = (slug) => entryFileKey(slug, ENTITIES_FILE);
+
+/**
+ * Folder holding a draft's files until it is approved
+ * @param {string} slug - Draft folder name
+ * @returns {string} - 'drafts/<slug>/'
+ */
+export const draftPrefix = (slug) => `${DRAFT_ROOT}${assertSafeSegment(slug, 'draft folder')}/`;
+export const draftFileKey = (slug, fileName) => `${draftPrefix(slug)}${assertSafeSegment(fileName, 'file name')}`;
+export const draftMarkdownKey = (slug) => draftFileKey(slug, MARKDOWN_FILE);
+export const draftPdfKey = (slug) => draftFileKey(slug, PDF_FILE);
+export const draftUsageKey = (slug) => draftFileKey(slug, USAGE_FILE);
+export const draftEntitiesKey = (slug) => draftFileKey(slug, ENTITIES_FILE);
+
+export const revisionsPrefix = (slug) => `revisions/${assertSafeSegment(slug, 'entry folder')}/`;
+export const revisionKey = (slug, revisionId) => `${revisionsPrefix(slug)}${assertSafeSegment(revisionId, 'revision id')}.md`;
+export const trashPrefix = (trashId) => `trash/${assertSafeSegment(trashId, 'trash id')}/`;
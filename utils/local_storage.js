@@ -0,0 +1,259 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { pathToFileURL } from 'url';
+
+// Content types, metadata and temporary files live here, out of the listings
+const META_DIR = '.storage';
+
+const preconditionFailed = (key) => {
+    const error = new Error(`The condition on ${key} was not met.`);
+    error.name = 'PreconditionFailed';
+    error.$metadata = { httpStatusCode: 412 };
+    return error;
+};
+
+const hashFile = async (filePath) => {
+    const hash = createHash('md5');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+};
+
+/**
+ * Storage kept in a directory, for tests and local development. Each bucket
+ * is a folder under rootDir and each key a file under it, so the tree can be
+ * looked at and edited by hand; ETags are MD5 digests of the content, as S3
+ * gives for single-part uploads. Conditional writes are serialised per bucket
+ * within this process, which is enough for one local process at a time.
+ * Presigned URLs are file:// URLs to the object's path: downloads open it
+ * and uploads are made by writing the file there.
+ * @param {{ rootDir: string }} options
+ * @returns {import('./storage.js').Storage}
+ */
+export const createLocalStorage = ({ rootDir }) => {
+    const root = path.resolve(rootDir);
+    const writeQueues = new Map();
+
+    const bucketDir = (bucketName) => {
+        if (!bucketName || /[\\/]/.test(bucketName) || bucketName.startsWith('.')) {
+            throw new Error(`"${bucketName}" cannot be used as a local bucket name.`);
+        }
+        return path.join(root, bucketName);
+    };
+
+    const objectPath = (bucketName, key) => {
+        const segments = String(key).split('/');
+        if (segments.some(segment => segment === '' || segment === '.' || segment === '..' || segment.includes('\\')) || segments[0] === META_DIR) {
+            throw new Error(`"${key}" cannot be stored locally.`);
+        }
+        return path.join(bucketDir(bucketName), ...segments);
+    };
+
+    const metaPath = (bucketName, key) => path.join(bucketDir(bucketName), META_DIR, 'meta', `${key}.json`);
+
+    // Runs writes to one bucket one at a time, so a condition cannot change between its check and the write
+    const exclusive = (bucketName, write) => {
+        const previous = writeQueues.get(bucketName) ?? Promise.resolve();
+        const run = previous.then(write, write);
+        writeQueues.set(bucketName, run.catch(() => {}));
+        return run;
+    };
+
+    const readMeta = async (bucketName, key) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(metaPath(bucketName, key), 'utf8'));
+        } catch {
+            return {};
+        }
+    };
+
+    const head = async (bucketName, key) => {
+        const filePath = objectPath(bucketName, key);
+        let stats;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                return null;
+            }
+            throw error;
+        }
+        if (!stats.isFile()) {
+            return null;
+        }
+        const meta = await readMeta(bucketName, key);
+        return {
+            etag: await hashFile(filePath),
+            lastModified: stats.mtime,
+            size: stats.size,
+            contentType: meta.contentType,
+            metadata: meta.metadata ?? {},
+        };
+    };
+
+    const checkConditions = async (bucketName, key, { ifMatch, ifNoneMatch }) => {
+        if (!ifMatch && !ifNoneMatch) {
+            return;
+        }
+        const current = await head(bucketName, key);
+        if ((ifNoneMatch === '*' && current) || (ifMatch && current?.etag !== ifMatch.replace(/"/g, ''))) {
+            throw preconditionFailed(key);
+        }
+    };
+
+    // Writes go to a temporary file first and are renamed into place, so readers never see half an object
+    const tempPath = (bucketName) => path.join(bucketDir(bucketName), META_DIR, 'tmp', randomUUID());
+
+    const writeTemp = async (bucketName, body) => {
+        const temp = tempPath(bucketName);
+        await fs.promises.mkdir(path.dirname(temp), { recursive: true });
+        if (body instanceof Readable) {
+            await pipeline(body, fs.createWriteStream(temp));
+        } else {
+            await fs.promises.writeFile(temp, body);
+        }
+        return temp;
+    };
+
+    const moveIntoPlace = async (bucketName, key, temp, meta) => {
+        const filePath = objectPath(bucketName, key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.rename(temp, filePath);
+        const metaFile = metaPath(bucketName, key);
+        await fs.promises.mkdir(path.dirname(metaFile), { recursive: true });
+        await fs.promises.writeFile(metaFile, JSON.stringify(meta));
+        return hashFile(filePath);
+    };
+
+    /**
+     * Collects every key under a folder of the bucket, in S3 listing order
+     * @returns {Promise<string[]>}
+     */
+    const keysUnder = async (bucketName, folder) => {
+        const keys = [];
+        const walk = async (dir, keyPrefix) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                    return;
+                }
+                throw error;
+            }
+            for (const entry of entries) {
+                if (!keyPrefix && entry.name === META_DIR) {
+                    continue;
+                }
+                if (entry.isDirectory()) {
+                    await walk(path.join(dir, entry.name), `${keyPrefix}${entry.name}/`);
+                } else if (entry.isFile()) {
+                    keys.push(`${keyPrefix}${entry.name}`);
+                }
+            }
+        };
+        const start = folder ? path.join(bucketDir(bucketName), ...folder.split('/').filter(Boolean)) : bucketDir(bucketName);
+        await walk(start, folder);
+        // S3 lists keys by their UTF-8 bytes
+        return keys.sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b)));
+    };
+
+    // Drops folders left empty by a delete, as S3 has no folders of its own
+    const removeEmptyFolders = async (bucketName, filePath) => {
+        const top = bucketDir(bucketName);
+        for (let dir = path.dirname(filePath); dir.startsWith(`${top}${path.sep}`); dir = path.dirname(dir)) {
+            try {
+                await fs.promises.rmdir(dir);
+            } catch {
+                return;
+            }
+        }
+    };
+
+    return {
+        name: 'local',
+
+        head,
+
+        get: async (bucketName, key) => {
+            const found = await head(bucketName, key);
+            return found ? { body: fs.createReadStream(objectPath(bucketName, key)), ...found } : null;
+        },
+
+        put: async (bucketName, key, body, { contentType, metadata, ifMatch, ifNoneMatch } = {}) => {
+            objectPath(bucketName, key);
+            const temp = await writeTemp(bucketName, body);
+            try {
+                return await exclusive(bucketName, async () => {
+                    await checkConditions(bucketName, key, { ifMatch, ifNoneMatch });
+                    return moveIntoPlace(bucketName, key, temp, { contentType, metadata: metadata ?? {} });
+                });
+            } finally {
+                await fs.promises.rm(temp, { force: true });
+            }
+        },
+
+        copy: async (bucketName, sourceKey, destinationKey, { ifMatch } = {}) => {
+            await exclusive(bucketName, async () => {
+                const source = await head(bucketName, sourceKey);
+                if (!source) {
+                    const error = new Error(`${sourceKey} does not exist.`);
+                    error.name = 'NoSuchKey';
+                    error.$metadata = { httpStatusCode: 404 };
+                    throw error;
+                }
+                if (ifMatch && source.etag !== ifMatch.replace(/"/g, '')) {
+                    throw preconditionFailed(sourceKey);
+                }
+                const temp = tempPath(bucketName);
+                await fs.promises.mkdir(path.dirname(temp), { recursive: true });
+                await fs.promises.copyFile(objectPath(bucketName, sourceKey), temp);
+                await moveIntoPlace(bucketName, destinationKey, temp, { contentType: source.contentType, metadata: source.metadata });
+            });
+        },
+
+        delete: async (bucketName, keys) => {
+            await exclusive(bucketName, async () => {
+                for (const key of keys) {
+                    const filePath = objectPath(bucketName, key);
+                    await fs.promises.rm(filePath, { force: true });
+                    await fs.promises.rm(metaPath(bucketName, key), { force: true });
+                    await removeEmptyFolders(bucketName, filePath);
+                }
+            });
+        },
+
+        list: async (bucketName, { prefix = '', delimiter, cursor, limit = 1000 } = {}) => {
+            const keys = (await keysUnder(bucketName, prefix.slice(0, prefix.lastIndexOf('/') + 1)))
+                .filter(key => key.startsWith(prefix));
+            // Keys under a delimiter are rolled up into their folder, as S3 does
+            const listed = [];
+            for (const key of keys) {
+                const at = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+                const entry = at === -1 ? { key } : { folder: key.slice(0, at + delimiter.length) };
+                const previous = listed[listed.length - 1];
+                if (!entry.folder || previous?.folder !== entry.folder) {
+                    listed.push(entry);
+                }
+            }
+            // The cursor is the last key or folder already returned
+            const remaining = cursor
+                ? listed.filter(entry => Buffer.compare(Buffer.from(entry.key ?? entry.folder), Buffer.from(cursor)) > 0)
+                : listed;
+            const page = remaining.slice(0, limit);
+            const objects = await Promise.all(page.filter(entry => entry.key).map(async ({ key }) => {
+                const found = await head(bucketName, key);
+                return { key, size: found.size, lastModified: found.lastModified, etag: found.etag };
+            }));
+            return {
+                objects,
+                folders: page.filter(entry => entry.folder).map(entry => entry.folder),
+                nextCursor: remaining.length > limit ? (page[page.length - 1].key ?? page[page.length - 1].folder) : null,
+            };
+        },
+
+        presign: async (bucketName, key) => pathToFileURL(objectPath(bucketName, key)).href,
+    };
+};
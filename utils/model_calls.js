@@ -0,0 +1,108 @@
+// Longest pause between attempts, whatever the backoff or the server asks for
+const MAX_RETRY_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Works out how long to wait before the next attempt: exponential backoff
+ * with jitter, or the server's own retry hint when that is longer.
+ * @param {number} attempt - 0 for the first retry
+ * @param {number} baseMs
+ * @param {number|undefined} retryAfterMs - Delay the server asked for
+ * @returns {number}
+ */
+const retryDelayMs = (attempt, baseMs, retryAfterMs) => {
+    const backoff = baseMs * 2 ** attempt;
+    // Half fixed, half random, so parallel batches that failed together do not retry together
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+    return Math.min(Math.max(jittered, retryAfterMs ?? 0), MAX_RETRY_DELAY_MS);
+};
+
+const emptyUsage = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+
+const addUsage = (target, usage) => {
+    target.calls++;
+    target.inputTokens += usage?.inputTokens ?? 0;
+    target.outputTokens += usage?.outputTokens ?? 0;
+    target.totalTokens += usage?.totalTokens ?? 0;
+};
+
+/**
+ * Wraps model clients with retries and fallback models. Clients throw errors
+ * carrying a 'kind' that decides what happens next:
+ * - 'retry': transient (rate limits, 5xx, network); retried with backoff, then the next model is tried
+ * - 'fallback': this model cannot answer (unknown model, blocked response); the next model is tried
+ * - anything else: the request itself is at fault, so it fails straight away
+ * Token usage is added up over every successful call, for the lifetime of the provider.
+ * @param {Object} options
+ * @param {string} options.name - Provider name, e.g. 'gemini'
+ * @param {string[]} options.models - Models in order of preference
+ * @param {(model: string) => { generate: Function }} options.createClient - Makes a client whose generate resolves
+ *   with { text, usage: { inputTokens, outputTokens, totalTokens }|null }
+ * @param {number} options.maxRetries - Retries per model for transient errors
+ * @param {number} options.retryBaseMs - First backoff delay
+ * @returns {{ name: string, model: string, generate: (contentParts: Array<object|string>, options?: { schema?: object }) => Promise<string>, getUsage: () => Object }}
+ */
+export const createResilientProvider = ({ name, models, createClient, maxRetries, retryBaseMs }) => {
+    const clients = new Map();
+    const clientFor = (model) => {
+        if (!clients.has(model)) {
+            clients.set(model, createClient(model));
+        }
+        return clients.get(model);
+    };
+    const totals = { ...emptyUsage(), retries: 0, fallbacks: 0 };
+    const byModel = new Map();
+
+    const generate = async (contentParts, options) => {
+        let lastError;
+        for (const [index, model] of models.entries()) {
+            if (index > 0) {
+                totals.fallbacks++;
+                console.warn(`${name}: falling back to model ${model}.`);
+            }
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const { text, usage } = await clientFor(model).generate(contentParts, options);
+                    if (!byModel.has(model)) {
+                        byModel.set(model, emptyUsage());
+                    }
+                    addUsage(byModel.get(model), usage);
+                    addUsage(totals, usage);
+                    return text;
+                } catch (error) {
+                    lastError = error;
+                    if (error.kind === 'retry' && attempt < maxRetries) {
+                        const delay = retryDelayMs(attempt, retryBaseMs, error.retryAfterMs);
+                        console.warn(`${name} ${model}: ${error.message} (retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms)`);
+                        totals.retries++;
+                        await sleep(delay);
+                        continue;
+                    }
+                    if (error.kind !== 'retry' && error.kind !== 'fallback') {
+                        throw error;
+                    }
+                    console.warn(`${name} ${model}: giving up on this model: ${error.message}`);
+                    break;
+                }
+            }
+        }
+        throw lastError;
+    };
+
+    return {
+        name,
+        model: models[0],
+        generate,
+        /**
+         * Reports the calls made so far and the tokens they used
+         * @returns {{ provider: string, calls: number, retries: number, fallbacks: number, inputTokens: number, outputTokens: number, totalTokens: number, models: Array<{ model: string, calls: number, inputTokens: number, outputTokens: number, totalTokens: number }> }} -
+         *   models lists only the models that answered
+         */
+        getUsage: () => ({
+            provider: name,
+            ...totals,
+            models: [...byModel.entries()].map(([model, usage]) => ({ model, ...usage })),
+        }),
+    };
+};
@@ -0,0 +1,250 @@
+import { getOcrConfig } from './config.js';
+import { getOcrProvider } from './ocr_provider.js';
+import { mapWithConcurrency } from './helper.js';
+import { splitPdfIntoBatches } from './pdf_merge.js';
+import {
+    DOCUMENT_METADATA_SCHEMA,
+    PAGE_TRANSCRIPTION_SCHEMA,
+    parseModelJson,
+    validateDocumentMetadata,
+    validatePageTranscription,
+} from './ocr_result.js';
+
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const buildTranscriptionPrompt = (firstPage, pageCount) => `
+        **Objective:** Perform OCR on the attached PDF and return the transcription of every page as JSON.
+
+        **Input:** A PDF containing ${pageCount} page(s), which are pages ${firstPage} to ${firstPage + pageCount - 1} of a longer document.
+
+        **Output Requirements:** Return only a JSON object with a \`pages\` array containing exactly ${pageCount} item(s), one per page in order:
+
+            * \`page\`: (Integer) The page number within the attached PDF, starting at 1.
+            * \`text\`: (String) The full text of that page as Markdown. Preserve paragraph breaks where possible. Use an empty string for a blank page.
+            * \`confidence\`: (Number) How sure you are that the page is transcribed correctly, from 0 (mostly guessed) to 1 (certain).
+            * \`uncertain\`: (Array) Every passage you could not read with confidence, each as \`{ "text": ..., "reason": ... }\`. \`text\` is the passage exactly as it appears in your transcription and \`reason\` says briefly why (faded ink, unclear handwriting, an ambiguous date). Use an empty array when everything is legible.
+
+        **Instructions:**
+
+        1. Transcribe every page completely; do not summarize or skip text, even when a sentence continues onto the next page.
+        2. Do not guess at names, dates or numbers you cannot read. Give your best reading in the text and list it in \`uncertain\`.
+        3. Do not include frontmatter, code fences, page numbers added by you, or any other explanatory text.
+        `;
+
+const buildMetadataPrompt = (today) => `
+        **Objective:** Generate descriptive metadata for the transcribed document above and return it as a single JSON object.
+
+        **Output Requirements:** Return only a JSON object with the following fields:
+
+            * \`title\`: (String) A concise and descriptive title based on the document's content.
+            * \`created\`: (String) Date in \`YYYY-MM-DD\` format. Attempt to determine the date from the document's content. If no specific date can be reliably parsed from the content, use the current date: **${today}**.
+            * \`description\`: (String) A concise, 1-2 sentence description summarizing the main topics or purpose of the document content.
+            * \`summary\`: (String) A concise, 1-2 sentence summary. This can be similar or identical to the \`description\`.
+            * \`tags\`: (Array of strings) Relevant keywords, names, places, or topics from the document body.
+            * \`people\`: (Array) Every person the document names, each as \`{ "name": ..., "aliases": [...], "description": ... }\`. \`name\` is the fullest form of the name the document gives, \`aliases\` every other way it refers to the same person (nicknames, initials, forms such as "Aunt Mae" or "Mother"), and \`description\` who they are in a few words, e.g. "the writer's sister".
+            * \`places\`: (Array) Every place the document names, in the same form. Make \`name\` as specific as the document allows, e.g. "Ames, Iowa".
+            * \`events\`: (Array) Events the document describes that can be dated, each as \`{ "date": ..., "description": ..., "people": [...], "places": [...] }\`. \`date\` is \`YYYY\`, \`YYYY-MM\` or \`YYYY-MM-DD\`, only as precise as the document supports; \`people\` and \`places\` use the names given above.
+
+        **Instructions:**
+
+        1. Analyze the transcribed text. Lines such as \`<!-- page 2 -->\` only mark page boundaries.
+        2. Fill in the fields according to the rules specified above, paying close attention to the created date logic.
+        3. Only list people, places and events the document itself mentions; do not add any from outside knowledge. Use empty arrays when there are none.
+        4. Do not include any other explanatory text outside of the JSON object.
+        `;
+
+const buildRepairPrompt = (previousOutput, errors) => `
+        Your previous response could not be used because it did not match the required JSON structure.
+
+        **Problems found:**
+
+            * ${errors.join('\n            * ')}
+
+        **Previous response:**
+
+        ${previousOutput}
+
+        Return the corrected JSON object only, following the original instructions above.
+        `;
+
+/**
+ * Calls the provider and validates the JSON response, asking the model to
+ * correct itself when the response is malformed.
+ * @param {Object} provider - OCR provider
+ * @param {Array<object|string>} contentParts - Content and instructions for the request
+ * @param {Object} schema - Response schema
+ * @param {(value: any) => { result: any, errors: string[] }} validate - Validator for the decoded response
+ * @param {string} label - Description of the request, used in logs and errors
+ * @returns {Promise<any>} - The validated result
+ * @throws {Error} - Throws if the response is still invalid after the repair attempts
+ */
+const generateValidated = async (provider, contentParts, schema, validate, label) => {
+    // The label names the request, which is how fixtures tell a document's requests apart
+    let responseText = await provider.generate(contentParts, { schema, request: label });
+    let { result, errors } = parseModelJson(responseText, validate);
+
+    for (let attempt = 1; !result && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        console.warn(`${label}: response failed validation (repair attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}):`, errors);
+        const repairParts = [...contentParts, buildRepairPrompt(responseText, errors)];
+        responseText = await provider.generate(repairParts, { schema, request: label });
+        ({ result, errors } = parseModelJson(responseText, validate));
+    }
+    if (!result) {
+        throw new Error(`${label}: response did not match the expected schema: ${errors.join('; ')}`);
+    }
+    return result;
+};
+
+/**
+ * Joins page texts into a single Markdown body with a marker before each page.
+ * @param {string[]} pageTexts - Page texts in document order
+ * @returns {string}
+ */
+export const stitchPages = (pageTexts) =>
+    pageTexts.map((text, index) => `<!-- page ${index + 1} -->\n\n${text}`.trim()).join('\n\n');
+
+/**
+ * Splits a Markdown body on the page markers written by stitchPages.
+ * Text before the first marker (e.g. an introduction added by hand) is returned separately.
+ * @param {string} body
+ * @returns {{ preamble: string, pages: string[] }} - pages is empty when the body has no markers
+ */
+export const splitPages = (body) => {
+    const parts = body.split(/^<!-- page \d+ -->[ \t]*$/m);
+    return {
+        preamble: parts[0].trim(),
+        pages: parts.slice(1).map(text => text.trim()),
+    };
+};
+
+/**
+ * Shifts the page markers written by stitchPages, for when a body is placed after other pages.
+ * @param {string} body - Markdown body containing '<!-- page N -->' markers
+ * @param {number} offset - Number of pages that now come before this body
+ * @returns {string}
+ */
+export const offsetPageMarkers = (body, offset) =>
+    body.replace(/<!-- page (\d+) -->/g, (marker, page) => `<!-- page ${Number(page) + offset} -->`);
+
+/**
+ * Transcribes one batch of pages.
+ * @param {Object} provider - OCR provider
+ * @param {{ firstPage: number, pageCount: number, fileData: string }} batch
+ * @returns {Promise<Array<{ text: string, confidence: number|null, uncertain: Array<Object> }>>} - Each page in the batch
+ */
+const transcribeBatch = async (provider, batch) => {
+    const label = `OCR pages ${batch.firstPage}-${batch.firstPage + batch.pageCount - 1}`;
+    console.log(`${label}: sending to ${provider.name}.`);
+    const contentParts = [
+        { inlineData: { data: batch.fileData, mimeType: 'application/pdf' } },
+        buildTranscriptionPrompt(batch.firstPage, batch.pageCount),
+    ];
+    return generateValidated(
+        provider,
+        contentParts,
+        PAGE_TRANSCRIPTION_SCHEMA,
+        value => validatePageTranscription(value, batch.pageCount),
+        label,
+    );
+};
+
+/**
+ * Generates the frontmatter fields for a transcribed document, and finds the
+ * people, places and events it mentions.
+ * @param {Object} provider - OCR provider
+ * @param {string} text - Combined transcription
+ * @returns {Promise<{ title: string, created: string, description: string, summary: string, tags: string[], entities: Object }>} -
+ *   entities as described by normalizeEntities in ocr_result.js
+ */
+export const describeDocument = async (provider, text) => {
+    const today = new Date().toISOString().slice(0, 10);
+    const contentParts = [
+        { text },
+        buildMetadataPrompt(today),
+    ];
+    return generateValidated(provider, contentParts, DOCUMENT_METADATA_SCHEMA, validateDocumentMetadata, 'OCR metadata');
+};
+
+/**
+ * Transcribes every page of a PDF together with the model's review hints.
+ * Pages are sent in batches through a bounded pool and returned in document order.
+ * @param {Object} provider - OCR provider
+ * @param {Uint8Array|Buffer} pdfBytes
+ * @returns {Promise<Array<{ text: string, confidence: number|null, uncertain: Array<{ text: string, reason: string|null }> }>>} - Each page
+ */
+const readPages = async (provider, pdfBytes) => {
+    const config = getOcrConfig();
+    const batches = await splitPdfIntoBatches(pdfBytes, config.ocrPagesPerBatch);
+    const batchPages = await mapWithConcurrency(batches, config.ocrConcurrency, batch => transcribeBatch(provider, batch));
+    console.log(`Transcribed ${batchPages.flat().length} page(s) with ${provider.name}.`);
+    return batchPages.flat();
+};
+
+/**
+ * Transcribes every page of a PDF. Pages are sent in batches through a
+ * bounded pool and returned in document order.
+ * @param {Object} provider - OCR provider
+ * @param {Uint8Array|Buffer} pdfBytes
+ * @returns {Promise<string[]>} - Text of each page
+ */
+export const transcribePages = async (provider, pdfBytes) =>
+    (await readPages(provider, pdfBytes)).map(page => page.text);
+
+/**
+ * Gathers what a reviewer should check first from the pages' review hints
+ * @param {Array<{ confidence: number|null, uncertain: Array<Object> }>} pages
+ * @returns {{ confidence: number|null, pageConfidence: Array<number|null>, uncertainPassages: Array<{ page: number, text: string, reason: string|null }> }} -
+ *   confidence is that of the least certain page, or null when the model gave none
+ */
+const summarizeReview = (pages) => {
+    const scores = pages.map(page => page.confidence).filter(score => score !== null);
+    return {
+        confidence: scores.length > 0 ? Math.min(...scores) : null,
+        pageConfidence: pages.map(page => page.confidence),
+        uncertainPassages: pages.flatMap((page, index) => page.uncertain.map(passage => ({ page: index + 1, ...passage }))),
+    };
+};
+
+/**
+ * Runs OCR over a merged PDF using the configured provider. The page texts
+ * are stitched together in order and the frontmatter is generated from the
+ * combined text.
+ * @param {Uint8Array|Buffer} pdfBytes - The merged PDF of all uploaded files
+ * @param {{ documentKey?: string }} [options] - Fixture key of the uploaded files, from computeFixtureKey
+ * @returns {Promise<{ title: string, created: string, description: string, summary: string, tags: string[], entities: Object, body: string, review: Object, usage: Object }>} -
+ *   The validated OCR result; entities holds the people, places and events mentioned, review the confidence and
+ *   uncertain passages (see summarizeReview), and usage the models that answered and their token counts
+ */
+export const transcribeDocument = async (pdfBytes, { documentKey } = {}) => {
+    const provider = getOcrProvider({ documentKey });
+    try {
+        const pages = await readPages(provider, pdfBytes);
+        const body = stitchPages(pages.map(page => page.text));
+        const metadata = await describeDocument(provider, body);
+        console.log(`OCR result validated (${provider.name}). Title: ${metadata.title}`);
+        return { ...metadata, body, review: summarizeReview(pages), usage: provider.getUsage() };
+    } catch (error) {
+        console.error(`Error calling OCR provider ${provider.name}:`, error.response?.data || error.message);
+        throw error;
+    }
+};
+
+/**
+ * Generates the frontmatter for a document whose text is already known, such
+ * as an imported text file. Only the frontmatter comes from the provider.
+ * @param {string} body - Markdown body of the entry
+ * @param {{ documentKey?: string }} [options] - Fixture key of the uploaded files, from computeFixtureKey
+ * @returns {Promise<{ title: string, created: string, description: string, summary: string, tags: string[], entities: Object, body: string, usage: Object }>} - The validated result,
+ *   carrying the body unchanged
+ */
+export const describeText = async (body, { documentKey } = {}) => {
+    const provider = getOcrProvider({ documentKey });
+    try {
+        const metadata = await describeDocument(provider, body);
+        console.log(`Frontmatter validated (${provider.name}). Title: ${metadata.title}`);
+        return { ...metadata, body, usage: provider.getUsage() };
+    } catch (error) {
+        console.error(`Error calling OCR provider ${provider.name}:`, error.response?.data || error.message);
+        throw error;
+    }
+};
@@ -0,0 +1,46 @@
+import { getOcrConfig } from './config.js';
+import { createGeminiClient } from './gemini_api.js';
+import { createFixtureClient, createRecordingClient } from './fixture_ocr.js';
+import { createResilientProvider } from './model_calls.js';
+
+const providerFactories = {
+    gemini: (config) => ({
+        models: [config.ocrModel, ...config.ocrFallbackModels.filter(model => model !== config.ocrModel)],
+        createClient: (model) => createGeminiClient({ apiKey: config.geminiApiKey, model }),
+    }),
+    fixture: (config, documentKey) => ({
+        models: ['fixture'],
+        createClient: () => createFixtureClient({ fixtureDir: config.ocrFixtureDir, documentKey }),
+    }),
+};
+
+/**
+ * Returns a new OCR provider of the kind selected by the OCR_PROVIDER
+ * environment variable. Every provider exposes `name`, `model` and
+ * `generate(contentParts, { schema })`, which resolves with the raw response
+ * text, retrying and falling back to OCR_FALLBACK_MODELS as needed, and
+ * `getUsage()`, which reports the calls made through it. Take one provider
+ * per document so its usage belongs to that document. With
+ * OCR_RECORD_FIXTURES, the responses of a real provider are also recorded
+ * as fixtures for the document.
+ * @param {{ documentKey?: string }} [options] - The document's fixture key, from computeFixtureKey
+ * @returns {{ name: string, model: string, generate: Function, getUsage: Function }}
+ */
+export const getOcrProvider = ({ documentKey } = {}) => {
+    const config = getOcrConfig();
+    const factory = providerFactories[config.ocrProvider];
+    if (!factory) {
+        throw new Error(`Unknown OCR provider "${config.ocrProvider}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    const { models, createClient } = factory(config, documentKey);
+    const record = config.ocrRecordFixtures && config.ocrProvider !== 'fixture';
+    return createResilientProvider({
+        name: config.ocrProvider,
+        models,
+        createClient: record
+            ? (model) => createRecordingClient({ client: createClient(model), fixtureDir: config.ocrFixtureDir, documentKey })
+            : createClient,
+        maxRetries: config.ocrMaxRetries,
+        retryBaseMs: config.ocrRetryBaseMs,
+    });
+};
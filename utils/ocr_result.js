@@ -0,0 +1,316 @@
+import { SchemaType } from "@google/generative-ai";
+
+/**
+ * Response schema for transcribing one batch of pages. Each page is returned
+ * separately so that the pages of every batch can be stitched back in order.
+ */
+export const PAGE_TRANSCRIPTION_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        pages: {
+            type: SchemaType.ARRAY,
+            description: "One item per page of the input, in page order.",
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    page: {
+                        type: SchemaType.INTEGER,
+                        description: "1-based page number within the input.",
+                    },
+                    text: {
+                        type: SchemaType.STRING,
+                        description: "Full transcribed text of the page as Markdown.",
+                    },
+                    confidence: {
+                        type: SchemaType.NUMBER,
+                        description: "How sure the transcription of the page is, from 0 (guessed) to 1 (certain).",
+                    },
+                    uncertain: {
+                        type: SchemaType.ARRAY,
+                        description: "Passages that could not be read with confidence, as they appear in text.",
+                        items: {
+                            type: SchemaType.OBJECT,
+                            properties: {
+                                text: { type: SchemaType.STRING, description: "The passage as transcribed." },
+                                reason: { type: SchemaType.STRING, description: "Why it is uncertain, e.g. faded ink or an unclear date." },
+                            },
+                            required: ["text"],
+                        },
+                    },
+                },
+                required: ["page", "text"],
+            },
+        },
+    },
+    required: ["pages"],
+};
+
+// A person or place as named in one document
+const NAMED_ENTITY_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        name: { type: SchemaType.STRING, description: "The fullest form of the name the document gives." },
+        aliases: {
+            type: SchemaType.ARRAY,
+            description: "Every other way the document refers to them, e.g. nicknames or 'Aunt Mae'.",
+            items: { type: SchemaType.STRING },
+        },
+        description: { type: SchemaType.STRING, description: "Who or what it is, in a few words." },
+    },
+    required: ["name"],
+};
+
+/**
+ * Response schema for the frontmatter generated from the combined transcription,
+ * along with the people, places and events it mentions. The frontmatter fields
+ * are required; validation below enforces the same contract on our side because
+ * the model does not always honour it.
+ */
+export const DOCUMENT_METADATA_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        title: {
+            type: SchemaType.STRING,
+            description: "Concise, descriptive title for the document.",
+        },
+        created: {
+            type: SchemaType.STRING,
+            description: "Date the document was written, formatted YYYY-MM-DD.",
+        },
+        description: {
+            type: SchemaType.STRING,
+            description: "1-2 sentence description of the main topics of the document.",
+        },
+        summary: {
+            type: SchemaType.STRING,
+            description: "1-2 sentence summary of the document.",
+        },
+        tags: {
+            type: SchemaType.ARRAY,
+            description: "Keywords, names, places or topics mentioned in the document.",
+            items: { type: SchemaType.STRING },
+        },
+        people: {
+            type: SchemaType.ARRAY,
+            description: "People named in the document.",
+            items: NAMED_ENTITY_SCHEMA,
+        },
+        places: {
+            type: SchemaType.ARRAY,
+            description: "Places named in the document.",
+            items: NAMED_ENTITY_SCHEMA,
+        },
+        events: {
+            type: SchemaType.ARRAY,
+            description: "Dated events the document describes.",
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    date: { type: SchemaType.STRING, description: "YYYY, YYYY-MM or YYYY-MM-DD, as precise as the document allows." },
+                    description: { type: SchemaType.STRING, description: "What happened, in one sentence." },
+                    people: { type: SchemaType.ARRAY, description: "Names of the people involved, as given in people.", items: { type: SchemaType.STRING } },
+                    places: { type: SchemaType.ARRAY, description: "Names of the places involved, as given in places.", items: { type: SchemaType.STRING } },
+                },
+                required: ["date", "description"],
+            },
+        },
+    },
+    required: ["title", "created", "description", "summary", "tags"],
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Strips the wrappers models like to put around JSON (code fences, leading
+ * prose) so that a response which is otherwise well formed can still be parsed.
+ * @param {string} text - Raw model output
+ * @returns {string} - Best guess at the JSON document contained in the text
+ */
+export const extractJsonText = (text) => {
+    let candidate = String(text ?? '').trim();
+    const fenced = candidate.match(/^```(?:json)?\s*\n([\s\S]*?)\n?```$/i);
+    if (fenced) {
+        candidate = fenced[1].trim();
+    }
+    if (!candidate.startsWith('{')) {
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            candidate = candidate.slice(start, end + 1);
+        }
+    }
+    return candidate;
+};
+
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+const cleanNames = (values) => {
+    const names = (Array.isArray(values) ? values : []).map(cleanText).filter(Boolean);
+    return [...new Map(names.map(name => [name.toLowerCase(), name])).values()];
+};
+
+// Whole years, months or days; 'YYYY-MM-DD' must also be a real date
+const isValidPartialDate = (value) => /^\d{4}(-(0[1-9]|1[0-2]))?$/.test(value) || isValidDate(value);
+
+/**
+ * Normalises a list of people or places. Items without a name are dropped, and
+ * items naming the same person twice are combined.
+ * @param {any} values
+ * @returns {Array<{ name: string, aliases: string[], description: string|null }>}
+ */
+const normalizeNamedEntities = (values) => {
+    const byName = new Map();
+    for (const item of Array.isArray(values) ? values : []) {
+        const name = isPlainObject(item) ? cleanText(item.name) : '';
+        if (!name) {
+            continue;
+        }
+        const existing = byName.get(name.toLowerCase());
+        const aliases = cleanNames(item.aliases).filter(alias => alias.toLowerCase() !== name.toLowerCase());
+        if (existing) {
+            existing.aliases = cleanNames([...existing.aliases, ...aliases]);
+            continue;
+        }
+        byName.set(name.toLowerCase(), { name, aliases, description: cleanText(item.description) || null });
+    }
+    return [...byName.values()];
+};
+
+/**
+ * Normalises the people, places and events found in a document. They are
+ * optional extras to the frontmatter, so bad values are dropped rather than
+ * failing the request, as with the review hints of a transcription.
+ * @param {Object} value - Decoded metadata response
+ * @returns {{ people: Array<Object>, places: Array<Object>, events: Array<{ date: string, description: string, people: string[], places: string[] }> }}
+ */
+const normalizeEntities = (value) => ({
+    people: normalizeNamedEntities(value.people),
+    places: normalizeNamedEntities(value.places),
+    events: (Array.isArray(value.events) ? value.events : [])
+        .filter(event => isPlainObject(event) && isValidPartialDate(cleanText(event.date)) && cleanText(event.description))
+        .map(event => ({
+            date: cleanText(event.date),
+            description: cleanText(event.description),
+            people: cleanNames(event.people),
+            places: cleanNames(event.places),
+        })),
+});
+
+/**
+ * Validates generated frontmatter against the schema and normalises its fields.
+ * @param {any} value - Decoded JSON value
+ * @returns {{ result: Object|null, errors: string[] }} - The normalised metadata, with the people, places and
+ *   events under entities, or the list of problems found
+ */
+export const validateDocumentMetadata = (value) => {
+    if (!isPlainObject(value)) {
+        return { result: null, errors: ['response must be a JSON object'] };
+    }
+
+    const errors = [];
+    const result = {};
+    for (const field of ['title', 'description', 'summary']) {
+        if (typeof value[field] !== 'string' || !value[field].trim()) {
+            errors.push(`${field}: must be a non-empty string`);
+        } else {
+            result[field] = value[field].replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    if (typeof value.created !== 'string' || !isValidDate(value.created.trim())) {
+        errors.push('created: must be a valid date formatted YYYY-MM-DD');
+    } else {
+        result.created = value.created.trim();
+    }
+
+    if (!Array.isArray(value.tags) || value.tags.some(tag => typeof tag !== 'string')) {
+        errors.push('tags: must be an array of strings');
+    } else {
+        const tags = value.tags.map(tag => tag.replace(/\s+/g, ' ').trim()).filter(Boolean);
+        result.tags = [...new Set(tags)];
+    }
+    result.entities = normalizeEntities(value);
+
+    return errors.length > 0 ? { result: null, errors } : { result, errors };
+};
+
+/**
+ * Normalises the optional review hints of a transcribed page. Models leave
+ * them out or fill them in loosely, so bad values are dropped rather than
+ * failing the transcription.
+ * @param {Object} page - One item of the 'pages' array
+ * @returns {{ confidence: number|null, uncertain: Array<{ text: string, reason: string|null }> }}
+ */
+const normalizeReviewHints = (page) => {
+    const confidence = typeof page.confidence === 'number' && page.confidence >= 0 && page.confidence <= 1
+        ? page.confidence
+        : null;
+    const uncertain = (Array.isArray(page.uncertain) ? page.uncertain : [])
+        .filter(passage => isPlainObject(passage) && typeof passage.text === 'string' && passage.text.trim())
+        .map(passage => ({
+            text: passage.text.trim(),
+            reason: typeof passage.reason === 'string' && passage.reason.trim() ? passage.reason.trim() : null,
+        }));
+    return { confidence, uncertain };
+};
+
+/**
+ * Validates the transcription of a page batch.
+ * @param {any} value - Decoded JSON value
+ * @param {number} expectedPages - Number of pages sent in the batch
+ * @returns {{ result: Array<{ text: string, confidence: number|null, uncertain: Array<{ text: string, reason: string|null }> }>|null, errors: string[] }} -
+ *   Pages in order, or the list of problems found
+ */
+export const validatePageTranscription = (value, expectedPages) => {
+    if (!isPlainObject(value) || !Array.isArray(value.pages)) {
+        return { result: null, errors: ['response must be a JSON object with a "pages" array'] };
+    }
+
+    const errors = [];
+    if (value.pages.length !== expectedPages) {
+        errors.push(`pages: expected ${expectedPages} item(s), got ${value.pages.length}`);
+    }
+    value.pages.forEach((page, index) => {
+        if (!isPlainObject(page) || typeof page.text !== 'string') {
+            errors.push(`pages[${index}].text: must be a string`);
+        }
+    });
+    if (errors.length > 0) {
+        return { result: null, errors };
+    }
+
+    // Trust the array order, but honour explicit page numbers when the model supplies a consistent set.
+    const numbers = value.pages.map(page => page.page);
+    const hasValidNumbers = numbers.every(Number.isInteger) &&
+        [...numbers].sort((a, b) => a - b).every((number, index) => number === index + 1);
+    const ordered = hasValidNumbers
+        ? [...value.pages].sort((a, b) => a.page - b.page)
+        : value.pages;
+    return { result: ordered.map(page => ({ text: page.text.trim(), ...normalizeReviewHints(page) })), errors };
+};
+
+/**
+ * Parses raw model output as JSON and runs the given validator over it.
+ * @param {string} text - Raw model output
+ * @param {(value: any) => { result: any, errors: string[] }} validate - Validator for the decoded value
+ * @returns {{ result: any, errors: string[] }} - The validated result, or the problems that prevented parsing
+ */
+export const parseModelJson = (text, validate) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(extractJsonText(text));
+    } catch (error) {
+        return { result: null, errors: [`response is not valid JSON: ${error.message}`] };
+    }
+    return validate(decoded);
+};
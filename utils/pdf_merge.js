@@ -0,0 +1,269 @@
+import { PDFDocument } from 'pdf-lib';
+import fs from 'fs';
+import path from 'path';
+import { detectFileType, toEmbeddableImages } from './image_convert.js';
+
+const PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89],
+};
+const DEFAULT_PAGE_MARGIN = 36;
+
+/**
+ * Resolves the page normalization options into a target page layout.
+ * @param {{ pageSize?: string, margin?: number }} options
+ * @returns {{ width: number, height: number, margin: number }|null} - null keeps every page at its source size
+ * @throws {Error} - Throws if the page size is unknown or the margin does not leave room for content
+ */
+export const resolvePageLayout = ({ pageSize, margin } = {}) => {
+    if (pageSize === undefined || pageSize === null) {
+        return null;
+    }
+    const size = PAGE_SIZES[String(pageSize).toLowerCase()];
+    if (!size) {
+        throw new Error(`Unsupported pageSize "${pageSize}". Use one of: ${Object.keys(PAGE_SIZES).join(', ')}.`);
+    }
+    const resolvedMargin = margin ?? DEFAULT_PAGE_MARGIN;
+    if (typeof resolvedMargin !== 'number' || !Number.isFinite(resolvedMargin) || resolvedMargin < 0 || resolvedMargin * 2 >= Math.min(...size)) {
+        throw new Error("'margin' must be a non-negative number of points smaller than half the page width.");
+    }
+    return { width: size[0], height: size[1], margin: resolvedMargin };
+};
+
+/**
+ * Adds a page sized to the layout and draws content scaled to fit inside the
+ * margins, centred. Landscape content gets a landscape page.
+ * @param {PDFDocument} pdfDoc
+ * @param {{ width: number, height: number, margin: number }} layout
+ * @param {number} contentWidth
+ * @param {number} contentHeight
+ * @param {(page: PDFPage, box: { x: number, y: number, width: number, height: number }) => void} draw
+ */
+const addFittedPage = (pdfDoc, layout, contentWidth, contentHeight, draw) => {
+    const landscape = contentWidth > contentHeight;
+    const pageWidth = landscape ? layout.height : layout.width;
+    const pageHeight = landscape ? layout.width : layout.height;
+    const scale = Math.min(
+        (pageWidth - layout.margin * 2) / contentWidth,
+        (pageHeight - layout.margin * 2) / contentHeight,
+    );
+    const width = contentWidth * scale;
+    const height = contentHeight * scale;
+    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    draw(page, { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height });
+};
+
+/**
+ * Creates a single PDF by merging pages from input files (images or PDFs).
+ * Input files are provided as objects with base64 encoded data. The file type
+ * is detected from the content: PDF, PNG, JPEG, TIFF (every page), WebP, GIF
+ * (first frame) and BMP are accepted, and photos are turned upright according
+ * to their EXIF orientation. Anything else is rejected with a reason.
+ *
+ * @param {Array<object>} files - Array of file objects. Each object should have:
+ * - fileName: string (e.g., "image.png", "report.pdf")
+ * - fileData: string (Base64 encoded file content)
+ * @param {string} outputPdfPath - The full path where the resulting PDF should be saved (e.g., "/tmp/merged_document.pdf").
+ * @param {object} [options]
+ * @param {'letter'|'a4'} [options.pageSize] - Normalize every page to this size; pages keep their source size when omitted
+ * @param {number} [options.margin=36] - Margin in points used with pageSize
+ * @returns {Promise<{ outputPdfPath: string|null, pageCount: number, rejectedFiles: Array<{ fileName: string, reason: string }> }>} -
+ *   outputPdfPath is null and nothing is written when no file produced a page
+ * @throws {Error} - Throws an error if the arguments are invalid or saving fails.
+ */
+export async function createSinglePdfFromFiles(files, outputPdfPath, options = {}) {
+    if (!Array.isArray(files) || files.length === 0) {
+        throw new Error("Input 'files' must be a non-empty array.");
+    }
+    if (typeof outputPdfPath !== 'string' || !outputPdfPath) {
+        throw new Error("Invalid 'outputPdfPath' provided.");
+    }
+    const layout = resolvePageLayout(options);
+    // Warm containers keep /tmp; a file left by an earlier merge must never stand in for this one
+    fs.rmSync(outputPdfPath, { force: true });
+
+    // Create a new PDF document to merge everything into
+    const mainPdfDoc = await PDFDocument.create();
+    const rejectedFiles = [];
+    console.log(`Starting merge process for ${files.length} file(s) into ${outputPdfPath}${layout ? ` at ${options.pageSize}` : ''}`);
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+
+        // Basic validation of file object structure
+        if (!file || typeof file.fileName !== 'string' || typeof file.fileData !== 'string') {
+            console.warn(`Rejecting invalid file object at index ${i}.`);
+            rejectedFiles.push({
+                fileName: typeof file?.fileName === 'string' ? file.fileName : `file #${i + 1}`,
+                reason: "File must have a string 'fileName' and base64 'fileData'.",
+            });
+            continue;
+        }
+
+        const fileName = file.fileName;
+        // Decode base64 data into a buffer
+        const fileBuffer = Buffer.from(file.fileData, 'base64');
+        const fileType = detectFileType(fileBuffer, fileName);
+        if (!fileType.supported) {
+            console.warn(`Rejecting "${fileName}": ${fileType.reason}`);
+            rejectedFiles.push({ fileName, reason: fileType.reason });
+            continue;
+        }
+        console.log(`Processing file ${i + 1}: ${fileName} (${fileType.format})`);
+
+        try {
+            if (fileType.format === 'pdf') {
+                // Load the source PDF
+                const sourcePdfDoc = await PDFDocument.load(fileBuffer);
+                const pageIndices = sourcePdfDoc.getPageIndices();
+                if (pageIndices.length === 0) {
+                    rejectedFiles.push({ fileName, reason: 'The PDF has no pages.' });
+                    continue;
+                }
+                // Copy pages from source PDF to the main PDF
+                const copiedPages = await mainPdfDoc.copyPages(sourcePdfDoc, pageIndices);
+                for (const copiedPage of copiedPages) {
+                    // Embedding ignores /Rotate, so rotated pages are copied at their own size
+                    if (!layout || copiedPage.getRotation().angle % 360 !== 0) {
+                        mainPdfDoc.addPage(copiedPage);
+                        continue;
+                    }
+                    const embeddedPage = await mainPdfDoc.embedPage(copiedPage);
+                    addFittedPage(mainPdfDoc, layout, embeddedPage.width, embeddedPage.height,
+                        (page, box) => page.drawPage(embeddedPage, box));
+                }
+                console.log(`Copied ${pageIndices.length} page(s) from ${fileName}.`);
+                continue;
+            }
+
+            const images = await toEmbeddableImages(fileBuffer, fileType.format);
+            for (const image of images) {
+                const embeddedImage = image.type === 'png'
+                    ? await mainPdfDoc.embedPng(image.bytes)
+                    : await mainPdfDoc.embedJpg(image.bytes);
+                if (layout) {
+                    addFittedPage(mainPdfDoc, layout, embeddedImage.width, embeddedImage.height,
+                        (page, box) => page.drawImage(embeddedImage, box));
+                } else {
+                    const page = mainPdfDoc.addPage([embeddedImage.width, embeddedImage.height]);
+                    page.drawImage(embeddedImage, {
+                        x: 0, y: 0,
+                        width: embeddedImage.width, height: embeddedImage.height,
+                    });
+                }
+            }
+            console.log(`Embedded ${fileName} onto ${images.length} new page(s).`);
+        } catch (error) {
+            console.error(`Error processing file "${fileName}":`, error);
+            rejectedFiles.push({ fileName, reason: `Could not read the ${fileType.format.toUpperCase()} file: ${error.message}` });
+        }
+    } // End of loop
+
+    // Check if any pages were added
+    const pageCount = mainPdfDoc.getPageCount();
+    if (pageCount === 0) {
+        console.warn("No valid pages could be added to the output PDF.");
+        return { outputPdfPath: null, pageCount, rejectedFiles };
+    }
+
+    // Serialize the final PDF document to bytes
+    console.log("Serializing the final PDF document...");
+    const finalPdfBytes = await mainPdfDoc.save();
+
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPdfPath);
+    if (!fs.existsSync(outputDir)) {
+        console.log(`Creating output directory: ${outputDir}`);
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Write the final PDF to the specified file path
+    console.log(`Saving final PDF to ${outputPdfPath}`);
+    fs.writeFileSync(outputPdfPath, finalPdfBytes);
+
+    console.log(`PDF merge and save process completed with ${pageCount} page(s) and ${rejectedFiles.length} rejected file(s).`);
+    return { outputPdfPath, pageCount, rejectedFiles };
+}
+
+/**
+ * Splits a PDF into consecutive batches of pages, each saved as its own PDF.
+ * Batch documents are written without timestamps so identical pages always
+ * produce identical bytes.
+ *
+ * @param {Uint8Array|Buffer} pdfBytes - The source PDF
+ * @param {number} pagesPerBatch - Maximum number of pages per batch
+ * @returns {Promise<Array<{ firstPage: number, pageCount: number, fileData: string }>>} - Batches in page order; firstPage is 1-based and fileData is base64 encoded
+ */
+export async function splitPdfIntoBatches(pdfBytes, pagesPerBatch) {
+    const sourcePdfDoc = await PDFDocument.load(pdfBytes);
+    const pageIndices = sourcePdfDoc.getPageIndices();
+    const batches = [];
+
+    for (let start = 0; start < pageIndices.length; start += pagesPerBatch) {
+        const indices = pageIndices.slice(start, start + pagesPerBatch);
+        const batchDoc = await PDFDocument.create({ updateMetadata: false });
+        const copiedPages = await batchDoc.copyPages(sourcePdfDoc, indices);
+        copiedPages.forEach(page => batchDoc.addPage(page));
+        const batchBytes = await batchDoc.save();
+        batches.push({
+            firstPage: start + 1,
+            pageCount: indices.length,
+            fileData: Buffer.from(batchBytes).toString('base64'),
+        });
+    }
+
+    console.log(`Split ${pageIndices.length} page(s) into ${batches.length} batch(es) of up to ${pagesPerBatch}.`);
+    return batches;
+}
+
+
+/**
+ * Concatenates existing PDFs into one document, in the order given.
+ *
+ * @param {Array<Uint8Array|Buffer>} pdfs - Source PDFs
+ * @returns {Promise<{ bytes: Uint8Array, pageCounts: number[] }>} - The combined PDF and the page count contributed by each source
+ */
+export async function concatenatePdfs(pdfs) {
+    const mainPdfDoc = await PDFDocument.create();
+    const pageCounts = [];
+
+    for (const pdfBytes of pdfs) {
+        const sourcePdfDoc = await PDFDocument.load(pdfBytes);
+        const copiedPages = await mainPdfDoc.copyPages(sourcePdfDoc, sourcePdfDoc.getPageIndices());
+        copiedPages.forEach(page => mainPdfDoc.addPage(page));
+        pageCounts.push(copiedPages.length);
+    }
+
+    console.log(`Concatenated ${pdfs.length} PDF(s) into ${mainPdfDoc.getPageCount()} page(s).`);
+    return { bytes: await mainPdfDoc.save(), pageCounts };
+}
+
+
+/**
+ * Inserts all pages of one PDF into another after the given page.
+ *
+ * @param {Uint8Array|Buffer} basePdfBytes - The PDF receiving the pages
+ * @param {Uint8Array|Buffer} insertedPdfBytes - The PDF whose pages are inserted
+ * @param {number} afterPage - Number of base pages that stay in front of the inserted ones (0 inserts at the start)
+ * @returns {Promise<Uint8Array>} - The combined PDF
+ */
+export async function insertPdfPages(basePdfBytes, insertedPdfBytes, afterPage) {
+    const basePdfDoc = await PDFDocument.load(basePdfBytes);
+    const insertedPdfDoc = await PDFDocument.load(insertedPdfBytes);
+    const copiedPages = await basePdfDoc.copyPages(insertedPdfDoc, insertedPdfDoc.getPageIndices());
+    copiedPages.forEach((page, i) => basePdfDoc.insertPage(afterPage + i, page));
+    console.log(`Inserted ${copiedPages.length} page(s) after page ${afterPage}.`);
+    return basePdfDoc.save();
+}
+
+
+/**
+ * Counts the pages of a PDF.
+ *
+ * @param {Uint8Array|Buffer} pdfBytes
+ * @returns {Promise<number>}
+ */
+export async function countPdfPages(pdfBytes) {
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    return pdfDoc.getPageCount();
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import {
+    headS3Object,
+    getS3TextObject,
+    putS3Object,
+    copyS3Object,
+    listS3Objects,
+    isPreconditionFailure,
+} from './s3_update.js';
+import { mapWithConcurrency } from './helper.js';
+import { entryMarkdownKey, revisionsPrefix, revisionKey, slugFromEntryPath } from './keys.js';
+
+const REVISION_ID_PATTERN = /^\d{8}T\d{9}Z-[0-9a-f]{8}$/;
+
+const compactTimestamp = (date) => date.toISOString().replace(/[-:.]/g, '');
+
+/**
+ * Creates a revision id that sorts chronologically: '20261019T120000000Z-1a2b3c4d'
+ * @param {Date} date
+ * @param {string} suffix - 8 hex characters; random unless given
+ * @returns {string}
+ */
+const createRevisionId = (date = new Date(), suffix = crypto.randomBytes(4).toString('hex')) =>
+    `${compactTimestamp(date)}-${suffix}`;
+
+/**
+ * Checks that a revision id is well formed, so it can be used safely inside an S3 key
+ * @param {string} revisionId
+ * @returns {boolean}
+ */
+export const isValidRevisionId = (revisionId) => typeof revisionId === 'string' && REVISION_ID_PATTERN.test(revisionId);
+
+/**
+ * Describes a stored version from its HEAD response. Versions written before
+ * revisions existed carry no metadata, so their id is derived from the
+ * modification time and ETag instead.
+ * @param {{ etag: string, lastModified: Date, metadata: Object<string, string> }} head
+ * @returns {{ revisionId: string, etag: string, author: string|null, note: string|null, savedAt: string }}
+ */
+const describeVersion = (head) => ({
+    revisionId: head.metadata['revision-id'] || createRevisionId(head.lastModified, head.etag.slice(0, 8).padEnd(8, '0')),
+    etag: head.etag,
+    author: head.metadata.author || null,
+    note: head.metadata.note || null,
+    savedAt: head.metadata['saved-at'] || head.lastModified.toISOString(),
+});
+
+/**
+ * Writes a new version of an entry's markdown after archiving the current one
+ * under revisions/. When an expected ETag or revision id is given and the
+ * stored version no longer matches, nothing is written and a conflict is returned.
+ * With mustNotExist the entry is only created, never replaced.
+ * @param {string} bucketName
+ * @param {string} entryPath - Entry path, e.g. '/some-title/'
+ * @param {string} content - New markdown content
+ * @param {{ expectedEtag?: string, expectedRevisionId?: string, mustNotExist?: boolean, author?: string, note?: string }} options
+ * @returns {Promise<{ status: 'saved', revisionId: string, etag: string, previousRevisionId: string|null } | { status: 'conflict', current: Object|null }>}
+ */
+export const saveEntryVersion = async (bucketName, entryPath, content, { expectedEtag, expectedRevisionId, mustNotExist, author, note } = {}) => {
+    const slug = slugFromEntryPath(entryPath);
+    const key = entryMarkdownKey(slug);
+    const currentHead = await headS3Object(bucketName, key);
+    const current = currentHead ? describeVersion(currentHead) : null;
+
+    const conflict = async () => {
+        const latestHead = await headS3Object(bucketName, key);
+        return { status: 'conflict', current: latestHead ? describeVersion(latestHead) : null };
+    };
+
+    if ((expectedEtag && expectedEtag.replace(/"/g, '') !== current?.etag) ||
+        (expectedRevisionId && expectedRevisionId !== current?.revisionId) ||
+        (mustNotExist && current)) {
+        console.warn(`Conflict updating ${key}: expected ${expectedEtag || expectedRevisionId || 'nothing'}, found ${current?.etag ?? 'nothing'}`);
+        return { status: 'conflict', current };
+    }
+
+    try {
+        if (current) {
+            await copyS3Object(bucketName, key, revisionKey(slug, current.revisionId), { ifMatch: current.etag });
+            console.log(`Archived ${key} as revision ${current.revisionId}`);
+        }
+
+        const revisionId = createRevisionId();
+        const etag = await putS3Object(bucketName, key, content, {
+            metadata: { 'revision-id': revisionId, 'saved-at': new Date().toISOString(), author, note },
+            // Guards against another writer slipping in between the HEAD above and this write
+            ifMatch: current?.etag,
+            ifNoneMatch: current ? undefined : '*',
+        });
+        return { status: 'saved', revisionId, etag, previousRevisionId: current?.revisionId ?? null };
+    } catch (error) {
+        if (isPreconditionFailure(error)) {
+            console.warn(`Conflict updating ${key}: it changed while saving.`);
+            return conflict();
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lists the current version and all archived revisions of an entry, newest first
+ * @param {string} bucketName
+ * @param {string} entryPath - Entry path, e.g. '/some-title/'
+ * @returns {Promise<{ current: Object|null, revisions: Array<Object> }>}
+ */
+export const listEntryRevisions = async (bucketName, entryPath) => {
+    const slug = slugFromEntryPath(entryPath);
+    const currentHead = await headS3Object(bucketName, entryMarkdownKey(slug));
+    const objects = await listS3Objects(bucketName, revisionsPrefix(slug));
+    const revisionObjects = objects.filter(object => {
+        const name = object.key.slice(revisionsPrefix(slug).length);
+        return name.endsWith('.md') && isValidRevisionId(name.slice(0, -'.md'.length));
+    });
+
+    const revisions = await mapWithConcurrency(revisionObjects, 5, async (object) => {
+        const head = await headS3Object(bucketName, object.key);
+        return { ...describeVersion(head), size: object.size };
+    });
+    revisions.sort((a, b) => b.revisionId.localeCompare(a.revisionId));
+
+    return { current: currentHead ? describeVersion(currentHead) : null, revisions };
+};
+
+/**
+ * Reads an archived revision of an entry
+ * @param {string} bucketName
+ * @param {string} entryPath - Entry path, e.g. '/some-title/'
+ * @param {string} revisionId
+ * @returns {Promise<{ revisionId: string, author: string|null, note: string|null, savedAt: string, content: string } | null>} - null if there is no such revision
+ */
+export const getEntryRevision = async (bucketName, entryPath, revisionId) => {
+    const object = await getS3TextObject(bucketName, revisionKey(slugFromEntryPath(entryPath), revisionId));
+    if (!object) {
+        return null;
+    }
+    return { ...describeVersion(object), revisionId, content: object.body };
+};
+
+/**
+ * Restores an archived revision as the current version. The version being
+ * replaced is archived like any other update, so a revert can itself be reverted.
+ * @param {string} bucketName
+ * @param {string} entryPath - Entry path, e.g. '/some-title/'
+ * @param {string} revisionId - Revision to restore
+ * @param {{ expectedEtag?: string, expectedRevisionId?: string, mustNotExist?: boolean, author?: string, note?: string }} options
+ * @returns {Promise<Object>} - The saveEntryVersion result, or { status: 'not_found' }
+ */
+export const revertEntry = async (bucketName, entryPath, revisionId, options = {}) => {
+    const revision = await getEntryRevision(bucketName, entryPath, revisionId);
+    if (!revision) {
+        return { status: 'not_found' };
+    }
+    return saveEntryVersion(bucketName, entryPath, revision.content, {
+        ...options,
+        note: options.note || `Reverted to revision ${revisionId}`,
+    });
+};
@@ -0,0 +1,146 @@
+import { Readable } from 'stream';
+import {
+    S3Client,
+    PutObjectCommand,
+    ListObjectsV2Command,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectsCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { Upload } from '@aws-sdk/lib-storage';
+
+// S3 returns ETags wrapped in double quotes; callers compare them without.
+const normalizeEtag = (etag) => etag?.replace(/"/g, '');
+
+// User metadata travels as HTTP headers, which only allow ASCII, so values are URI encoded.
+const encodeMetadata = (metadata = {}) => Object.fromEntries(
+    Object.entries(metadata)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => [name, encodeURIComponent(String(value))])
+);
+
+const decodeMetadata = (metadata = {}) => Object.fromEntries(
+    Object.entries(metadata).map(([name, value]) => {
+        try {
+            return [name, decodeURIComponent(value)];
+        } catch {
+            return [name, value];
+        }
+    })
+);
+
+const isNotFound = (error) => error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+
+/**
+ * Storage backed by S3 buckets. Credentials come from the execution role.
+ * @param {{ region: string }} options
+ * @returns {import('./storage.js').Storage}
+ */
+export const createS3Storage = ({ region }) => {
+    const s3Client = new S3Client({ region });
+
+    const describe = (data) => ({
+        etag: normalizeEtag(data.ETag),
+        lastModified: data.LastModified,
+        size: data.ContentLength,
+        contentType: data.ContentType,
+        metadata: decodeMetadata(data.Metadata),
+    });
+
+    return {
+        name: 's3',
+
+        head: async (bucketName, key) => {
+            try {
+                return describe(await s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key })));
+            } catch (error) {
+                if (isNotFound(error)) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        get: async (bucketName, key) => {
+            try {
+                const data = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+                return { body: data.Body, ...describe(data) };
+            } catch (error) {
+                if (isNotFound(error)) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        put: async (bucketName, key, body, { contentType, metadata, ifMatch, ifNoneMatch } = {}) => {
+            const params = {
+                Bucket: bucketName,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                Metadata: encodeMetadata(metadata),
+                IfMatch: ifMatch ? `"${normalizeEtag(ifMatch)}"` : undefined,
+                IfNoneMatch: ifNoneMatch,
+            };
+            if (body instanceof Readable) {
+                // Streams of unknown length go up in multipart chunks so only a few parts are held in memory
+                const upload = new Upload({ client: s3Client, params, queueSize: 2, partSize: 8 * 1024 * 1024 });
+                return normalizeEtag((await upload.done()).ETag);
+            }
+            return normalizeEtag((await s3Client.send(new PutObjectCommand(params))).ETag);
+        },
+
+        copy: async (bucketName, sourceKey, destinationKey, { ifMatch } = {}) => {
+            await s3Client.send(new CopyObjectCommand({
+                Bucket: bucketName,
+                CopySource: `${bucketName}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+                Key: destinationKey,
+                CopySourceIfMatch: ifMatch ? `"${normalizeEtag(ifMatch)}"` : undefined,
+            }));
+        },
+
+        delete: async (bucketName, keys) => {
+            // DeleteObjects takes at most 1000 keys
+            for (let start = 0; start < keys.length; start += 1000) {
+                const batch = keys.slice(start, start + 1000);
+                const data = await s3Client.send(new DeleteObjectsCommand({
+                    Bucket: bucketName,
+                    Delete: { Objects: batch.map(key => ({ Key: key })), Quiet: true },
+                }));
+                if (data.Errors?.length) {
+                    throw new Error(`Failed to delete ${data.Errors.length} object(s): ${data.Errors.map(error => `${error.Key} (${error.Code})`).join(', ')}`);
+                }
+            }
+        },
+
+        list: async (bucketName, { prefix = '', delimiter, cursor, limit } = {}) => {
+            const data = await s3Client.send(new ListObjectsV2Command({
+                Bucket: bucketName,
+                Prefix: prefix,
+                Delimiter: delimiter,
+                ContinuationToken: cursor ?? undefined,
+                MaxKeys: limit,
+            }));
+            return {
+                objects: (data.Contents ?? []).map(object => ({
+                    key: object.Key,
+                    size: object.Size,
+                    lastModified: object.LastModified,
+                    etag: normalizeEtag(object.ETag),
+                })),
+                folders: (data.CommonPrefixes ?? []).map(common => common.Prefix),
+                nextCursor: data.IsTruncated ? data.NextContinuationToken : null,
+            };
+        },
+
+        presign: (bucketName, key, { method = 'GET', expiresIn }) => {
+            const command = method === 'PUT'
+                ? new PutObjectCommand({ Bucket: bucketName, Key: key })
+                : new GetObjectCommand({ Bucket: bucketName, Key: key });
+            return getSignedUrl(s3Client, command, { expiresIn });
+        },
+    };
+};
@@ -1,101 +1,40 @@
-// ----- Correct AWS SDK v3 Imports -----
-import {
-    S3Client,
-    PutObjectCommand,
-    ListObjectsV2Command,
-    GetObjectCommand,
-    
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-
-import {
-    EC2Client,
-    StartInstancesCommand
-} from "@aws-sdk/client-ec2";
-
-// --- Correct AWS SDK v3 Client Initialization ---
-const awsRegion = process.env.AWS_REGION || "us-west-2"; // Use env var or default
-const s3Client = new S3Client({
-    region: awsRegion
-    // Credentials are automatically handled by the Lambda execution role environment
-});
-const ec2Client = new EC2Client({ region: awsRegion });
-const INSTANCE_ID = "i-0f58bed7fa248b300";
-// --- Utility Functions Refactored for AWS SDK v3 ---
-
-export const startec2 = async () => {
-    try {
-        console.log('Attempting to start ec2');
-        const ec2Params = {
-            InstanceIds: [INSTANCE_ID],
-        };
-        const ec2Command = new StartInstancesCommand(ec2Params);
-        console.log(`Attempting to start EC2 instance: ${INSTANCE_ID}`);
-        // Start the EC2 instance
-        const data = await ec2Client.send(ec2Command);
-        console.log(`Successfully sent start command for instance: ${INSTANCE_ID}`);
-        console.log("StartInstances Response:", JSON.stringify(data, null, 2));
+import { getStorage } from './storage.js';
 
-        
+// Objects are read and written through the storage selected in storage.js:
+// S3 in production, or a local directory in tests and local development.
 
-    } catch (error) {
-        console.error('Error Starting ec2:', error); // Log the full error for more detail
-        throw error; // Re-throw to allow caller to handle
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
     }
+    return Buffer.concat(chunks);
 };
 
 /**
- * Function to update items in an S3 bucket using SDK v3
+ * Function to update items in the bucket
  * @param {string} bucketName - The name of the S3 bucket
- * @param {Array<{ key: string, body: string | Buffer | Uint8Array | Blob | ReadableStream, contentType?: string }>} items - Array of items to update
+ * @param {Array<{ key: string, body: string | Buffer | Uint8Array, contentType?: string }>} items - Array of items to update
  * @returns {Promise<void>}
  */
-export const updateS3Items = async (bucketName, items) => {
-    try {
-        // Create an array of promises for parallel uploads
-        const uploadPromises = items.map(item => {
-            const params = {
-                Bucket: bucketName,
-                Key: item.key,
-                Body: item.body,
-                ContentType: 'text/markdown'
-            };
-            console.log(`Creating PutObjectCommand for: ${item.key}`);
-            const command = new PutObjectCommand(params);
-            // Send the command using the v3 client
-            return s3Client.send(command);
-        });
-
-        // Wait for all uploads to complete
-        await Promise.all(uploadPromises);
-        console.log(`All ${items.length} items updated successfully.`);
-
-    } catch (error) {
-        console.error('Error updating items in S3:', error); // Log the full error for more detail
-        throw error; // Re-throw to allow caller to handle
-    }
-};
-
 /**
- * Function to list common prefixes (simulating folders) using SDK v3
+ * Function to list common prefixes (simulating folders).
+ * Follows the listing cursor so that every folder is returned, not just the first 1000.
  * @param {string} bucketName
  * @param {string} prefix
  * @returns {Promise<string[]>} - Array of folder prefixes ending with '/'
  */
 export const getS3Folders = async (bucketName, prefix = '') => {
     try {
-        const params = {
-            Bucket: bucketName,
-            Prefix: prefix,
-            Delimiter: '/', // Key parameter for listing folders
-        };
-        console.log(`Creating ListObjectsV2Command for folders with prefix: ${prefix}`);
-        const command = new ListObjectsV2Command(params);
-        const data = await s3Client.send(command); // Use v3 client and send
-
-        // CommonPrefixes contains the "folder" paths
-        const folders = data.CommonPrefixes?.map((prefixObj) => prefixObj.Prefix) ?? [];
-        console.log('Found Folders:', folders);
+        const folders = [];
+        let cursor = null;
+        do {
+            console.log(`Listing folders with prefix: ${prefix}`);
+            const page = await getStorage().list(bucketName, { prefix, delimiter: '/', cursor });
+            folders.push(...page.folders);
+            cursor = page.nextCursor;
+        } while (cursor);
+        console.log(`Found ${folders.length} folder(s) under ${prefix}`);
         return folders;
 
     } catch (error) {
@@ -105,24 +44,18 @@ export const getS3Folders = async (bucketName, prefix = '') => {
 };
 
 /**
- * Function to list PDF object keys using SDK v3
+ * Function to list PDF object keys
  * @param {string} bucketName
  * @param {string} prefix
  * @returns {Promise<string[]>} - Array of PDF object keys
  */
 export const getS3PdfKeys = async (bucketName, prefix = '') => {
     try {
-        const params = {
-            Bucket: bucketName,
-            Prefix: prefix
-            // No Delimiter here, we want all objects under the prefix
-        };
-        console.log(`Creating ListObjectsV2Command for PDF keys with prefix: ${prefix}`);
-        const command = new ListObjectsV2Command(params);
-        const data = await s3Client.send(command); // Use v3 client and send
+        // No delimiter here, we want all objects under the prefix
+        console.log(`Listing PDF keys with prefix: ${prefix}`);
+        const page = await getStorage().list(bucketName, { prefix });
 
-        // Contents contains the object details
-        const pdfKeys = data.Contents?.filter(fileObj => fileObj.Key?.endsWith('.pdf')).map(fileObj => fileObj.Key) ?? [];
+        const pdfKeys = page.objects.filter(object => object.key.endsWith('.pdf')).map(object => object.key);
         console.log(`Found PDF keys under ${prefix}:`, pdfKeys);
         return pdfKeys;
 
@@ -133,7 +66,7 @@ export const getS3PdfKeys = async (bucketName, prefix = '') => {
 };
 
 /**
- * Function to generate a presigned GET URL using SDK v3
+ * Function to generate a presigned GET URL
  * @param {string} bucketName
  * @param {string} key
  * @param {number} expiresIn - URL validity duration in seconds
@@ -144,15 +77,8 @@ export const getPresignedUrlForPdf = async (bucketName, key, expiresIn = 300) =>
         throw new Error("S3 key must be provided to generate a presigned URL.");
     }
     try {
-        const params = {
-            Bucket: bucketName,
-            Key: key,
-        };
-        console.log(`Creating GetObjectCommand for presigned URL: ${key}`);
-        const command = new GetObjectCommand(params);
-
-        // Use the imported getSignedUrl function with the v3 client and command
-        const url = await getSignedUrl(s3Client, command, { expiresIn });
+        console.log(`Presigning download URL for: ${key}`);
+        const url = await getStorage().presign(bucketName, key, { method: 'GET', expiresIn });
         console.log(`Generated presigned URL for ${key} (valid for ${expiresIn}s)`);
         return url;
 
@@ -162,26 +88,236 @@ export const getPresignedUrlForPdf = async (bucketName, key, expiresIn = 300) =>
     }
 };
 
-export const getMarkdownContent = async (bucketName, key) => {
+/**
+ * Function to generate a presigned PUT URL so clients can upload straight to the bucket
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {number} expiresIn - URL validity duration in seconds
+ * @returns {Promise<string>} - The presigned URL
+ */
+export const getPresignedUploadUrl = async (bucketName, key, expiresIn = 900) => {
     if (!key) {
-        throw new Error("S3 key must be provided to retrieve markdown content.");
+        throw new Error("S3 key must be provided to generate a presigned URL.");
     }
     try {
-        const params = {
-            Bucket: bucketName,
-            Key: key,
+        console.log(`Presigning upload URL for: ${key}`);
+        const url = await getStorage().presign(bucketName, key, { method: 'PUT', expiresIn });
+        console.log(`Generated presigned upload URL for ${key} (valid for ${expiresIn}s)`);
+        return url;
+    } catch (error) {
+        console.error(`Error generating presigned upload URL for ${key}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Checks whether an error is the storage rejecting a conditional write (If-Match / If-None-Match)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isPreconditionFailure = (error) =>
+    error?.name === 'PreconditionFailed' ||
+    error?.name === 'ConditionalRequestConflict' ||
+    error?.$metadata?.httpStatusCode === 412;
+
+/**
+ * Function to read an object's ETag and user metadata without downloading it
+ * @param {string} bucketName
+ * @param {string} key
+ * @returns {Promise<{ etag: string, lastModified: Date, size: number, metadata: Object<string, string> } | null>} - null if the object does not exist
+ */
+export const headS3Object = async (bucketName, key) => {
+    try {
+        console.log(`Reading metadata for: ${key}`);
+        const found = await getStorage().head(bucketName, key);
+        return found && { etag: found.etag, lastModified: found.lastModified, size: found.size, metadata: found.metadata };
+    } catch (error) {
+        console.error(`Error reading metadata for ${key}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Function to read a text object together with its ETag and user metadata
+ * @param {string} bucketName
+ * @param {string} key
+ * @returns {Promise<{ body: string, etag: string, lastModified: Date, metadata: Object<string, string> } | null>} - null if the object does not exist
+ */
+export const getS3TextObject = async (bucketName, key) => {
+    try {
+        console.log(`Reading: ${key}`);
+        const object = await getStorage().get(bucketName, key);
+        if (!object) {
+            return null;
+        }
+        return {
+            body: (await readStream(object.body)).toString('utf8'),
+            etag: object.etag,
+            lastModified: object.lastModified,
+            metadata: object.metadata,
         };
-        console.log(`Creating GetObjectCommand for markdown content: ${key}`);
-        const command = new GetObjectCommand(params);
-        const data = await s3Client.send(command); // Use v3 client and send
+    } catch (error) {
+        console.error(`Error retrieving ${key}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Function to read a binary object (e.g. a PDF) into memory
+ * @param {string} bucketName
+ * @param {string} key
+ * @returns {Promise<Uint8Array | null>} - null if the object does not exist
+ */
+export const getS3ObjectBytes = async (bucketName, key) => {
+    try {
+        console.log(`Reading: ${key}`);
+        const object = await getStorage().get(bucketName, key);
+        return object ? new Uint8Array(await readStream(object.body)) : null;
+    } catch (error) {
+        console.error(`Error retrieving ${key}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Function to open an object for streaming, without reading it into memory
+ * @param {string} bucketName
+ * @param {string} key
+ * @returns {Promise<import('stream').Readable | null>} - null if the object does not exist
+ */
+export const getS3ObjectStream = async (bucketName, key) => {
+    try {
+        console.log(`Opening: ${key}`);
+        const object = await getStorage().get(bucketName, key);
+        return object?.body ?? null;
+    } catch (error) {
+        console.error(`Error retrieving ${key}:`, error);
+        throw error;
+    }
+};
 
-        // Convert the stream to a string
-        const bodyString = await data.Body.transformToString();
-        console.log(`Retrieved markdown content for ${key}`);
-        return bodyString;
+/**
+ * Function to write a stream of unknown length to an object, in chunks so
+ * only a few parts are held in memory at a time
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {import('stream').Readable} stream
+ * @param {{ contentType?: string, metadata?: Object<string, string> }} options
+ * @returns {Promise<void>}
+ */
+export const uploadS3Stream = async (bucketName, key, stream, { contentType = 'application/octet-stream', metadata } = {}) => {
+    try {
+        console.log(`Starting streamed upload to: ${key}`);
+        await getStorage().put(bucketName, key, stream, { contentType, metadata });
+        console.log(`Finished streamed upload to: ${key}`);
+    } catch (error) {
+        console.error(`Error uploading ${key} to S3:`, error);
+        throw error;
+    }
+};
 
+/**
+ * Function to write a single object, optionally guarded by a conditional write
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {string | Buffer | Uint8Array} body
+ * @param {{ contentType?: string, metadata?: Object<string, string>, ifMatch?: string, ifNoneMatch?: string }} options -
+ *   ifMatch only writes when the current ETag matches; ifNoneMatch '*' only writes when the key does not exist yet
+ * @returns {Promise<string>} - The ETag of the new object
+ */
+export const putS3Object = async (bucketName, key, body, { contentType = 'text/markdown', metadata, ifMatch, ifNoneMatch } = {}) => {
+    try {
+        console.log(`Writing: ${key}`);
+        return await getStorage().put(bucketName, key, body, { contentType, metadata, ifMatch, ifNoneMatch });
     } catch (error) {
-        console.error(`Error retrieving markdown content for ${key}:`, error);
+        console.error(`Error writing ${key} to S3:`, error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Function to copy an object within the bucket, keeping its content type and metadata
+ * @param {string} bucketName
+ * @param {string} sourceKey
+ * @param {string} destinationKey
+ * @param {{ ifMatch?: string }} options - ifMatch only copies when the source ETag matches
+ * @returns {Promise<void>}
+ */
+export const copyS3Object = async (bucketName, sourceKey, destinationKey, { ifMatch } = {}) => {
+    try {
+        console.log(`Copying: ${sourceKey} -> ${destinationKey}`);
+        await getStorage().copy(bucketName, sourceKey, destinationKey, { ifMatch });
+    } catch (error) {
+        console.error(`Error copying ${sourceKey} to ${destinationKey}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Function to list every object under a prefix, following the listing cursor
+ * @param {string} bucketName
+ * @param {string} prefix
+ * @returns {Promise<Array<{ key: string, size: number, lastModified: Date, etag: string }>>}
+ */
+export const listS3Objects = async (bucketName, prefix = '') => {
+    try {
+        const objects = [];
+        let cursor = null;
+        do {
+            console.log(`Listing objects with prefix: ${prefix}`);
+            const page = await getStorage().list(bucketName, { prefix, cursor });
+            objects.push(...page.objects);
+            cursor = page.nextCursor;
+        } while (cursor);
+        return objects;
+    } catch (error) {
+        console.error(`Error listing objects under ${prefix}:`, error);
+        throw error;
+    }
+};
+
+/**
+ * Function to delete objects; S3 takes them in batches of up to 1000 keys
+ * @param {string} bucketName
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+export const deleteS3Objects = async (bucketName, keys) => {
+    try {
+        console.log(`Deleting ${keys.length} key(s)`);
+        await getStorage().delete(bucketName, keys);
+    } catch (error) {
+        console.error('Error deleting objects from S3:', error);
+        throw error;
+    }
+};
+
+/**
+ * Function to apply a read-modify-write change to a JSON document, using a
+ * conditional write and re-applying the change when another writer got there first
+ * @param {string} bucketName
+ * @param {string} key
+ * @param {(document: Object) => void} mutate - Modifies the document in place
+ * @param {{ createEmpty: () => Object, maxAttempts?: number }} options - createEmpty supplies the document when none exists yet
+ * @returns {Promise<Object>} - The document as written
+ */
+export const patchS3Json = async (bucketName, key, mutate, { createEmpty, maxAttempts = 5 }) => {
+    for (let attempt = 1; ; attempt++) {
+        const object = await getS3TextObject(bucketName, key);
+        const document = object ? JSON.parse(object.body) : createEmpty();
+        mutate(document);
+        try {
+            await putS3Object(bucketName, key, JSON.stringify(document), {
+                contentType: 'application/json',
+                ifMatch: object?.etag,
+                ifNoneMatch: object ? undefined : '*',
+            });
+            return document;
+        } catch (error) {
+            if (!isPreconditionFailure(error) || attempt >= maxAttempts) {
+                throw error;
+            }
+            console.warn(`${key} changed while patching (attempt ${attempt}/${maxAttempts}), retrying.`);
+        }
+    }
+};
@@ -0,0 +1,340 @@
+import { getS3Folders, getS3TextObject, putS3Object, patchS3Json } from './s3_update.js';
+import { mapWithConcurrency, encodePageCursor, decodePageCursor, resolvePageSize } from './helper.js';
+import { parseFrontmatter, tagsOf } from './frontmatter.js';
+import { folderNameFromPrefix } from './slug.js';
+import { ENTRY_ROOT, entryMarkdownKey } from './keys.js';
+
+export const SEARCH_INDEX_KEY = 'search/_index.json';
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_TOKENS = 30;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_BOOST = 1.5;
+const PHRASE_BOOST = 2;
+
+// Only dropped from loose query words; phrases are matched exactly
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'there', 'they', 'this',
+    'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'with', 'you',
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const emptyIndex = () => ({ version: 1, updatedAt: null, docs: {}, postings: {} });
+
+const normalizeTerm = (word) => word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Splits text into normalised terms (lowercase, accents folded) with their character offsets
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+export const tokenize = (text) =>
+    [...String(text ?? '').matchAll(TOKEN_PATTERN)].map(match => ({
+        term: normalizeTerm(match[0]),
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+
+/**
+ * Reduces entry markdown to the searchable plain text of its body
+ * @param {string} body - Markdown body without frontmatter
+ * @returns {string}
+ */
+const plainTextFromBody = (body) => body
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/^\s*(?:#{1,6}|>+)\s?/gm, '')
+    .replace(/[*_`|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Builds the search document for an entry from its markdown
+ * @param {string} slug
+ * @param {string} markdown - Full '+page.svelte.md' content
+ * @returns {{ title: string, tags: string[], created: string|null, text: string, length: number }}
+ */
+const searchDocFromMarkdown = (slug, markdown) => {
+    let data = {};
+    let body = markdown;
+    try {
+        ({ data, body } = parseFrontmatter(markdown));
+    } catch (error) {
+        console.warn(`Could not parse frontmatter for ${slug}, indexing the raw text:`, error.message);
+    }
+    const text = plainTextFromBody(body);
+    return {
+        title: typeof data.title === 'string' && data.title ? data.title : slug,
+        tags: tagsOf(data),
+        created: typeof data.created === 'string' ? data.created : null,
+        text,
+        length: tokenize(text).length,
+    };
+};
+
+// Terms are user text, so look them up as own properties only: words like
+// "constructor" must not resolve to Object.prototype members.
+const postingsFor = (index, term) => (Object.hasOwn(index.postings, term) ? index.postings[term] : undefined);
+
+const positionsFor = (index, term, slug) => {
+    const postings = postingsFor(index, term);
+    return postings && Object.hasOwn(postings, slug) ? postings[slug] : undefined;
+};
+
+const removeDoc = (index, slug) => {
+    const doc = index.docs[slug];
+    if (!doc) {
+        return;
+    }
+    for (const { term } of tokenize(doc.text)) {
+        const postings = postingsFor(index, term);
+        if (postings) {
+            delete postings[slug];
+            if (Object.keys(postings).length === 0) {
+                delete index.postings[term];
+            }
+        }
+    }
+    delete index.docs[slug];
+};
+
+const addDoc = (index, slug, doc) => {
+    removeDoc(index, slug);
+    index.docs[slug] = doc;
+    tokenize(doc.text).forEach(({ term }, position) => {
+        if (!postingsFor(index, term)) {
+            Object.defineProperty(index.postings, term, { value: {}, enumerable: true, writable: true, configurable: true });
+        }
+        const postings = postingsFor(index, term);
+        if (!Object.hasOwn(postings, slug)) {
+            postings[slug] = [];
+        }
+        postings[slug].push(position);
+    });
+};
+
+/**
+ * Reads the search index document
+ * @param {string} bucketName
+ * @returns {Promise<Object|null>} - null if the index has not been built yet
+ */
+export const readSearchIndex = async (bucketName) => {
+    const object = await getS3TextObject(bucketName, SEARCH_INDEX_KEY);
+    return object ? JSON.parse(object.body) : null;
+};
+
+/**
+ * Re-reads the given entries and updates them in the search index; entries
+ * that no longer exist are removed. Failures are logged rather than thrown
+ * because the entry itself has already been written, and rebuildSearchIndex
+ * repairs any drift.
+ * @param {string} bucketName
+ * @param {string[]} slugs - Entry folder names
+ * @returns {Promise<boolean>} - Whether the index was updated
+ */
+export const refreshSearchIndex = async (bucketName, slugs) => {
+    try {
+        const docs = await mapWithConcurrency(slugs, 5, async (slug) => {
+            const markdown = await getS3TextObject(bucketName, entryMarkdownKey(slug));
+            return { slug, doc: markdown ? searchDocFromMarkdown(slug, markdown.body) : null };
+        });
+        await patchS3Json(bucketName, SEARCH_INDEX_KEY, (index) => {
+            for (const { slug, doc } of docs) {
+                if (doc) {
+                    addDoc(index, slug, doc);
+                } else {
+                    removeDoc(index, slug);
+                }
+            }
+            index.updatedAt = new Date().toISOString();
+        }, { createEmpty: emptyIndex });
+        console.log(`Search index refreshed for: ${slugs.join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error(`Error refreshing search index for ${slugs.join(', ')}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Rebuilds the search index from every entry folder under 'urara/'
+ * @param {string} bucketName
+ * @returns {Promise<Object>} - The new index
+ */
+export const rebuildSearchIndex = async (bucketName) => {
+    const folders = await getS3Folders(bucketName, ENTRY_ROOT);
+    const slugs = folders.map(folderNameFromPrefix);
+    const index = emptyIndex();
+    await mapWithConcurrency(slugs, 5, async (slug) => {
+        const markdown = await getS3TextObject(bucketName, entryMarkdownKey(slug));
+        if (markdown) {
+            addDoc(index, slug, searchDocFromMarkdown(slug, markdown.body));
+        }
+    });
+    index.updatedAt = new Date().toISOString();
+    await putS3Object(bucketName, SEARCH_INDEX_KEY, JSON.stringify(index), { contentType: 'application/json' });
+    console.log(`Search index rebuilt with ${Object.keys(index.docs).length} entries.`);
+    return index;
+};
+
+/**
+ * Splits a query into quoted phrases and loose words
+ * @param {string} query - e.g. 'grandpa "farm in iowa"'
+ * @returns {{ terms: string[], phrases: string[][] }}
+ */
+export const parseSearchQuery = (query) => {
+    const phrases = [];
+    const rest = String(query ?? '').replace(/"([^"]*)"/g, (match, phrase) => {
+        const terms = tokenize(phrase).map(token => token.term);
+        if (terms.length > 0) {
+            phrases.push(terms);
+        }
+        return ' ';
+    });
+    const words = tokenize(rest).map(token => token.term);
+    const meaningful = words.filter(term => !STOPWORDS.has(term));
+    // A query made only of stopwords still searches for them
+    const terms = meaningful.length > 0 || phrases.length > 0 ? meaningful : words;
+    return { terms: [...new Set(terms)], phrases };
+};
+
+const countPhraseMatches = (index, slug, phrase) => {
+    const starts = positionsFor(index, phrase[0], slug) ?? [];
+    const following = phrase.slice(1).map(term => new Set(positionsFor(index, term, slug) ?? []));
+    return starts.filter(start => following.every((positions, offset) => positions.has(start + offset + 1))).length;
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+/**
+ * Builds an HTML-escaped snippet around the densest cluster of matching terms,
+ * with matches wrapped in <mark>
+ * @param {string} text - Document text
+ * @param {Set<string>} highlightTerms
+ * @returns {string}
+ */
+const buildSnippet = (text, highlightTerms) => {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+        return '';
+    }
+
+    let bestStart = 0;
+    let bestCount = -1;
+    for (let start = 0; start < tokens.length; start++) {
+        if (start > 0 && !highlightTerms.has(tokens[start].term)) {
+            continue;
+        }
+        const count = tokens.slice(start, start + SNIPPET_TOKENS).filter(token => highlightTerms.has(token.term)).length;
+        if (count > bestCount) {
+            bestCount = count;
+            bestStart = start;
+        }
+    }
+    // Give the first match a little leading context
+    const first = Math.max(0, bestStart - 5);
+    const last = Math.min(tokens.length, first + SNIPPET_TOKENS) - 1;
+
+    let snippet = '';
+    let cursor = tokens[first].start;
+    for (let i = first; i <= last; i++) {
+        const token = tokens[i];
+        snippet += escapeHtml(text.slice(cursor, token.start));
+        const word = escapeHtml(text.slice(token.start, token.end));
+        snippet += highlightTerms.has(token.term) ? `<mark>${word}</mark>` : word;
+        cursor = token.end;
+    }
+    if (last === tokens.length - 1) {
+        snippet += escapeHtml(text.slice(cursor));
+    }
+    const prefix = first > 0 ? '… ' : '';
+    const suffix = last < tokens.length - 1 ? ' …' : '';
+    return `${prefix}${snippet}${suffix}`;
+};
+
+/**
+ * Searches the index. Every quoted phrase must appear in a hit; loose words
+ * are optional and ranked with BM25, with extra weight for words in the title
+ * and for phrase occurrences.
+ * @param {Object} index - Search index document
+ * @param {{ query: string, tags?: string[], limit?: number, cursor?: string }} options - tags must all be present (case-insensitive)
+ * @returns {{ hits: Array<{ slug: string, title: string, created: string|null, tags: string[], score: number, snippet: string }>, total: number, nextCursor: string|null }}
+ */
+export const searchIndex = (index, { query, tags = [], limit, cursor }) => {
+    const { terms, phrases } = parseSearchQuery(query);
+    const slugs = Object.keys(index.docs);
+    const docCount = slugs.length;
+    const averageLength = slugs.reduce((sum, slug) => sum + index.docs[slug].length, 0) / Math.max(docCount, 1);
+    const wantedTags = tags.map(tag => tag.toLowerCase());
+
+    const idf = (term) => {
+        const documentFrequency = Object.keys(postingsFor(index, term) ?? {}).length;
+        return Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    };
+
+    const allTerms = [...new Set([...terms, ...phrases.flat()])];
+    const candidates = new Set();
+    if (phrases.length > 0) {
+        Object.keys(postingsFor(index, phrases[0][0]) ?? {}).forEach(slug => candidates.add(slug));
+    } else {
+        terms.forEach(term => Object.keys(postingsFor(index, term) ?? {}).forEach(slug => candidates.add(slug)));
+    }
+
+    const scored = [];
+    for (const slug of candidates) {
+        const doc = index.docs[slug];
+        const docTags = doc.tags.map(tag => tag.toLowerCase());
+        if (!wantedTags.every(tag => docTags.includes(tag))) {
+            continue;
+        }
+        const phraseCounts = phrases.map(phrase => countPhraseMatches(index, slug, phrase));
+        if (phraseCounts.some(count => count === 0)) {
+            continue;
+        }
+
+        const titleTerms = new Set(tokenize(doc.title).map(token => token.term));
+        let score = 0;
+        for (const term of allTerms) {
+            const frequency = positionsFor(index, term, slug)?.length ?? 0;
+            const weight = idf(term);
+            if (frequency > 0) {
+                score += weight * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+            }
+            if (titleTerms.has(term)) {
+                score += weight * TITLE_BOOST;
+            }
+        }
+        phraseCounts.forEach((count, i) => {
+            score += PHRASE_BOOST * Math.log(1 + count) * phrases[i].reduce((sum, term) => sum + idf(term), 0);
+        });
+        scored.push({ slug, score });
+    }
+    scored.sort((a, b) => b.score - a.score || a.slug.localeCompare(b.slug));
+
+    const pageSize = resolvePageSize(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = decodePageCursor(cursor);
+    const page = scored.slice(offset, offset + pageSize);
+    const highlightTerms = new Set(allTerms);
+    const nextOffset = offset + page.length;
+    return {
+        hits: page.map(({ slug, score }) => {
+            const doc = index.docs[slug];
+            return {
+                slug,
+                title: doc.title,
+                created: doc.created,
+                tags: doc.tags,
+                score: Math.round(score * 1000) / 1000,
+                snippet: buildSnippet(doc.text, highlightTerms),
+            };
+        }),
+        total: scored.length,
+        nextCursor: nextOffset < scored.length ? encodePageCursor(nextOffset) : null,
+    };
+};
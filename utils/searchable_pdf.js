@@ -0,0 +1,149 @@
+import {
+    PDFDocument,
+    StandardFonts,
+    TextRenderingMode,
+    beginText,
+    endText,
+    popGraphicsState,
+    pushGraphicsState,
+    setCharacterSqueeze,
+    setFontAndSize,
+    setTextMatrix,
+    setTextRenderingMode,
+    showText,
+} from 'pdf-lib';
+
+const MAX_FONT_SIZE = 12;
+const PAGE_INSET_RATIO = 0.05;
+
+/**
+ * Reduces page Markdown to the plain lines a reader should find when searching
+ * or copying: markers, emphasis and link targets are dropped.
+ * @param {string} markdown
+ * @returns {string[]} - Non-empty lines in reading order
+ */
+const plainTextLines = (markdown) => String(markdown ?? '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split(/\r?\n/)
+    .map(line => line
+        .replace(/^\s*(?:#{1,6}\s+|>\s?|[-*+]\s+)/, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\*\*|__|`/g, '')
+        .replace(/\s+/g, ' ')
+        .trim())
+    .filter(Boolean);
+
+/**
+ * Maps text onto the characters a standard (WinAnsi) font can encode.
+ * Accented letters outside the set fall back to their base letter; anything
+ * else becomes '?', so one odd character never breaks the whole layer.
+ * @param {string} text
+ * @param {Set<number>} characterSet - Code points the font supports
+ * @returns {string}
+ */
+export const toEncodableText = (text, characterSet) => Array.from(text, (char) => {
+    if (characterSet.has(char.codePointAt(0))) {
+        return char;
+    }
+    const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    return base && Array.from(base).every(c => characterSet.has(c.codePointAt(0))) ? base : '?';
+}).join('');
+
+/**
+ * Writes text over a page in invisible render mode, spreading the lines down
+ * the page so selection roughly follows the scanned lines.
+ * @param {PDFPage} page
+ * @param {PDFFont} font
+ * @param {string[]} lines - Encodable lines
+ */
+const drawInvisibleLines = (page, font, lines) => {
+    const { x: boxX, y: boxY, width, height } = page.getMediaBox();
+    const insetX = width * PAGE_INSET_RATIO;
+    const insetY = height * PAGE_INSET_RATIO;
+    const availableWidth = width - insetX * 2;
+    const lineHeight = Math.min((height - insetY * 2) / lines.length, MAX_FONT_SIZE * 1.25);
+    const fontSize = Math.max(lineHeight * 0.8, 1);
+
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+    const operators = [
+        pushGraphicsState(),
+        beginText(),
+        setFontAndSize(fontKey, fontSize),
+        setTextRenderingMode(TextRenderingMode.Invisible),
+    ];
+    lines.forEach((line, i) => {
+        const lineWidth = font.widthOfTextAtSize(line, fontSize);
+        // Squeeze long lines horizontally so they stay on the page
+        operators.push(
+            setCharacterSqueeze(lineWidth > availableWidth ? (availableWidth / lineWidth) * 100 : 100),
+            setTextMatrix(1, 0, 0, 1, boxX + insetX, boxY + height - insetY - lineHeight * (i + 1)),
+            showText(font.encodeText(line)),
+        );
+    });
+    operators.push(endText(), popGraphicsState());
+    page.pushOperators(...operators);
+};
+
+/**
+ * Parses an entry 'created' value (YYYY-MM-DD) into a Date.
+ * @param {string} created
+ * @returns {Date|null} - null for missing or partial dates
+ */
+const parseCreatedDate = (created) => {
+    if (typeof created !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(created)) {
+        return null;
+    }
+    const date = new Date(`${created}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Makes an entry PDF searchable: writes the entry's frontmatter into the
+ * document information dictionary and lays each page's transcription over the
+ * page as invisible text, so readers can search and copy it.
+ * Pages that already carry a text layer should not be given page texts again.
+ * @param {Uint8Array|Buffer} pdfBytes
+ * @param {Object} options
+ * @param {{ title?: string, tags?: string[], created?: string, description?: string }} [options.metadata] - Entry frontmatter; omitted fields are left as they are
+ * @param {string[]} [options.pageTexts] - Markdown transcription of each page, in page order
+ * @returns {Promise<Uint8Array>} - The updated PDF
+ */
+export const makeSearchablePdf = async (pdfBytes, { metadata, pageTexts } = {}) => {
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+
+    if (metadata) {
+        if (metadata.title) {
+            pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+        }
+        if (metadata.description) {
+            pdfDoc.setSubject(metadata.description);
+        }
+        if (Array.isArray(metadata.tags) && metadata.tags.length > 0) {
+            pdfDoc.setKeywords(metadata.tags);
+        }
+        const createdDate = parseCreatedDate(metadata.created);
+        if (createdDate) {
+            pdfDoc.setCreationDate(createdDate);
+        }
+    }
+
+    if (pageTexts) {
+        const pages = pdfDoc.getPages();
+        if (pageTexts.length !== pages.length) {
+            console.warn(`Text layer: ${pageTexts.length} page text(s) for ${pages.length} page(s); extra pages or texts are ignored.`);
+        }
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const characterSet = new Set(font.getCharacterSet());
+        let pagesWithText = 0;
+        pages.slice(0, pageTexts.length).forEach((page, i) => {
+            const lines = plainTextLines(pageTexts[i]).map(line => toEncodableText(line, characterSet));
+            if (lines.length > 0) {
+                drawInvisibleLines(page, font, lines);
+                pagesWithText++;
+            }
+        });
+        console.log(`Added an invisible text layer to ${pagesWithText} page(s).`);
+    }
+
+    return pdfDoc.save();
+};
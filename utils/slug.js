@@ -0,0 +1,56 @@
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turns a human title into a folder name that is safe in S3 keys and URLs:
+ * lowercase ASCII letters, digits and single hyphens, without leading or
+ * trailing hyphens. Accents are folded ("Café" -> "cafe"); anything else that
+ * is not a letter or digit (slashes, quotes, emoji, whitespace) becomes a hyphen.
+ * @param {string} title
+ * @returns {string} - The slug, or 'untitled' if nothing usable remains
+ */
+export const slugify = (title) => {
+    const slug = String(title ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= MAX_SLUG_LENGTH) {
+        return slug || 'untitled';
+    }
+    // Cut on a word boundary where possible so the slug stays readable
+    const truncated = slug.slice(0, MAX_SLUG_LENGTH);
+    const lastHyphen = truncated.lastIndexOf('-');
+    return (lastHyphen > MAX_SLUG_LENGTH / 2 ? truncated.slice(0, lastHyphen) : truncated).replace(/-+$/, '');
+};
+
+/**
+ * Extracts the folder name from a listed prefix ('urara/some-title/' -> 'some-title').
+ * @param {string} folderPrefix
+ * @returns {string}
+ */
+export const folderNameFromPrefix = (folderPrefix) =>
+    folderPrefix.replace(/\/+$/, '').split('/').pop();
+
+/**
+ * Picks a slug for a title that does not collide with any existing folder.
+ * When the base slug is taken, a numeric suffix is added (-2, -3, ...).
+ * Comparison is case-insensitive so that legacy folders named after raw titles also count.
+ * @param {string} title - Human title
+ * @param {string[]} existingFolders - Folder prefixes as returned by getS3Folders
+ * @returns {string} - The unique slug
+ */
+export const allocateSlug = (title, existingFolders = []) => {
+    const taken = new Set(existingFolders.map(folder => folderNameFromPrefix(folder).toLowerCase()));
+    const base = slugify(title);
+    if (!taken.has(base)) {
+        return base;
+    }
+    for (let suffix = 2; ; suffix++) {
+        const candidate = `${base}-${suffix}`;
+        if (!taken.has(candidate)) {
+            return candidate;
+        }
+    }
+};
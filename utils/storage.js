@@ -0,0 +1,52 @@
+import path from 'path';
+import { getStorageConfig } from './config.js';
+import { createS3Storage } from './s3_storage.js';
+import { createLocalStorage } from './local_storage.js';
+import { createConfigured } from './configured.js';
+
+/**
+ * Everything entries are kept in goes through one of these. Missing objects
+ * read as null; a failed ifMatch/ifNoneMatch condition throws an error with
+ * name 'PreconditionFailed'.
+ * @typedef {Object} Storage
+ * @property {string} name
+ * @property {(bucketName: string, key: string) => Promise<{ etag: string, lastModified: Date, size: number, contentType: string|undefined, metadata: Object<string, string> }|null>} head
+ * @property {(bucketName: string, key: string) => Promise<{ body: import('stream').Readable, etag: string, lastModified: Date, size: number, contentType: string|undefined, metadata: Object<string, string> }|null>} get
+ * @property {(bucketName: string, key: string, body: string|Buffer|Uint8Array|import('stream').Readable, options?: { contentType?: string, metadata?: Object<string, string>, ifMatch?: string, ifNoneMatch?: string }) => Promise<string>} put -
+ *   resolves with the new ETag; streams are written without holding them in memory
+ * @property {(bucketName: string, sourceKey: string, destinationKey: string, options?: { ifMatch?: string }) => Promise<void>} copy -
+ *   keeps the content type and metadata; ifMatch applies to the source
+ * @property {(bucketName: string, keys: string[]) => Promise<void>} delete
+ * @property {(bucketName: string, options?: { prefix?: string, delimiter?: string, cursor?: string, limit?: number }) => Promise<{ objects: Array<{ key: string, size: number, lastModified: Date, etag: string }>, folders: string[], nextCursor: string|null }>} list -
+ *   one page in key order; with a delimiter, keys below it are rolled up into folders
+ * @property {(bucketName: string, key: string, options: { method?: 'GET'|'PUT', expiresIn: number }) => Promise<string>} presign
+ */
+
+const storageFactories = {
+    s3: (config) => createS3Storage({ region: config.region }),
+    local: (config) => createLocalStorage({ rootDir: config.storageDir }),
+};
+
+// The S3 client and the local root are set up once per backend, region and directory
+const configuredStorage = createConfigured({
+    kind: 'storage backend',
+    readConfig: getStorageConfig,
+    nameOf: (config) => config.storageBackend,
+    settingsOf: (config) => [config.region, path.resolve(config.storageDir)],
+    factories: storageFactories,
+});
+
+/**
+ * Returns the storage selected by STORAGE_BACKEND, or the one passed to
+ * useStorage
+ * @returns {Storage}
+ */
+export const getStorage = () => configuredStorage.get();
+
+/**
+ * Puts a storage in place of the configured one, e.g. a local directory for a
+ * test. Pass null to go back to STORAGE_BACKEND.
+ * @param {Storage|null} storage
+ * @returns {void}
+ */
+export const useStorage = (storage) => configuredStorage.use(storage);
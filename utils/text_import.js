@@ -0,0 +1,260 @@
+import path from 'path';
+import mammoth from 'mammoth';
+import TurndownService from 'turndown';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { resolvePageLayout } from './pdf_merge.js';
+import { toEncodableText } from './searchable_pdf.js';
+
+export const TEXT_FORMATS_LABEL = 'TXT, Markdown, DOCX';
+
+const TEXT_EXTENSIONS = {
+    '.txt': 'txt',
+    '.text': 'txt',
+    '.md': 'md',
+    '.markdown': 'md',
+    '.docx': 'docx',
+};
+// Text pages read better with wider margins than scans need
+const TEXT_PAGE_MARGIN = 72;
+const BODY_FONT_SIZE = 11;
+const HEADING_FONT_SIZES = [18, 15, 13, 12, 11, 11];
+const LINE_SPACING = 1.4;
+
+/**
+ * Recognises text documents, which are imported without OCR. The extension
+ * picks the format; the content must agree with it.
+ * @param {Buffer} buffer - Decoded file content
+ * @param {string} fileName
+ * @returns {{ supported: true, format: 'txt'|'md'|'docx' } | { supported: false, reason: string } | null} -
+ *   null when the file is not a text document, so it is handled as a scan
+ */
+export const detectTextDocument = (buffer, fileName) => {
+    const format = TEXT_EXTENSIONS[path.extname(fileName ?? '').toLowerCase()];
+    if (!format) {
+        return null;
+    }
+    if (format === 'docx') {
+        // DOCX files are ZIP archives
+        return buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504B0304
+            ? { supported: true, format }
+            : { supported: false, reason: 'The file is not a valid DOCX document. Save it from Word as .docx and upload it again.' };
+    }
+    if (buffer.subarray(0, 8192).includes(0)) {
+        return { supported: false, reason: `The file does not contain plain text. Supported text formats: ${TEXT_FORMATS_LABEL}.` };
+    }
+    return { supported: true, format };
+};
+
+// Characters that would otherwise be read as Markdown syntax
+const escapeMarkdownLine = (line) => line
+    .replace(/([\\`*_[\]<])/g, '\\$1')
+    .replace(/^(\s*)(#{1,6}\s|>|[-+]\s|\d+\.\s)/, '$1\\$2');
+
+/**
+ * Turns plain text into Markdown that renders the same: blank lines separate
+ * paragraphs and single line breaks are kept, since letters and lists rely on them.
+ * @param {string} text
+ * @returns {string}
+ */
+const plainTextToMarkdown = (text) => text
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph
+        .split('\n')
+        .map(line => escapeMarkdownLine(line.trimEnd()))
+        .filter(Boolean)
+        .join('\\\n'))
+    .filter(Boolean)
+    .join('\n\n');
+
+/**
+ * Converts a DOCX document to Markdown. Headings, emphasis, lists, tables and
+ * links are kept; embedded images are left out.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+const docxToMarkdown = async (buffer) => {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    messages.forEach(message => console.warn(`DOCX conversion ${message.type}: ${message.message}`));
+    const turndown = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-', codeBlockStyle: 'fenced' });
+    turndown.remove(['img', 'script', 'style']);
+    return turndown.turndown(html);
+};
+
+/**
+ * Converts a text document to the Markdown body of an entry
+ * @param {Buffer} buffer - Decoded file content
+ * @param {'txt'|'md'|'docx'} format - As found by detectTextDocument
+ * @returns {Promise<string>} - The Markdown body, without frontmatter
+ */
+export const textDocumentToMarkdown = async (buffer, format) => {
+    if (format === 'docx') {
+        return (await docxToMarkdown(buffer)).trim();
+    }
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    if (format === 'md') {
+        // The entry gets frontmatter of its own
+        return text.replace(/^---\n[\s\S]*?\n---[ \t]*(?:\n|$)/, '').trim();
+    }
+    return plainTextToMarkdown(text).trim();
+};
+
+/**
+ * Reduces Markdown to blocks of plain text for rendering: headings keep their
+ * level, list items their marker, and emphasis, links and escapes are dropped.
+ * @param {string} markdown
+ * @returns {Array<{ text: string, heading: number }>} - heading is 0 for body text; an empty text is a paragraph break
+ */
+const markdownBlocks = (markdown) => markdown
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split('\n')
+    // Horizontal rules become paragraph breaks
+    .map(line => (/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line) ? '' : line))
+    .map((line) => {
+        const heading = line.match(/^\s*(#{1,6})\s+/);
+        const text = line
+            .replace(/^\s*#{1,6}\s+/, '')
+            .replace(/^\s*>\s?/, '')
+            .replace(/^(\s*)[-*+]\s+/, '$1• ')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\*\*|__|`/g, '')
+            .replace(/\\(.)/g, '$1')
+            .replace(/\\$/, '')
+            .trimEnd();
+        return { text, heading: heading ? heading[1].length : 0 };
+    })
+    .filter((block, i, blocks) => block.text || (i > 0 && blocks[i - 1].text));
+
+/**
+ * Breaks a line into pieces that fit the width, at spaces where possible
+ * @param {string} text
+ * @param {PDFFont} font
+ * @param {number} fontSize
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+const wrapLine = (text, font, fontSize, maxWidth) => {
+    const fits = (candidate) => font.widthOfTextAtSize(candidate, fontSize) <= maxWidth;
+    const lines = [];
+    let current = '';
+    for (const word of text.split(/ +/)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (fits(candidate)) {
+            current = candidate;
+            continue;
+        }
+        if (current) {
+            lines.push(current);
+        }
+        // A word longer than the line is split wherever it runs out of room
+        current = '';
+        for (const char of word) {
+            if (current && !fits(current + char)) {
+                lines.push(current);
+                current = '';
+            }
+            current += char;
+        }
+    }
+    lines.push(current);
+    return lines;
+};
+
+/**
+ * Renders an entry body as a plain PDF, so text imports get a document.pdf
+ * like scanned entries do. The text is real, so it is searchable as it stands.
+ * @param {string} markdown - Entry body
+ * @param {{ pageSize?: 'letter'|'a4', margin?: number }} [options] - pageSize defaults to letter
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} - Throws if the page size is unknown or the margin leaves no room
+ */
+export const renderTextPdf = async (markdown, { pageSize, margin } = {}) => {
+    const layout = resolvePageLayout({ pageSize: pageSize ?? 'letter', margin: margin ?? TEXT_PAGE_MARGIN });
+    const pdfDoc = await PDFDocument.create();
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const characterSet = new Set(font.getCharacterSet());
+    const maxWidth = layout.width - layout.margin * 2;
+
+    let page = null;
+    let y = 0;
+    const nextLine = (lineHeight) => {
+        if (!page || y - lineHeight < layout.margin) {
+            page = pdfDoc.addPage([layout.width, layout.height]);
+            y = layout.height - layout.margin;
+        }
+        y -= lineHeight;
+    };
+
+    for (const block of markdownBlocks(markdown)) {
+        const fontSize = block.heading ? HEADING_FONT_SIZES[block.heading - 1] : BODY_FONT_SIZE;
+        const lineHeight = fontSize * LINE_SPACING;
+        if (!block.text) {
+            // Paragraph breaks at the top of a page are dropped
+            if (page && y < layout.height - layout.margin) {
+                y -= lineHeight / 2;
+            }
+            continue;
+        }
+        const blockFont = block.heading ? boldFont : font;
+        for (const line of wrapLine(toEncodableText(block.text, characterSet), blockFont, fontSize, maxWidth)) {
+            nextLine(lineHeight);
+            page.drawText(line, { x: layout.margin, y: y + (lineHeight - fontSize), size: fontSize, font: blockFont });
+        }
+    }
+    if (!page) {
+        pdfDoc.addPage([layout.width, layout.height]);
+    }
+    console.log(`Rendered the text onto ${pdfDoc.getPageCount()} page(s).`);
+    return pdfDoc.save();
+};
+
+/**
+ * Separates text documents from the files that go through OCR
+ * @param {Array<{ fileName: string, fileData: string }>} files
+ * @returns {{ textDocuments: Array<{ fileName: string, buffer: Buffer, format: string }>, otherFiles: Array<Object>, rejectedFiles: Array<{ fileName: string, reason: string }> }} -
+ *   rejectedFiles lists text documents whose content did not match their extension
+ */
+export const splitTextDocuments = (files) => {
+    const textDocuments = [];
+    const otherFiles = [];
+    const rejectedFiles = [];
+    for (const file of files) {
+        const buffer = Buffer.from(file.fileData, 'base64');
+        const detected = detectTextDocument(buffer, file.fileName);
+        if (!detected) {
+            otherFiles.push(file);
+        } else if (detected.supported) {
+            textDocuments.push({ fileName: file.fileName, buffer, format: detected.format });
+        } else {
+            console.warn(`Rejecting "${file.fileName}": ${detected.reason}`);
+            rejectedFiles.push({ fileName: file.fileName, reason: detected.reason });
+        }
+    }
+    return { textDocuments, otherFiles, rejectedFiles };
+};
+
+/**
+ * Converts text documents to one Markdown body, in upload order. Documents
+ * are separated by a horizontal rule.
+ * @param {Array<{ fileName: string, buffer: Buffer, format: string }>} textDocuments - As returned by splitTextDocuments
+ * @returns {Promise<{ body: string, rejectedFiles: Array<{ fileName: string, reason: string }> }>} - body is empty when no document had any text
+ */
+export const convertTextDocuments = async (textDocuments) => {
+    const bodies = [];
+    const rejectedFiles = [];
+    for (const document of textDocuments) {
+        try {
+            const body = await textDocumentToMarkdown(document.buffer, document.format);
+            if (!body) {
+                rejectedFiles.push({ fileName: document.fileName, reason: 'The document has no text.' });
+                continue;
+            }
+            bodies.push(body);
+            console.log(`Converted ${document.fileName} (${document.format}) to Markdown.`);
+        } catch (error) {
+            console.error(`Error converting "${document.fileName}":`, error);
+            rejectedFiles.push({ fileName: document.fileName, reason: `Could not read the ${document.format.toUpperCase()} file: ${error.message}` });
+        }
+    }
+    return { body: bodies.join('\n\n---\n\n'), rejectedFiles };
+};
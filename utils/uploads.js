@@ -0,0 +1,165 @@
+import { randomUUID } from 'crypto';
+import {
+    getPresignedUploadUrl,
+    getS3ObjectBytes,
+    getS3TextObject,
+    getS3Folders,
+    listS3Objects,
+    putS3Object,
+    deleteS3Objects,
+} from './s3_update.js';
+import { getUploadConfig } from './config.js';
+
+// Files are uploaded here by presigned URL and read back by 'create'
+const STAGING_ROOT = 'staging/';
+const MANIFEST_FILE = '_upload.json';
+const UUID_PATTERN = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const STAGED_KEY_PATTERN = new RegExp(`^${STAGING_ROOT}(${UUID_PATTERN})/(\\d+-[A-Za-z0-9._-]+)$`);
+
+const stagingPrefix = (uploadId) => `${STAGING_ROOT}${uploadId}/`;
+const manifestKey = (uploadId) => `${stagingPrefix(uploadId)}${MANIFEST_FILE}`;
+
+// Keeps the key readable while leaving out anything that would need escaping in a URL or a path
+const safeFileName = (fileName) => {
+    const cleaned = fileName.replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[.-]+/, '').slice(-100);
+    return cleaned || 'file';
+};
+
+/**
+ * Checks that a key names a file in the staging area, as returned by requestUpload
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const isStagedKey = (key) =>
+    typeof key === 'string' && STAGED_KEY_PATTERN.test(key) && !key.endsWith(`/${MANIFEST_FILE}`);
+
+/**
+ * Hands out presigned PUT URLs for uploading files straight into the staging
+ * area, where 'create' can pick them up by key. Uploads that are never used
+ * are left to purgeExpiredUploads and the bucket's lifecycle rule.
+ * @param {string} bucketName
+ * @param {{ fileNames: string[], requestedBy: string }} request - requestedBy is the caller's id; only that caller can create from the files
+ * @returns {Promise<{ uploadId: string, expiresAt: string, urlExpiresAt: string, files: Array<{ fileName: string, key: string, uploadUrl: string }> }>}
+ */
+export const requestUpload = async (bucketName, { fileNames, requestedBy }) => {
+    const { uploadUrlTtlSeconds, stagingTtlHours } = getUploadConfig();
+    const uploadId = randomUUID();
+    const now = Date.now();
+    const files = await Promise.all(fileNames.map(async (fileName, i) => {
+        const key = `${stagingPrefix(uploadId)}${i + 1}-${safeFileName(fileName)}`;
+        return { fileName, key, uploadUrl: await getPresignedUploadUrl(bucketName, key, uploadUrlTtlSeconds) };
+    }));
+    const manifest = {
+        uploadId,
+        requestedBy: requestedBy ?? null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + stagingTtlHours * 3600 * 1000).toISOString(),
+        files: files.map(({ fileName, key }) => ({ fileName, key })),
+    };
+    await putS3Object(bucketName, manifestKey(uploadId), JSON.stringify(manifest, null, 2), { contentType: 'application/json' });
+
+    console.log(`Issued ${files.length} upload URL(s) for ${uploadId}`);
+    return {
+        uploadId,
+        expiresAt: manifest.expiresAt,
+        urlExpiresAt: new Date(now + uploadUrlTtlSeconds * 1000).toISOString(),
+        files,
+    };
+};
+
+/**
+ * Replaces staged file references ({ fileName?, key }) with their content, so
+ * they can be merged like inline files. Files given inline pass through.
+ * Staged files are only read for the caller who requested their upload;
+ * anyone else's are reported missing and left where they are.
+ * @param {string} bucketName
+ * @param {Array<{ fileName?: string, fileData?: string, key?: string }>} files
+ * @param {{ requestedBy?: string }} [options] - The id of the caller creating the entry
+ * @returns {Promise<{ files: Array<{ fileName: string, fileData: string }>, missingFiles: Array<{ fileName: string, reason: string }>, stagedKeys: string[] }>} -
+ *   missingFiles lists references that could not be read; stagedKeys lists the ones that were
+ */
+export const resolveStagedFiles = async (bucketName, files, { requestedBy } = {}) => {
+    const resolved = [];
+    const missingFiles = [];
+    const stagedKeys = [];
+    const manifests = new Map();
+    for (const file of files) {
+        if (!file.key) {
+            resolved.push(file);
+            continue;
+        }
+        const fileName = file.fileName ?? file.key.slice(file.key.lastIndexOf('/') + 1).replace(/^\d+-/, '');
+        const uploadId = file.key.match(STAGED_KEY_PATTERN)[1];
+        if (!manifests.has(uploadId)) {
+            const manifest = await getS3TextObject(bucketName, manifestKey(uploadId));
+            manifests.set(uploadId, manifest ? JSON.parse(manifest.body) : null);
+        }
+        const owner = manifests.get(uploadId)?.requestedBy;
+        if (!owner || owner !== requestedBy) {
+            console.warn(`Refusing staged file ${file.key}: it was uploaded for ${owner ?? 'nobody'}, not ${requestedBy ?? 'nobody'}.`);
+            missingFiles.push({ fileName, reason: 'The staged upload was not found. It may not have finished, or it has expired.' });
+            continue;
+        }
+        const bytes = await getS3ObjectBytes(bucketName, file.key);
+        if (!bytes) {
+            missingFiles.push({ fileName, reason: 'The staged upload was not found. It may not have finished, or it has expired.' });
+            continue;
+        }
+        resolved.push({ fileName, fileData: Buffer.from(bytes).toString('base64') });
+        stagedKeys.push(file.key);
+    }
+    return { files: resolved, missingFiles, stagedKeys };
+};
+
+/**
+ * Removes staged files once they have been used. An upload whose files are
+ * all gone loses its manifest too.
+ * @param {string} bucketName
+ * @param {string[]} keys - Staged keys, as returned by resolveStagedFiles
+ * @returns {Promise<void>}
+ */
+export const removeStagedFiles = async (bucketName, keys) => {
+    if (keys.length === 0) {
+        return;
+    }
+    await deleteS3Objects(bucketName, keys);
+    const uploadIds = [...new Set(keys.map(key => key.match(STAGED_KEY_PATTERN)[1]))];
+    for (const uploadId of uploadIds) {
+        const remaining = await listS3Objects(bucketName, stagingPrefix(uploadId));
+        if (remaining.every(object => object.key === manifestKey(uploadId))) {
+            await deleteS3Objects(bucketName, remaining.map(object => object.key));
+        }
+    }
+    console.log(`Removed ${keys.length} staged file(s)`);
+};
+
+/**
+ * Deletes staged uploads that are past their expiry. Uploads without a
+ * manifest (interrupted requests) are judged by the age of their files.
+ * Run by the 'purgeUploads' task, e.g. on a schedule; it reads every staged
+ * upload, so it is kept out of the requests that stage files.
+ * @param {string} bucketName
+ * @returns {Promise<number>} - How many uploads were removed
+ */
+export const purgeExpiredUploads = async (bucketName) => {
+    const { stagingTtlHours } = getUploadConfig();
+    const now = Date.now();
+    const folders = await getS3Folders(bucketName, STAGING_ROOT);
+    let purged = 0;
+    for (const folder of folders) {
+        const uploadId = folder.slice(STAGING_ROOT.length, -1);
+        const manifest = await getS3TextObject(bucketName, manifestKey(uploadId));
+        const objects = await listS3Objects(bucketName, folder);
+        const expiresAt = manifest
+            ? Date.parse(JSON.parse(manifest.body).expiresAt)
+            : Math.max(...objects.map(object => new Date(object.lastModified).getTime())) + stagingTtlHours * 3600 * 1000;
+        if (objects.length > 0 && expiresAt <= now) {
+            await deleteS3Objects(bucketName, objects.map(object => object.key));
+            purged++;
+        }
+    }
+    if (purged > 0) {
+        console.log(`Purged ${purged} expired upload(s) from ${STAGING_ROOT}`);
+    }
+    return purged;
+};
@@ -0,0 +1,314 @@
+import { normalizeEntryPath } from './keys.js';
+import { isValidRevisionId } from './revisions.js';
+import { isValidTrashId } from './entries.js';
+import { isValidJobId, isValidIdempotencyKey } from './jobs.js';
+import { isStagedKey } from './uploads.js';
+import { DRAFT_STATUSES } from './drafts.js';
+import { ENTITY_TYPES, isValidEntityId } from './entities.js';
+import { getUploadConfig } from './config.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The pattern alone lets through dates such as 2024-02-31, which Date would roll over into March
+const isCalendarDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Checks one value against a field rule.
+ * Rules: { type, required, enum, min, max, minLength, maxLength, items, allowStaged, check, message }.
+ * type is one of 'string', 'integer', 'number', 'boolean', 'date' (a calendar date as YYYY-MM-DD),
+ * 'entryPath' (normalized to '/some-title/'), 'array' (each item checked against
+ * items) or 'files' (uploaded { fileName, fileData } objects, or { fileName?, key }
+ * references to staged uploads when allowStaged is set).
+ * @param {*} value
+ * @param {Object} rule
+ * @param {string} field - Field name used in error messages
+ * @returns {{ value: *, errors: Array<{ field: string, message: string }> }} - value is normalized where the type says so
+ */
+const checkField = (value, rule, field) => {
+    const fail = (message) => ({ value, errors: [{ field, message: rule.message || message }] });
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('Must be a string.');
+            if (rule.minLength && value.trim().length < rule.minLength) return fail(rule.minLength === 1 ? 'Must not be empty.' : `Must be at least ${rule.minLength} characters.`);
+            if (rule.maxLength && value.length > rule.maxLength) return fail(`Must be at most ${rule.maxLength} characters.`);
+            if (rule.enum) {
+                if (!rule.enum.includes(value.toLowerCase())) return fail(`Must be one of: ${rule.enum.join(', ')}.`);
+                return { value: value.toLowerCase(), errors: [] };
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('Must be a number.');
+            if (rule.type === 'integer' && !Number.isInteger(value)) return fail('Must be a whole number.');
+            if (rule.min !== undefined && value < rule.min) return fail(`Must be at least ${rule.min}.`);
+            if (rule.max !== undefined && value > rule.max) return fail(`Must be at most ${rule.max}.`);
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('Must be true or false.');
+            break;
+        case 'date':
+            if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return fail('Must be a date in YYYY-MM-DD form.');
+            if (!isCalendarDate(value)) return fail('Must be a date that exists.');
+            break;
+        case 'entryPath': {
+            const entryPath = normalizeEntryPath(value);
+            if (!entryPath) return fail("Must name a single entry folder, e.g. '/some-title/'.");
+            return { value: entryPath, errors: [] };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return fail('Must be a list.');
+            if (rule.minLength && value.length < rule.minLength) return fail(`Must have at least ${rule.minLength} item(s).`);
+            const results = value.map((item, i) => checkField(item, rule.items, `${field}[${i}]`));
+            return { value: results.map(result => result.value), errors: results.flatMap(result => result.errors) };
+        }
+        case 'files': {
+            if (!Array.isArray(value) || value.length === 0) return fail('Must be a non-empty list of files.');
+            const errors = [];
+            value.forEach((file, i) => {
+                if (!file || typeof file !== 'object') {
+                    errors.push({ field: `${field}[${i}]`, message: "Must be an object with 'fileName' and 'fileData'." });
+                    return;
+                }
+                if (rule.allowStaged && file.key !== undefined) {
+                    if (!isStagedKey(file.key)) {
+                        errors.push({ field: `${field}[${i}].key`, message: 'Must be a key returned by requestUpload.' });
+                    }
+                    if (file.fileData !== undefined) {
+                        errors.push({ field: `${field}[${i}]`, message: "Give either 'fileData' or 'key', not both." });
+                    }
+                    if (file.fileName !== undefined && (typeof file.fileName !== 'string' || !file.fileName.trim())) {
+                        errors.push({ field: `${field}[${i}].fileName`, message: 'Must be a non-empty string.' });
+                    }
+                    return;
+                }
+                if (typeof file.fileName !== 'string' || !file.fileName.trim()) {
+                    errors.push({ field: `${field}[${i}].fileName`, message: 'Must be a non-empty string.' });
+                }
+                if (typeof file.fileData !== 'string' || !file.fileData) {
+                    errors.push({ field: `${field}[${i}].fileData`, message: 'Must be base64 encoded file content.' });
+                }
+            });
+            return { value, errors };
+        }
+        default:
+            throw new Error(`Unknown validation type "${rule.type}" for ${field}.`);
+    }
+
+    if (rule.check && !rule.check(value)) {
+        return fail('Is not valid.');
+    }
+    return { value, errors: [] };
+};
+
+const entryPath = { type: 'entryPath', required: true };
+const optionalText = (maxLength) => ({ type: 'string', maxLength });
+const revisionId = (required) => ({ type: 'string', required, check: isValidRevisionId, message: 'Must be a revision id returned by history.' });
+const pageOptions = {
+    pageSize: { type: 'string', enum: ['letter', 'a4'] },
+    margin: { type: 'number', min: 0, max: 200 },
+};
+const paging = {
+    limit: { type: 'integer', min: 1 },
+    cursor: { type: 'string', maxLength: 200 },
+};
+const tagFilters = {
+    tags: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 } },
+    tag: { type: 'string', minLength: 1, maxLength: 100 },
+};
+const jobId = { type: 'string', required: true, check: isValidJobId, message: 'Must be a job id returned by create.' };
+const entityId = (required) => ({ type: 'string', required, check: isValidEntityId, message: 'Must be an entity id returned by listEntities or entity.' });
+const entityName = (required) => ({ type: 'string', required, minLength: 1, maxLength: 200 });
+
+/**
+ * Accepted fields for each task type. Fields not listed are ignored.
+ * 'requireOneOf' lists fields of which at least one must be present;
+ * 'check' adds rules that span several fields.
+ */
+export const TASK_SCHEMAS = {
+    update: {
+        fields: {
+            title: entryPath,
+            content: { type: 'string', required: true },
+            expectedEtag: optionalText(200),
+            expectedRevisionId: revisionId(false),
+            author: optionalText(200),
+            note: optionalText(500),
+        },
+    },
+    history: { fields: { title: entryPath } },
+    getRevision: { fields: { title: entryPath, revisionId: revisionId(true) } },
+    revert: {
+        fields: {
+            title: entryPath,
+            revisionId: revisionId(true),
+            expectedEtag: optionalText(200),
+            expectedRevisionId: revisionId(false),
+            author: optionalText(200),
+            note: optionalText(500),
+        },
+    },
+    delete: { fields: { title: entryPath, author: optionalText(200) } },
+    restore: {
+        fields: {
+            title: { type: 'entryPath' },
+            trashId: { type: 'string', check: isValidTrashId, message: 'Must be a trash id returned by delete.' },
+            author: optionalText(200),
+        },
+        requireOneOf: ['title', 'trashId'],
+    },
+    rename: {
+        fields: {
+            title: entryPath,
+            newTitle: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+            author: optionalText(200),
+            expectedEtag: optionalText(200),
+        },
+    },
+    merge: {
+        fields: {
+            title: entryPath,
+            sourceTitle: entryPath,
+            newTitle: optionalText(200),
+            author: optionalText(200),
+        },
+        check: (task) => task.title === task.sourceTitle
+            ? [{ field: 'sourceTitle', message: 'Must be a different entry from title.' }]
+            : [],
+    },
+    list: { fields: { order: { type: 'string', enum: ['asc', 'desc'] }, ...paging } },
+    query: {
+        fields: {
+            ...tagFilters,
+            createdFrom: { type: 'date' },
+            createdTo: { type: 'date' },
+            titlePrefix: optionalText(200),
+            order: { type: 'string', enum: ['asc', 'desc'] },
+            ...paging,
+        },
+    },
+    rebuildCatalog: { fields: {} },
+    search: { fields: { query: { type: 'string', required: true, minLength: 1, maxLength: 500 }, ...tagFilters, ...paging } },
+    rebuildSearchIndex: { fields: {} },
+    people: { fields: { name: entityName(true) } },
+    entity: {
+        fields: { id: entityId(false), name: entityName(false), entityType: { type: 'string', enum: ENTITY_TYPES } },
+        requireOneOf: ['id', 'name'],
+    },
+    listEntities: { fields: { entityType: { type: 'string', enum: ENTITY_TYPES }, query: optionalText(200), ...paging } },
+    mergeEntities: {
+        fields: {
+            id: entityId(true),
+            mergeIds: { type: 'array', required: true, minLength: 1, items: entityId(true) },
+            name: optionalText(200),
+        },
+        check: (task) => task.mergeIds.includes(task.id)
+            ? [{ field: 'mergeIds', message: 'Must not include id.' }]
+            : [],
+    },
+    rebuildEntities: { fields: {} },
+    exportArchive: {
+        fields: {
+            ...tagFilters,
+            createdFrom: { type: 'date' },
+            createdTo: { type: 'date' },
+            all: { type: 'boolean' },
+        },
+        // Exporting everything has to be asked for, not fallen into by leaving the filters out
+        check: (task) => task.all !== true && ['tags', 'tag', 'createdFrom', 'createdTo'].every(field => task[field] === undefined || task[field] === null)
+            ? [{ field: 'all', message: 'Choose entries with tags, tag, createdFrom or createdTo, or set all to true.' }]
+            : [],
+    },
+    append: {
+        fields: {
+            title: entryPath,
+            files: { type: 'files', required: true },
+            afterPage: { type: 'integer', min: 0 },
+            author: optionalText(200),
+            expectedEtag: optionalText(200),
+            ...pageOptions,
+        },
+    },
+    create: {
+        fields: {
+            files: { type: 'files', required: true, allowStaged: true },
+            idempotencyKey: { type: 'string', check: isValidIdempotencyKey, message: 'Must be a string of 1 to 255 characters.' },
+            async: { type: 'boolean' },
+            ...pageOptions,
+        },
+    },
+    requestUpload: {
+        fields: {
+            fileNames: { type: 'array', required: true, minLength: 1, items: { type: 'string', minLength: 1, maxLength: 200 } },
+        },
+        check: (task) => {
+            const { maxUploadFiles } = getUploadConfig();
+            return task.fileNames.length > maxUploadFiles
+                ? [{ field: 'fileNames', message: `Must have at most ${maxUploadFiles} item(s).` }]
+                : [];
+        },
+    },
+    purgeUploads: { fields: {} },
+    purgeExports: { fields: {} },
+    runJob: { fields: { jobId } },
+    jobStatus: { fields: { jobId } },
+    deploy: { fields: { wait: { type: 'boolean' } } },
+    deployStatus: { fields: {} },
+    deployPending: { fields: {} },
+    listDrafts: { fields: { status: { type: 'string', enum: [...DRAFT_STATUSES, 'all'] }, ...paging } },
+    approve: {
+        fields: {
+            title: entryPath,
+            content: { type: 'string', minLength: 1 },
+            author: optionalText(200),
+        },
+    },
+    reject: {
+        fields: {
+            title: entryPath,
+            reason: optionalText(1000),
+            discard: { type: 'boolean' },
+            author: optionalText(200),
+        },
+    },
+    // draft reads the entry from drafts/ while it is under review
+    downloadMD: { fields: { title: entryPath, draft: { type: 'boolean' } } },
+    download: { fields: { title: entryPath, draft: { type: 'boolean' } } },
+};
+
+/**
+ * Checks a task against the schema for its type.
+ * @param {Object} task - The parsed task; task.type must have a schema in TASK_SCHEMAS
+ * @returns {{ task: Object, errors: Array<{ field: string, message: string }> }} - A copy of the task with normalized values, and every problem found
+ */
+export const validateTask = (task) => {
+    const schema = TASK_SCHEMAS[task.type];
+    const normalized = { ...task };
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const value = task[field];
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ field, message: 'Is required.' });
+            }
+            continue;
+        }
+        const result = checkField(value, rule, field);
+        normalized[field] = result.value;
+        errors.push(...result.errors);
+    }
+
+    if (schema.requireOneOf && schema.requireOneOf.every(field => task[field] === undefined || task[field] === null)) {
+        errors.push({ field: schema.requireOneOf.join('|'), message: `One of ${schema.requireOneOf.join(', ')} is required.` });
+    }
+    if (schema.check && errors.length === 0) {
+        errors.push(...schema.check(normalized));
+    }
+    return { task: normalized, errors };
+};